@@ -0,0 +1,164 @@
+/**
+ * Batch Processing
+ * Encodes timestamps and decodes names line by line, for logs and lists
+ *
+ * Each line is classified on its own: timestamps and date expressions (see
+ * date-parser.js) are encoded, other lines starting with a letter and semver
+ * strings carrying a name are decoded. A line that fails yields a record with
+ * an error instead of stopping the batch. All lines share one versioner, so
+ * the syllable lookup is built once.
+ */
+
+import { getDefaultVersioner, PRECISION_UNITS } from './versioner.js';
+import { isSemver, parseSemver } from './semver.js';
+import { parseTimestamp } from './date-parser.js';
+
+/**
+ * Output formats for batch records
+ */
+export const BATCH_FORMATS = ['csv', 'jsonl'];
+
+// Record fields, in CSV column order
+const COLUMNS = ['line', 'input', 'type', 'version', 'timestamp', 'date', 'interval', 'error'];
+
+/**
+ * Classify an input line
+ * Lines starting with a letter are names unless they read as a date
+ * ("now", "yesterday 14:00", RFC 2822, "in 3 days"); no name is a date.
+ * @param {string} text - Trimmed line
+ * @returns {string} 'name' or 'timestamp'
+ */
+export function classifyLine(text) {
+  if (isSemver(text)) return 'name';
+  if (!/^[a-z]/i.test(text)) return 'timestamp';
+
+  try {
+    parseTimestamp(text);
+    return 'timestamp';
+  } catch (error) {
+    return 'name';
+  }
+}
+
+/**
+ * Create a line processor
+ *
+ * @param {Object} options - Options; generateVersion/parseVersion options (buildInterval,
+ *   checksum, embedInterval, precision, epoch, ...) apply to every line
+ * @param {Object} options.versioner - Versioner to use (default: default versioner)
+ * @param {string} options.timeZone - IANA zone for date expressions without an offset (default: process zone)
+ * @returns {Object} { process(line) } - returns a record, or null for blank lines
+ *
+ * @example
+ * const batch = createBatchProcessor({ buildInterval: 180 });
+ * batch.process('1732127000');    // { line: 1, type: 'timestamp', version: 'pewcher shen', ... }
+ * batch.process('pewcher shen');  // { line: 2, type: 'name', timestamp: 1732126860, ... }
+ * batch.process('xqzt');          // { line: 3, type: 'name', error: 'Cannot parse version string: ...' }
+ */
+export function createBatchProcessor(options = {}) {
+  const {
+    versioner = getDefaultVersioner(),
+    timeZone,
+    buildInterval = null,
+    ...codecOptions
+  } = options;
+
+  const precision = codecOptions.precision ?? versioner.config.encoding.precision ?? 's';
+  const unit = PRECISION_UNITS[precision];
+  let lineNumber = 0;
+
+  /**
+   * ISO date of a timestamp in precision units
+   */
+  function toDate(timestamp) {
+    return new Date(Math.floor(Number(timestamp) * 1000 / unit)).toISOString();
+  }
+
+  /**
+   * Encode or decode one line
+   */
+  function processLine(line) {
+    lineNumber++;
+    const input = line.trim();
+    if (input.length === 0) {
+      return null;
+    }
+
+    const type = classifyLine(input);
+    const record = {
+      line: lineNumber,
+      input,
+      type,
+      version: null,
+      timestamp: null,
+      date: null,
+      interval: null,
+      error: null
+    };
+
+    try {
+      if (type === 'name') {
+        const parsed = isSemver(input)
+          ? parseSemver(input, buildInterval, { ...codecOptions, versioner })
+          : versioner.parse(input, buildInterval, codecOptions);
+        record.version = input;
+        record.timestamp = parsed.timestamp;
+        record.date = parsed.date;
+        record.interval = parsed.interval;
+      } else {
+        const timestamp = parseTimestamp(input, { precision, timeZone });
+        const metadata = versioner.generate(timestamp, {
+          ...codecOptions,
+          buildInterval,
+          returnMetadata: true
+        });
+        record.version = metadata.version;
+        record.timestamp = timestamp;
+        record.date = toDate(timestamp);
+        record.interval = metadata.interval;
+      }
+    } catch (error) {
+      record.error = error.message;
+    }
+
+    return record;
+  }
+
+  return { process: processLine };
+}
+
+/**
+ * Quote a CSV field (RFC 4180)
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV header line
+ * @returns {string} Column names, newline-terminated
+ */
+export function csvHeader() {
+  return COLUMNS.join(',') + '\n';
+}
+
+/**
+ * Serialize a record
+ * @param {Object} record - Record from createBatchProcessor
+ * @param {string} format - 'csv' or 'jsonl'
+ * @returns {string} One newline-terminated line
+ */
+export function formatRecord(record, format) {
+  switch (format) {
+    case 'csv':
+      return COLUMNS.map(column => csvField(record[column])).join(',') + '\n';
+
+    case 'jsonl':
+      return JSON.stringify(record, (key, value) => (typeof value === 'bigint' ? value.toString() : value)) + '\n';
+
+    default:
+      throw new Error(`Unknown batch format "${format}" (available: ${BATCH_FORMATS.join(', ')})`);
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Blocklist
+ * Keeps rude or otherwise unwanted words out of generated names, reversibly
+ *
+ * A name is blocked when its letters (separators removed) contain a listed
+ * word, even across syllable boundaries. The generator then emits the same
+ * value in an alternate encoding: every data digit is shifted by a fixed
+ * offset and a flag syllable naming the shift is appended. The last FLAG_COUNT
+ * syllables of the set are reserved as flags:
+ *
+ *   flag syllable        variant   digit offset
+ *   syllables[N - 1]     0         0 (escape: plain name that ends in a flag)
+ *   syllables[N - 2]     1         1 * floor(N / 4)
+ *   syllables[N - 3]     2         2 * floor(N / 4)
+ *   syllables[N - 4]     3         3 * floor(N / 4)
+ *
+ * Decoding looks only at the last syllable before the check syllable: a flag
+ * is stripped and its offset subtracted; anything else is a plain name.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Reserved flag syllables (escape + 3 remaps)
+export const FLAG_COUNT = 4;
+
+// Cache for the built-in word list
+let builtinWords = null;
+
+/**
+ * Load the built-in word list (data/blocklist.json)
+ * @returns {string[]} Lowercase words
+ */
+export function loadBuiltinBlocklist() {
+  if (builtinWords === null) {
+    const blocklistPath = join(__dirname, '../data/blocklist.json');
+    builtinWords = JSON.parse(readFileSync(blocklistPath, 'utf8')).words.map(word => word.toLowerCase());
+  }
+  return builtinWords;
+}
+
+/**
+ * Words to avoid for a configuration
+ * @param {Object} config - Full configuration (uses config.blocklist)
+ * @returns {string[]} Built-in words (unless blocklist.builtin is false) plus blocklist.words
+ */
+export function getBlockedWords(config) {
+  const { builtin = true, words = [] } = config.blocklist || {};
+  const custom = words.map(word => word.toLowerCase());
+  return builtin ? [...loadBuiltinBlocklist(), ...custom] : custom;
+}
+
+/**
+ * Find the first blocked word in a name
+ * @param {string} name - Name, with or without separators
+ * @param {string[]} words - Words to avoid
+ * @returns {string|null} The word found, or null if the name is clean
+ */
+export function findBlockedWord(name, words) {
+  const letters = name.toLowerCase().replace(/[^a-z]/g, '');
+  return words.find(word => letters.includes(word)) || null;
+}
+
+/**
+ * Syllable index of a variant's flag
+ * @param {number} variant - 0..FLAG_COUNT-1
+ * @param {number} base - Syllable count
+ * @returns {number} Flag index
+ */
+export function flagIndex(variant, base) {
+  return base - 1 - variant;
+}
+
+/**
+ * Variant a syllable index flags
+ * @param {number} index - Syllable index
+ * @param {number} base - Syllable count
+ * @returns {number} Variant 0..FLAG_COUNT-1, or -1 if the index is not a flag
+ */
+export function flagVariant(index, base) {
+  const variant = base - 1 - index;
+  return variant >= 0 && variant < FLAG_COUNT ? variant : -1;
+}
+
+/**
+ * Digit offset of a variant
+ */
+function variantOffset(variant, base) {
+  return variant * Math.floor(base / FLAG_COUNT);
+}
+
+/**
+ * Shift digits for a variant (encoding)
+ * @param {number[]} digits - Emitted digits before the flag
+ * @param {number} variant - 0..FLAG_COUNT-1
+ * @param {number} base - Syllable count
+ * @returns {number[]} Shifted digits
+ */
+export function remapDigits(digits, variant, base) {
+  const offset = variantOffset(variant, base);
+  return digits.map(digit => (digit + offset) % base);
+}
+
+/**
+ * Undo remapDigits (decoding)
+ * @param {number[]} digits - Shifted digits
+ * @param {number} variant - 0..FLAG_COUNT-1
+ * @param {number} base - Syllable count
+ * @returns {number[]} Original digits
+ */
+export function unmapDigits(digits, variant, base) {
+  const offset = variantOffset(variant, base);
+  return digits.map(digit => (digit - offset + base) % base);
+}
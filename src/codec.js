@@ -0,0 +1,96 @@
+/**
+ * Codecs for Non-timestamp Values
+ * Names for build counters, byte strings and commit hashes, using the same
+ * syllables, interleaving, check syllable and separators as timestamps
+ * Module-level functions use the default versioner (see versioner.js)
+ *
+ * Round trips: decodeX(encodeX(value)) returns the value exactly when both
+ * sides use the same syllable set, digitInterleaving and checksum settings.
+ * A name without separators can split into syllables in more than one way;
+ * decoding then throws (listing the candidates) instead of guessing, so keep
+ * smart separators or the check syllable on when names are typed back in.
+ */
+
+import { getDefaultVersioner } from './versioner.js';
+
+/**
+ * Encode a non-negative integer (e.g., a CI build number)
+ * @param {number|bigint} value - Integer to encode (BigInt beyond Number.MAX_SAFE_INTEGER)
+ * @param {Object} options - Options
+ * @param {number} options.minSyllables - Pad with zero digits to at least this many data syllables (default: 0)
+ * @param {boolean} options.checksum - Append a check syllable (default: from config)
+ * @param {boolean} options.blocklist - Avoid blocked words (default: from config.blocklist.enabled)
+ * @param {string} options.ordering - 'interleaved' or 'sortable' (default: from config)
+ * @param {boolean} options.smartSeparators - Use smart separator logic (default: from config.separators.enabled)
+ * @param {boolean} options.hyphenated - Hyphens between syllables when smart separators are off (default: false)
+ * @param {Object} options.balancer - Explicit separator balancer (default: deterministic)
+ * @param {string|Object} options.profile - Output profile, e.g. 'dns' (see profiles.js)
+ * @returns {string} Name
+ *
+ * @example
+ * encodeNumber(4711);                       // "tel haw"
+ * encodeNumber(4711, { minSyllables: 3 });  // "tel siphaw" (fixed width: 3 data syllables)
+ */
+export function encodeNumber(value, options = {}) {
+  return getDefaultVersioner().encodeNumber(value, options);
+}
+
+/**
+ * Decode a name produced by encodeNumber
+ * Padding is transparent: zero digits add nothing to the value.
+ * @param {string} name - Name to decode
+ * @param {Object} options - Options
+ * @param {boolean} options.checksum - Name ends with a check syllable (default: from config)
+ * @returns {number|bigint} The value (BigInt if beyond Number.MAX_SAFE_INTEGER)
+ */
+export function decodeNumber(name, options = {}) {
+  return getDefaultVersioner().decodeNumber(name, options);
+}
+
+/**
+ * Encode a byte string (e.g., an artifact hash)
+ * A 0x01 sentinel byte is prepended before conversion, so leading zero bytes
+ * and the exact length survive. This costs one extra syllable at most.
+ * @param {Buffer|Uint8Array} bytes - Bytes to encode
+ * @param {Object} options - Options (see encodeNumber, without minSyllables)
+ * @returns {string} Name
+ */
+export function encodeBytes(bytes, options = {}) {
+  return getDefaultVersioner().encodeBytes(bytes, options);
+}
+
+/**
+ * Decode a name produced by encodeBytes
+ * @param {string} name - Name to decode
+ * @param {Object} options - Options (see decodeNumber)
+ * @returns {Buffer} The original bytes, including leading zeros
+ */
+export function decodeBytes(name, options = {}) {
+  return getDefaultVersioner().decodeBytes(name, options);
+}
+
+/**
+ * Encode the leading bits of a git commit hash
+ * Names are fixed width: ceil(bits / log2(syllables)) data syllables, so
+ * every commit gets a name of the same length (28 bits → 3 syllables with
+ * the bundled 1007 syllables).
+ * @param {string} sha - Hexadecimal commit hash (full or abbreviated)
+ * @param {Object} options - Options (see encodeNumber, without minSyllables)
+ * @param {number} options.bits - Leading bits to keep, a multiple of 4 (default: 28, git's 7-digit short hash)
+ * @returns {string} Name
+ */
+export function encodeGitSha(sha, options = {}) {
+  return getDefaultVersioner().encodeGitSha(sha, options);
+}
+
+/**
+ * Decode a name produced by encodeGitSha
+ * @param {string} name - Name to decode
+ * @param {Object} options - Options
+ * @param {number} options.bits - Bits used when encoding (default: 28)
+ * @param {boolean} options.checksum - Name ends with a check syllable (default: from config)
+ * @returns {string} Lowercase hash prefix of bits / 4 hex digits (usable with git rev-parse)
+ */
+export function decodeGitSha(name, options = {}) {
+  return getDefaultVersioner().decodeGitSha(name, options);
+}
@@ -0,0 +1,174 @@
+/**
+ * Version Comparison
+ * Orders phonetic names by the builds they encode, measures the time between
+ * them and lists every name in a range
+ */
+
+import { getDefaultVersioner, PRECISION_UNITS } from './versioner.js';
+import { toExactNumber } from './encoder.js';
+
+// Largest range versionsInRange returns unless options.limit says otherwise
+const DEFAULT_RANGE_LIMIT = 10000;
+
+// Units for human-readable durations, largest first
+const DURATION_UNITS = [
+  ['year', 365 * 24 * 60 * 60],
+  ['day', 24 * 60 * 60],
+  ['hour', 60 * 60],
+  ['minute', 60],
+  ['second', 1]
+];
+
+/**
+ * Split options into the versioner, build interval and parse options
+ */
+function splitOptions(options) {
+  const {
+    buildInterval = null,
+    versioner = getDefaultVersioner(),
+    ...parseOptions
+  } = options;
+  return { buildInterval, versioner, parseOptions };
+}
+
+/**
+ * Decode a version for comparison
+ * @param {string} version - Version string
+ * @param {Object} options - Options (see compareVersions)
+ * @returns {Object} parseVersion result plus exact: BigInt timestamp in precision units
+ */
+function decodeForComparison(version, options) {
+  const { buildInterval, versioner, parseOptions } = splitOptions(options);
+  const parsed = versioner.parse(version, buildInterval, parseOptions);
+  return { ...parsed, exact: BigInt(parsed.timestamp) };
+}
+
+/**
+ * Format seconds as a human duration ("2 days 3 hours")
+ * Shows the two largest non-zero units.
+ * @param {number} seconds - Duration in seconds (sign ignored)
+ * @returns {string} Human-readable duration
+ */
+export function formatDuration(seconds) {
+  let remaining = Math.abs(seconds);
+  // Sub-second builds (ms/ns precision)
+  if (remaining === 0) return '0 seconds';
+  if (remaining < 1e-6) return `${Math.round(remaining * 1e9)} ns`;
+  if (remaining < 1e-3) return `${Math.round(remaining * 1e6)} µs`;
+  if (remaining < 1) return `${Math.round(remaining * 1e3)} ms`;
+
+  const parts = [];
+  for (const [name, size] of DURATION_UNITS) {
+    const count = Math.floor(remaining / size);
+    if (count > 0) {
+      parts.push(`${count} ${name}${count === 1 ? '' : 's'}`);
+      remaining -= count * size;
+    }
+    if (parts.length === 2) break;
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Compare two versions by the time they encode
+ * Works for interleaved and sortable names alike because both are decoded
+ * first; usable directly as an Array.prototype.sort comparator.
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @param {Object} options - parseVersion options (checksum, embedInterval, ordering, epoch, precision, ...)
+ * @param {number} options.buildInterval - Build interval (see parseVersion)
+ * @param {Object} options.versioner - Versioner to decode with (default: default versioner)
+ * @returns {number} -1 if a is older, 1 if a is newer, 0 if both fall in the same interval
+ *
+ * @example
+ * versions.sort((a, b) => compareVersions(a, b));
+ */
+export function compareVersions(a, b, options = {}) {
+  const left = decodeForComparison(a, options).exact;
+  const right = decodeForComparison(b, options).exact;
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Time from version a to version b
+ * @param {string} a - Earlier version (the result is negative if it is later)
+ * @param {string} b - Later version
+ * @param {Object} options - Options (see compareVersions)
+ * @returns {Object} { intervals, seconds, human } - intervals counts a's build interval
+ *
+ * @example
+ * versionDistance('pewcher shen', 'mescher shen', { buildInterval: 180 });
+ * // { intervals: 17, seconds: 3060, human: '51 minutes' }
+ */
+export function versionDistance(a, b, options = {}) {
+  const from = decodeForComparison(a, options);
+  const to = decodeForComparison(b, options);
+
+  const difference = to.exact - from.exact;
+  const unit = PRECISION_UNITS[from.precision];
+  const seconds = Number(difference) / unit;
+
+  return {
+    intervals: Number(difference) / from.interval,
+    seconds,
+    human: formatDuration(seconds)
+  };
+}
+
+/**
+ * Check whether a version falls between two others (inclusive)
+ * @param {string} version - Version to check
+ * @param {string} start - Range start
+ * @param {string} end - Range end
+ * @param {Object} options - Options (see compareVersions)
+ * @returns {boolean} True if start <= version <= end
+ */
+export function isBetween(version, start, end, options = {}) {
+  return compareVersions(start, version, options) <= 0 && compareVersions(version, end, options) <= 0;
+}
+
+/**
+ * List every version name between two versions (inclusive)
+ * Decodes both ends and generates a name for each interval step in between.
+ *
+ * @param {string} start - First version
+ * @param {string} end - Last version
+ * @param {number} interval - Step in precision units (default: the interval start decodes with)
+ * @param {Object} options - Options (see compareVersions); generateVersion options are passed through
+ * @param {number} options.limit - Maximum names (default: 10000); larger ranges throw
+ * @returns {Object[]} [{ version, timestamp, date }] oldest first
+ */
+export function versionsInRange(start, end, interval = null, options = {}) {
+  const {
+    limit = DEFAULT_RANGE_LIMIT,
+    buildInterval = null,
+    versioner = getDefaultVersioner(),
+    ...generateOptions
+  } = options;
+
+  const from = decodeForComparison(start, { ...generateOptions, buildInterval, versioner });
+  const to = decodeForComparison(end, { ...generateOptions, buildInterval, versioner });
+  if (from.exact > to.exact) {
+    throw new Error(`Range start "${start}" (${from.date}) is after range end "${end}" (${to.date})`);
+  }
+
+  const step = BigInt(interval || from.interval);
+  const count = (to.exact - from.exact) / step + 1n;
+  if (count > BigInt(limit)) {
+    throw new Error(`Range contains ${count} versions, more than the limit of ${limit}`);
+  }
+
+  const unit = BigInt(PRECISION_UNITS[from.precision]);
+  const results = [];
+  for (let t = from.exact; t <= to.exact; t += step) {
+    const timestamp = from.precision === 'ns' ? t : toExactNumber(t);
+    results.push({
+      version: versioner.generate(timestamp, { ...generateOptions, buildInterval: Number(step) }),
+      timestamp,
+      date: new Date(Number(t * 1000n / unit)).toISOString()
+    });
+  }
+
+  return results;
+}
@@ -3,27 +3,143 @@
  * Centralized configuration management for phonetic versioning
  */
 
-import { readFileSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, copyFileSync, renameSync, rmSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve, basename } from 'path';
+import { validateConfig } from './config-schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const DEFAULT_CONFIG_PATH = join(__dirname, '../config.json');
+
+// Project config sources, checked in this order in each directory
+const PROJECT_CONFIG_FILES = ['phonetic-version.config.json', '.phoneticversionrc'];
+const PACKAGE_JSON_KEY = 'phoneticVersioning';
+
 let cachedConfig = null;
 
 /**
- * Load configuration from config.json
+ * Read and parse a JSON file, naming the file on syntax errors
+ * @param {string} path - File path
+ * @returns {*} Parsed JSON
+ */
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read config ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Deep-merge overrides over defaults
+ * Objects merge key by key; arrays and primitives replace.
+ * @param {Object} base - Default values
+ * @param {Object} overrides - Values taking precedence
+ * @returns {Object} New merged object
+ */
+export function mergeConfig(base, overrides) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    const current = result[key];
+    if (isPlainObject(value) && isPlainObject(current)) {
+      result[key] = mergeConfig(current, value);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Find project-level configuration
+ *
+ * Walks up from cwd. In each directory it checks phonetic-version.config.json,
+ * then .phoneticversionrc (JSON), then a "phoneticVersioning" key in
+ * package.json. The search stops at the first directory with a package.json
+ * (the project root), so settings never leak in from enclosing projects.
+ *
+ * @param {string} cwd - Directory to start from (default: process.cwd())
+ * @returns {Object|null} { path, config } or null if none found
+ */
+export function findProjectConfig(cwd = process.cwd()) {
+  let dir = resolve(cwd);
+
+  while (true) {
+    for (const name of PROJECT_CONFIG_FILES) {
+      const path = join(dir, name);
+      if (existsSync(path)) {
+        return { path, config: readJson(path) };
+      }
+    }
+
+    const packagePath = join(dir, 'package.json');
+    if (existsSync(packagePath)) {
+      const pkg = readJson(packagePath);
+      if (pkg[PACKAGE_JSON_KEY] !== undefined) {
+        return { path: packagePath, key: PACKAGE_JSON_KEY, config: pkg[PACKAGE_JSON_KEY] };
+      }
+      return null;
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Load built-in defaults from the package's config.json
+ * @returns {Object} Default configuration
+ */
+export function loadDefaultConfig() {
+  return readJson(DEFAULT_CONFIG_PATH);
+}
+
+/**
+ * Load configuration
+ *
+ * Built-in defaults (config.json) with project settings deep-merged over them,
+ * validated against the schema. Without options the result is cached.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.configPath - Explicit project config file (skips discovery)
+ * @param {string} options.cwd - Directory to start discovery from (default: process.cwd())
  * @returns {Object} Configuration object
  */
-export function loadConfig() {
-  if (cachedConfig) return cachedConfig;
+export function loadConfig(options = {}) {
+  const useCache = !options.configPath && !options.cwd;
+  if (useCache && cachedConfig) return cachedConfig;
+
+  let project;
+  if (options.configPath) {
+    const path = resolve(options.configPath);
+    project = { path, config: readJson(path) };
+  } else {
+    project = findProjectConfig(options.cwd);
+  }
 
-  const configPath = join(__dirname, '../config.json');
-  const configData = readFileSync(configPath, 'utf8');
-  cachedConfig = JSON.parse(configData);
+  if (project && !isPlainObject(project.config)) {
+    throw new Error(`Invalid configuration in ${project.path}: expected a JSON object`);
+  }
+
+  const config = project
+    ? mergeConfig(loadDefaultConfig(), project.config)
+    : loadDefaultConfig();
+  validateConfig(config, project ? project.path : DEFAULT_CONFIG_PATH);
 
-  return cachedConfig;
+  if (useCache) {
+    cachedConfig = config;
+  }
+
+  return config;
 }
 
 /**
@@ -76,10 +192,10 @@ export function estimateSyllableCount(num) {
  * Find optimal interval to keep syllable count under max
  * @param {number} timestamp - Unix timestamp
  * @param {number} maxSyllables - Maximum allowed syllables
+ * @param {Object} encodingConfig - Encoding config (default: from loadConfig())
  * @returns {number} Optimal interval
  */
-export function findOptimalInterval(timestamp, maxSyllables = 6) {
-  const encodingConfig = getEncodingConfig();
+export function findOptimalInterval(timestamp, maxSyllables = 6, encodingConfig = getEncodingConfig()) {
   const baseInterval = encodingConfig.baseInterval;
 
   if (!encodingConfig.adaptiveCompression) {
@@ -112,35 +228,144 @@ export function findOptimalInterval(timestamp, maxSyllables = 6) {
 }
 
 /**
- * Update scoring weights (for learning)
- * @param {Object} newWeights - New weight values
+ * Get interval tiers in embedding order
+ * Tier 0 is the base interval, tier N is compressionIntervals[N - 1].
+ * @param {Object} encodingConfig - Encoding config (default: from loadConfig())
+ * @returns {number[]} Intervals in seconds, indexed by tier
  */
-export function updateScoringWeights(newWeights) {
-  const config = loadConfig();
+export function getIntervalTiers(encodingConfig = getEncodingConfig()) {
+  return [
+    encodingConfig.baseInterval,
+    ...encodingConfig.compressionIntervals.map(c => c.interval)
+  ];
+}
+
+/**
+ * Find the tier index of an interval
+ * @param {number} interval - Interval in seconds
+ * @param {Object} encodingConfig - Encoding config (default: from loadConfig())
+ * @returns {number} Tier index, or -1 if the interval is not a configured tier
+ */
+export function getIntervalTier(interval, encodingConfig = getEncodingConfig()) {
+  return getIntervalTiers(encodingConfig).indexOf(interval);
+}
 
-  // Deep merge weights
+/**
+ * Update scoring weights (for learning)
+ * Unknown separators or features are rejected instead of silently ignored.
+ * @param {Object} newWeights - New weight values ({ hyphen: { criticalCluster: 150 } })
+ * @param {Object} config - Configuration to update in place (default: loadConfig())
+ * @returns {Object} The updated configuration
+ */
+export function updateScoringWeights(newWeights, config = loadConfig()) {
+  // Check everything first so a bad entry leaves the config untouched
   for (const separator in newWeights) {
-    if (config.scoring[separator]) {
-      for (const feature in newWeights[separator]) {
-        if (config.scoring[separator][feature] &&
-            typeof config.scoring[separator][feature] === 'object' &&
-            'weight' in config.scoring[separator][feature]) {
-          config.scoring[separator][feature].weight = newWeights[separator][feature];
-        }
+    const section = config.scoring[separator];
+    if (!isPlainObject(section) || !Object.values(section).some(f => isPlainObject(f) && 'weight' in f)) {
+      throw new Error(`Unknown scoring separator "${separator}"`);
+    }
+
+    for (const feature in newWeights[separator]) {
+      const entry = section[feature];
+      if (!isPlainObject(entry) || !('weight' in entry)) {
+        throw new Error(`Unknown scoring feature "${separator}.${feature}"`);
+      }
+
+      const weight = newWeights[separator][feature];
+      if (typeof weight !== 'number' || !isFinite(weight)) {
+        throw new Error(`Weight for "${separator}.${feature}" must be a number (got ${JSON.stringify(weight)})`);
       }
     }
   }
 
-  // Update cache
-  cachedConfig = config;
+  for (const separator in newWeights) {
+    for (const feature in newWeights[separator]) {
+      config.scoring[separator][feature].weight = newWeights[separator][feature];
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Read a value by dotted path ("scoring.hyphen.criticalCluster.weight")
+ * @param {Object} config - Configuration object
+ * @param {string} path - Dotted key path
+ * @returns {*} Value, or undefined if missing
+ */
+export function getConfigValue(config, path) {
+  return path.split('.').reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), config);
+}
+
+/**
+ * Set a value by dotted path, creating intermediate objects
+ * @param {Object} config - Configuration object (modified in place)
+ * @param {string} path - Dotted key path
+ * @param {*} value - New value
+ * @returns {Object} The same configuration object
+ */
+export function setConfigValue(config, path, value) {
+  const keys = path.split('.');
+  let node = config;
+
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+
+  node[keys[keys.length - 1]] = value;
+  return config;
+}
+
+/**
+ * Write JSON atomically, keeping the previous file as <path>.bak
+ * The content goes to a temp file in the same directory first and is then
+ * renamed over the target, so readers never see a half-written file.
+ * @param {string} path - Target file
+ * @param {*} data - JSON-serializable data
+ */
+function writeJsonAtomic(path, data) {
+  const tempPath = `${path}.${process.pid}.tmp`;
+
+  writeFileSync(tempPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  try {
+    if (existsSync(path)) {
+      copyFileSync(path, `${path}.bak`);
+    }
+    renameSync(tempPath, path);
+  } catch (error) {
+    rmSync(tempPath, { force: true });
+    throw error;
+  }
 }
 
 /**
  * Save configuration back to file
+ *
+ * Validates before writing. The package's config.json must be a complete
+ * configuration; any other file holds project overrides and is validated
+ * merged over the defaults. For a package.json, only the "phoneticVersioning"
+ * key is replaced.
+ *
  * @param {Object} config - Configuration to save
+ * @param {string} path - Target file (default: the package's config.json)
  */
-export function saveConfig(config) {
-  const configPath = join(__dirname, '../config.json');
-  writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf8');
-  cachedConfig = config;
+export function saveConfig(config, path = DEFAULT_CONFIG_PATH) {
+  const target = resolve(path);
+  const isDefault = target === resolve(DEFAULT_CONFIG_PATH);
+
+  validateConfig(isDefault ? config : mergeConfig(loadDefaultConfig(), config), target);
+
+  if (basename(target) === 'package.json') {
+    const pkg = readJson(target);
+    pkg[PACKAGE_JSON_KEY] = config;
+    writeJsonAtomic(target, pkg);
+  } else {
+    writeJsonAtomic(target, config);
+  }
+
+  // Next loadConfig() re-reads and re-merges
+  cachedConfig = null;
 }
@@ -0,0 +1,360 @@
+/**
+ * Configuration Schema
+ * Declarative schema for config.json and a small validator that names the
+ * offending key in its errors
+ */
+
+// "comment"/"note" strings are allowed anywhere as documentation
+const DOC_KEYS = ['comment', 'note'];
+
+const positiveInteger = { type: 'integer', minimum: 1 };
+const nonNegativeInteger = { type: 'integer', minimum: 0 };
+const nonNegativeNumber = { type: 'number', minimum: 0 };
+const boolean = { type: 'boolean' };
+const letters = { type: 'array', items: { type: 'string', pattern: /^[a-z]+$/ } };
+const letterPairs = { type: 'array', items: { type: 'string', pattern: /^[a-z]{2}$/ } };
+
+const SEPARATOR_NAMES = ['apostrophe', 'dot', 'hyphen', 'space', 'tilde', 'colon'];
+
+/**
+ * Schema for one scoring feature ({ weight, enabled, comment })
+ */
+const feature = {
+  type: 'object',
+  properties: {
+    weight: { type: 'number' },
+    enabled: boolean
+  },
+  required: ['weight']
+};
+
+/**
+ * Schema for a separator's scoring section with its known features
+ */
+function scoringSection(features) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(features.map(name => [name, feature]))
+  };
+}
+
+/**
+ * Known scoring features per separator (see separator-rules.js)
+ */
+export const SCORING_FEATURES = {
+  apostrophe: ['vowelHiatus', 'elisionPattern', 'shortLeftBonus', 'interestBonus'],
+  dot: ['prefixPattern', 'veryShortLeft', 'interestBonus', 'ruleBSimilarSyllables'],
+  hyphen: [
+    'criticalCluster', 'heavySimilarRhyme', 'heavyPartialRhyme', 'hardCluster', 'heavyAndHeavy',
+    'moderateCluster', 'identicalConsonants', 'samePlaceArticulation', 'interestBonus', 'ruleBSimilarSyllables'
+  ],
+  space: [
+    'cleanConsonantBoundary', 'heavyAndHeavySpace', 'cleanSyllables', 'naturalWordSplit',
+    'interestBonus', 'ruleBSimilarSyllables'
+  ],
+  tilde: [
+    'creativePattern', 'technicalSeparator', 'alternativeToDot', 'alternativeToHyphen',
+    'heavyRhyme', 'cleanBoundary', 'interestBonus'
+  ],
+  colon: ['sameConsonantPattern', 'similarStructure', 'rhythmicPair', 'interestBonus']
+};
+
+const clusterList = {
+  type: 'object',
+  properties: { pairs: letterPairs },
+  required: ['pairs']
+};
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    encoding: {
+      type: 'object',
+      properties: {
+        baseInterval: positiveInteger,
+        maxSyllables: positiveInteger,
+        adaptiveCompression: boolean,
+        digitInterleaving: boolean,
+        embedInterval: boolean,
+        checksum: boolean,
+        precision: { type: 'string', enum: ['s', 'ms', 'ns'] },
+        epoch: { type: 'date' },
+        ordering: { type: 'string', enum: ['interleaved', 'sortable'] },
+        sortableSyllables: positiveInteger,
+        compressionIntervals: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              threshold: positiveInteger,
+              interval: positiveInteger
+            },
+            required: ['threshold', 'interval']
+          }
+        }
+      },
+      required: ['baseInterval', 'maxSyllables', 'compressionIntervals']
+    },
+    separators: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        maxSeparators: nonNegativeInteger,
+        thresholds: {
+          type: 'object',
+          properties: {
+            first: nonNegativeNumber,
+            second: nonNegativeNumber,
+            third: nonNegativeNumber
+          },
+          required: ['first', 'second', 'third']
+        },
+        minSyllablesPerSegment: positiveInteger,
+        placement: { type: 'string', enum: ['greedy', 'optimal'] },
+        disabledRules: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['enabled', 'maxSeparators', 'thresholds']
+    },
+    scoring: {
+      type: 'object',
+      properties: {
+        ...Object.fromEntries(
+          Object.entries(SCORING_FEATURES).map(([sep, features]) => [sep, scoringSection(features)])
+        ),
+        // Weights for custom rules (registerSeparatorRule with configKey "custom.<name>")
+        custom: { type: 'object', additionalProperties: feature },
+        impossibleClusters: {
+          type: 'object',
+          properties: {
+            critical: clusterList,
+            hard: clusterList,
+            moderate: clusterList
+          },
+          required: ['critical', 'hard', 'moderate']
+        },
+        identicalConsonants: {
+          type: 'object',
+          properties: {
+            weight: { type: 'number' },
+            examples: letterPairs
+          }
+        },
+        placeOfArticulation: {
+          type: 'object',
+          additionalProperties: letters
+        },
+        rhymePatterns: {
+          type: 'object',
+          properties: {
+            exactRhymes: {
+              type: 'object',
+              properties: { commonEndings: letters }
+            },
+            partialRhymes: {
+              type: 'object',
+              properties: { finalConsonants: letters }
+            },
+            heavySyllableThreshold: positiveInteger
+          },
+          required: ['heavySyllableThreshold']
+        }
+      },
+      required: ['apostrophe', 'dot', 'hyphen', 'space', 'tilde', 'impossibleClusters', 'placeOfArticulation', 'rhymePatterns']
+    },
+    phonotactics: {
+      type: 'object',
+      properties: {
+        vowels: { ...letters, minItems: 1 },
+        validOnsets: letters,
+        validCodas: letters
+      },
+      required: ['vowels']
+    },
+    generation: {
+      type: 'object',
+      properties: {
+        defaultHyphenated: boolean,
+        defaultMinSyllables: nonNegativeInteger,
+        includeIntervalInOutput: boolean
+      }
+    },
+    training: {
+      type: 'object',
+      properties: {
+        learningRate: { type: 'number', minimum: 0 },
+        maxIterations: positiveInteger,
+        convergenceThreshold: nonNegativeNumber
+      }
+    },
+    separatorBalancing: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        historySize: positiveInteger,
+        diversityStrength: { type: 'number', minimum: 0, maximum: 1 },
+        targets: {
+          type: 'object',
+          properties: Object.fromEntries(SEPARATOR_NAMES.map(name => [name, nonNegativeNumber]))
+        }
+      }
+    },
+    blocklist: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        builtin: boolean,
+        words: { type: 'array', items: { type: 'string', pattern: /^[a-zA-Z]+$/ } }
+      }
+    }
+  },
+  required: ['encoding', 'separators', 'scoring', 'phonotactics']
+};
+
+/**
+ * Describe a value for error messages
+ */
+function describe(value) {
+  if (Array.isArray(value)) return 'an array';
+  if (value === null) return 'null';
+  if (typeof value === 'string') return `"${value}"`;
+  if (typeof value === 'object') return 'an object';
+  return String(value);
+}
+
+/**
+ * Join a key path for error messages (arrays use [i])
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Collect schema violations
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Key path of value ("" for the root)
+ * @param {string[]} errors - Collected messages
+ */
+function check(value, schema, path, errors) {
+  const where = path || 'config';
+
+  switch (schema.type) {
+    case 'object': {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`"${where}" must be an object (got ${describe(value)})`);
+        return;
+      }
+
+      for (const key of schema.required || []) {
+        if (!(key in value)) {
+          errors.push(`"${joinPath(path, key)}" is required`);
+        }
+      }
+
+      for (const [key, child] of Object.entries(value)) {
+        const keyPath = joinPath(path, key);
+        const childSchema = schema.properties?.[key];
+
+        if (childSchema) {
+          check(child, childSchema, keyPath, errors);
+        } else if (DOC_KEYS.includes(key)) {
+          if (typeof child !== 'string') {
+            errors.push(`"${keyPath}" must be a string (got ${describe(child)})`);
+          }
+        } else if (typeof schema.additionalProperties === 'object') {
+          check(child, schema.additionalProperties, keyPath, errors);
+        } else if (schema.additionalProperties !== true) {
+          errors.push(`unknown key "${keyPath}"`);
+        }
+      }
+      return;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push(`"${where}" must be an array (got ${describe(value)})`);
+        return;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`"${where}" must have at least ${schema.minItems} item(s)`);
+      }
+      if (schema.items) {
+        value.forEach((item, i) => check(item, schema.items, joinPath(path, i), errors));
+      }
+      return;
+    }
+
+    case 'integer':
+    case 'number': {
+      const valid = schema.type === 'integer' ? Number.isInteger(value) : typeof value === 'number' && isFinite(value);
+      if (!valid) {
+        errors.push(`"${where}" must be ${schema.type === 'integer' ? 'an integer' : 'a number'} (got ${describe(value)})`);
+        return;
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`"${where}" must be >= ${schema.minimum} (got ${value})`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`"${where}" must be <= ${schema.maximum} (got ${value})`);
+      }
+      return;
+    }
+
+    case 'date':
+      // Unix seconds or a date string ("2024-01-01")
+      if (Number.isInteger(value) ? value < 0 : typeof value !== 'string' || isNaN(Date.parse(value))) {
+        errors.push(`"${where}" must be Unix seconds or a date such as "2024-01-01" (got ${describe(value)})`);
+      }
+      return;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`"${where}" must be true or false (got ${describe(value)})`);
+      }
+      return;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`"${where}" must be a string (got ${describe(value)})`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`"${where}" must be one of ${schema.enum.map(v => `"${v}"`).join(', ')} (got "${value}")`);
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`"${where}" must match ${schema.pattern} (got "${value}")`);
+      }
+      return;
+
+    default:
+      throw new Error(`Unknown schema type "${schema.type}" at "${where}"`);
+  }
+}
+
+/**
+ * List all schema violations in a configuration
+ * @param {Object} config - Configuration to check
+ * @param {Object} schema - Schema (default: CONFIG_SCHEMA)
+ * @returns {string[]} Error messages, empty if valid
+ */
+export function getConfigErrors(config, schema = CONFIG_SCHEMA) {
+  const errors = [];
+  check(config, schema, '', errors);
+  return errors;
+}
+
+/**
+ * Validate configuration, throwing on the first problems found
+ * @param {Object} config - Configuration to check
+ * @param {string} source - Where the config came from (for the error message)
+ * @returns {Object} The same configuration
+ */
+export function validateConfig(config, source = 'config') {
+  const errors = getConfigErrors(config);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration in ${source}: ${errors.join('; ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return config;
+}
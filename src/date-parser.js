@@ -0,0 +1,311 @@
+/**
+ * Date Parser
+ * Turns the date expressions people type into instants, for the CLI
+ *
+ * Accepted forms:
+ *   1732127000                        Unix seconds (digits only)
+ *   @1732127000                       Unix seconds, explicit
+ *   2024-11-20T18:23:20Z              ISO 8601 (date, time, fraction, offset)
+ *   Wed, 20 Nov 2024 18:23:20 +0100   RFC 2822
+ *   now, today, yesterday 14:00, 9:30 Relative to the current day
+ *   -3h, +1d12h, 90 minutes ago       Relative to the current instant
+ *
+ * Wall-clock forms without an offset (ISO without "Z", RFC 2822 without a
+ * zone, today/yesterday/tomorrow, HH:MM) are read in the given IANA time
+ * zone, or the process zone if none is given. ISO dates without a time are
+ * midnight in that zone, not UTC as in Date.parse.
+ */
+
+import { toExactNumber } from './encoder.js';
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const UNIT_NAMES = {
+  second: 's', sec: 's', minute: 'm', min: 'm', hour: 'h', day: 'd', week: 'w'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Obsolete RFC 2822 zone names (section 4.3), in minutes east of UTC
+const RFC_ZONES = {
+  UT: 0, GMT: 0, Z: 0,
+  EST: -300, EDT: -240, CST: -360, CDT: -300, MST: -420, MDT: -360, PST: -480, PDT: -420
+};
+
+const DAY_OFFSETS = { today: 0, yesterday: -1, tomorrow: 1 };
+
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+const RFC_PATTERN = /^(?:[a-z]{3},\s*)?(\d{1,2})\s+([a-z]{3})\s+(\d{4})\s+(\d{2}):(\d{2})(?::(\d{2}))?(?:\s+([+-]\d{4}|[a-z]{1,3}))?$/i;
+const DAY_PATTERN = /^(?:(today|yesterday|tomorrow)(?:\s+(?:at\s+)?)?)?(?:(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/i;
+const OFFSET_PATTERN = /^([+-])((?:\d+[smhdw])+)$/i;
+const WORDS_PATTERN = /^(?:(in)\s+)?(\d+)\s*(second|sec|minute|min|hour|day|week)s?(?:\s+(ago))?$/i;
+
+/**
+ * Time zone of the running process (honours TZ)
+ * @returns {string} IANA zone name (e.g., "Europe/Prague")
+ */
+export function localTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Check an IANA time zone name
+ * @param {string} timeZone - Zone name (e.g., "America/New_York", "UTC")
+ * @returns {string} The zone name
+ */
+export function checkTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw new Error(`Unknown time zone "${timeZone}" (use an IANA name such as "Europe/Prague" or "UTC")`);
+  }
+  return timeZone;
+}
+
+/**
+ * Wall-clock fields of an instant in a zone
+ */
+function wallClock(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(ms));
+  const field = type => parseInt(parts.find(part => part.type === type).value, 10);
+
+  return {
+    year: field('year'),
+    month: field('month'),
+    day: field('day'),
+    hour: field('hour'),
+    minute: field('minute'),
+    second: field('second')
+  };
+}
+
+/**
+ * UTC offset of a zone at an instant
+ * @param {number} ms - Instant (epoch milliseconds)
+ * @param {string} timeZone - IANA zone name
+ * @returns {number} Minutes east of UTC (e.g., 60 for Europe/Prague in winter)
+ */
+export function zoneOffset(ms, timeZone) {
+  const { year, month, day, hour, minute, second } = wallClock(ms, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+/**
+ * Instant of a wall-clock time in a zone
+ * Month and day may overflow (day 0 is the last day of the previous month).
+ * In a DST gap the time is read with the offset before the change; in an
+ * overlap the earlier instant wins.
+ */
+function fromWallClock({ year, month, day, hour = 0, minute = 0, second = 0, ms = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  const before = asUtc - zoneOffset(asUtc - UNIT_MS.d, timeZone) * UNIT_MS.m;
+  const after = asUtc - zoneOffset(asUtc + UNIT_MS.d, timeZone) * UNIT_MS.m;
+
+  // Prefer the earlier candidate that really shows this wall-clock time
+  for (const candidate of [Math.min(before, after), Math.max(before, after)]) {
+    if (candidate + zoneOffset(candidate, timeZone) * UNIT_MS.m === asUtc) {
+      return candidate;
+    }
+  }
+  return before;
+}
+
+/**
+ * Check wall-clock field ranges (Date.UTC would silently roll them over)
+ */
+function checkFields(input, { month, day, hour = 0, minute = 0, second = 0 }) {
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 60) {
+    throw new Error(`Invalid date "${input}": field out of range`);
+  }
+}
+
+/**
+ * Parse an ISO 8601 offset ("Z", "+01", "+0100", "+01:00") to minutes east of UTC
+ */
+function parseIsoOffset(offset) {
+  if (offset.toUpperCase() === 'Z') return 0;
+  const digits = offset.slice(1).replace(':', '');
+  const minutes = parseInt(digits.slice(0, 2), 10) * 60 + parseInt(digits.slice(2) || '0', 10);
+  return offset[0] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Parse a relative offset such as "-3h" or "+1d12h" to milliseconds
+ */
+function parseOffset(sign, spec) {
+  let total = 0;
+  for (const [, amount, unit] of spec.matchAll(/(\d+)([smhdw])/gi)) {
+    total += parseInt(amount, 10) * UNIT_MS[unit.toLowerCase()];
+  }
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Parse a date expression
+ * @param {string} input - Date expression (see the module header for the forms)
+ * @param {Object} options - Options
+ * @param {number} options.now - Current instant in epoch milliseconds (default: Date.now())
+ * @param {string} options.timeZone - IANA zone for wall-clock forms (default: process zone)
+ * @returns {number} Instant in epoch milliseconds
+ *
+ * @example
+ * parseDateInput('2024-11-20T18:23:20Z');                                   // 1732127000000
+ * parseDateInput('2024-11-20 19:23:20', { timeZone: 'Europe/Prague' });     // 1732127000000
+ * parseDateInput('-3h');                                                   // three hours ago
+ */
+export function parseDateInput(input, options = {}) {
+  const { now = Date.now(), timeZone = localTimeZone() } = options;
+  checkTimeZone(timeZone);
+
+  const text = String(input).trim();
+  let match;
+
+  if (/^@?\d+$/.test(text)) {
+    return parseInt(text.replace('@', ''), 10) * 1000;
+  }
+
+  if (text.toLowerCase() === 'now') {
+    return now;
+  }
+
+  if ((match = ISO_PATTERN.exec(text))) {
+    const [, year, month, day, hour, minute, second, fraction, offset] = match;
+    const fields = {
+      year: parseInt(year, 10),
+      month: parseInt(month, 10),
+      day: parseInt(day, 10),
+      hour: hour ? parseInt(hour, 10) : 0,
+      minute: minute ? parseInt(minute, 10) : 0,
+      second: second ? parseInt(second, 10) : 0,
+      ms: fraction ? parseInt(fraction.padEnd(3, '0').slice(0, 3), 10) : 0
+    };
+    checkFields(text, fields);
+
+    if (offset) {
+      const { year: y, month: mo, day: d, hour: h, minute: mi, second: s, ms } = fields;
+      return Date.UTC(y, mo - 1, d, h, mi, s, ms) - parseIsoOffset(offset) * UNIT_MS.m;
+    }
+    return fromWallClock(fields, timeZone);
+  }
+
+  if ((match = RFC_PATTERN.exec(text))) {
+    const [, day, monthName, year, hour, minute, second, zone] = match;
+    const month = MONTHS.indexOf(monthName.toLowerCase()) + 1;
+    if (month === 0) {
+      throw new Error(`Invalid date "${text}": unknown month "${monthName}"`);
+    }
+    const fields = {
+      year: parseInt(year, 10),
+      month,
+      day: parseInt(day, 10),
+      hour: parseInt(hour, 10),
+      minute: parseInt(minute, 10),
+      second: second ? parseInt(second, 10) : 0
+    };
+    checkFields(text, fields);
+
+    if (!zone) {
+      return fromWallClock(fields, timeZone);
+    }
+
+    let offsetMinutes;
+    if (/^[+-]\d{4}$/.test(zone)) {
+      offsetMinutes = parseIsoOffset(zone);
+    } else if (zone.toUpperCase() in RFC_ZONES) {
+      offsetMinutes = RFC_ZONES[zone.toUpperCase()];
+    } else {
+      throw new Error(`Invalid date "${text}": unknown zone "${zone}" (use a numeric offset such as +0100)`);
+    }
+    return Date.UTC(fields.year, month - 1, fields.day, fields.hour, fields.minute, fields.second) -
+      offsetMinutes * UNIT_MS.m;
+  }
+
+  if (text.length > 0 && (match = DAY_PATTERN.exec(text))) {
+    const [, dayWord, hour, minute, second] = match;
+    const today = wallClock(now, timeZone);
+    const fields = {
+      year: today.year,
+      month: today.month,
+      day: today.day + (dayWord ? DAY_OFFSETS[dayWord.toLowerCase()] : 0),
+      hour: hour ? parseInt(hour, 10) : 0,
+      minute: minute ? parseInt(minute, 10) : 0,
+      second: second ? parseInt(second, 10) : 0
+    };
+    checkFields(text, { ...fields, day: 1 });
+    return fromWallClock(fields, timeZone);
+  }
+
+  if ((match = OFFSET_PATTERN.exec(text))) {
+    return now + parseOffset(match[1], match[2]);
+  }
+
+  if ((match = WORDS_PATTERN.exec(text))) {
+    const [, future, amount, unitName, ago] = match;
+    if (Boolean(future) === Boolean(ago)) {
+      throw new Error(`Invalid date "${text}": use "in N ${unitName}s" or "N ${unitName}s ago"`);
+    }
+    const delta = parseInt(amount, 10) * UNIT_MS[UNIT_NAMES[unitName.toLowerCase()]];
+    return ago ? now - delta : now + delta;
+  }
+
+  throw new Error(
+    `Cannot read date "${text}": use Unix seconds, @<unix>, ISO 8601 (2024-11-20T18:23:20Z), ` +
+    'RFC 2822 (Wed, 20 Nov 2024 18:23:20 +0000) or a relative expression ("yesterday 14:00", "-3h")'
+  );
+}
+
+/**
+ * Parse a date expression to a timestamp in precision units
+ * Digits alone are a timestamp already in precision units, read exactly
+ * (BigInt beyond Number.MAX_SAFE_INTEGER); anything else is a date expression.
+ * @param {string} input - Timestamp or date expression
+ * @param {Object} options - parseDateInput options, plus:
+ * @param {string} options.precision - Unit of the result: 's', 'ms' or 'ns' (default: 's')
+ * @returns {number|bigint} Timestamp in precision units
+ */
+export function parseTimestamp(input, options = {}) {
+  const { precision = 's', ...dateOptions } = options;
+  const text = String(input).trim();
+
+  if (/^\d+$/.test(text)) {
+    return toExactNumber(BigInt(text));
+  }
+
+  const ms = parseDateInput(text, dateOptions);
+  if (precision === 'ms') return ms;
+  if (precision === 'ns') return toExactNumber(BigInt(ms) * 1000000n);
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * Format an instant as wall-clock time in a zone
+ * @param {number} ms - Instant in epoch milliseconds
+ * @param {string} timeZone - IANA zone name (default: process zone)
+ * @returns {string} e.g. "2024-11-20 19:23:20 +01:00 (Europe/Prague)"
+ */
+export function formatInZone(ms, timeZone = localTimeZone()) {
+  const { year, month, day, hour, minute, second } = wallClock(ms, timeZone);
+  const offset = zoneOffset(ms, timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)} ` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)} (${timeZone})`;
+}
@@ -1,126 +1,84 @@
 /**
  * Decoder for Phonetic Versioning
  * Converts phonetic version strings back to numbers/timestamps
+ * Module-level functions use the default versioner (see versioner.js)
  */
 
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { decodeSyllableIndices, deinterleaveDigits } from './encoder.js';
-import { loadConfig } from './config-loader.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load syllables
-let syllablesData = null;
-
-function loadSyllables() {
-  if (!syllablesData) {
-    const syllablesPath = join(__dirname, '../data/syllables.json');
-    syllablesData = JSON.parse(readFileSync(syllablesPath, 'utf8'));
-  }
-  return syllablesData;
-}
+import { getDefaultVersioner } from './versioner.js';
 
 /**
- * Create reverse lookup map from syllables to indices
- * @returns {Map<string, number>} Map of syllable -> index
+ * Parse version string into every valid syllable segmentation
+ * Separators (space, dot, colon, tilde, hyphen, apostrophe, ...) are hard
+ * boundaries: a syllable never spans one. Each separator-free segment is split
+ * with full backtracking and the per-segment results are combined. Repeated
+ * ambiguous words multiply the number of splits, so pass a limit for input
+ * that is not a generated name.
+ * @param {string} version - Version string (e.g., "sipli" or "sip-li")
+ * @param {number} limit - Most segmentations to return (default: all)
+ * @returns {string[][]} Valid segmentations (at least one)
  */
-function createReverseLookup() {
-  const data = loadSyllables();
-  const map = new Map();
-
-  data.syllables.forEach((syllable, index) => {
-    map.set(syllable.toLowerCase(), index);
-  });
-
-  return map;
+export function parseVersionToSyllableCandidates(version, limit) {
+  return getDefaultVersioner().parseSyllableCandidates(version, limit);
 }
 
 /**
  * Parse version string into syllables
- * Handles both plain concatenation and hyphen-separated formats
+ * Handles both plain concatenation and separated formats. Throws when the
+ * string splits into syllables in more than one way, listing the candidates,
+ * rather than guessing and decoding the wrong timestamp.
  * @param {string} version - Version string (e.g., "braktofen" or "brak-to-fen")
  * @returns {string[]} Array of syllables
  */
 export function parseVersionToSyllables(version) {
-  // Handle empty string
-  if (!version || version.length === 0) {
-    throw new Error('Cannot parse empty version string');
-  }
-
-  // Clean: Remove everything except lowercase a-z letters
-  // This removes all separators: space, dot, colon, tilde, hyphen, apostrophe
-  const cleaned = version.toLowerCase().replace(/[^a-z]/g, '');
-
-  if (cleaned.length === 0) {
-    throw new Error('Cannot parse version string: no valid syllables found');
-  }
-
-  // Try to match syllables greedily
-  const data = loadSyllables();
-  const syllables = [];
-  let remaining = cleaned;
-
-  while (remaining.length > 0) {
-    let matched = false;
-
-    // Try to match longest syllable first (6 chars down to 1)
-    for (let len = 6; len >= 1; len--) {
-      if (remaining.length >= len) {
-        const candidate = remaining.substring(0, len);
-        if (data.syllables.includes(candidate)) {
-          syllables.push(candidate);
-          remaining = remaining.substring(len);
-          matched = true;
-          break;
-        }
-      }
-    }
-
-    if (!matched) {
-      throw new Error(`Cannot parse version string: unrecognized syllable at "${remaining}"`);
-    }
-  }
+  return getDefaultVersioner().parseSyllables(version);
+}
 
-  return syllables;
+/**
+ * Decode version string with details about embedded markers
+ * @param {string} version - Version string (e.g., "braktofen")
+ * @param {Object} options - Options
+ * @param {boolean} options.embedInterval - Last syllable is an interval tier marker (default: from config.encoding.embedInterval)
+ * @param {boolean} options.checksum - Last syllable is a check syllable (default: from config.encoding.checksum)
+ * @param {boolean} options.blocklist - Undo blocklist avoidance (default: from config.blocklist.enabled)
+ * @param {string} options.ordering - 'interleaved' or 'sortable' (default: from config.encoding.ordering)
+ * @returns {Object} { normalized, syllables, tier, interval, variant } - tier/interval are null unless embedded,
+ *   variant is the blocklist flag (null for plain names)
+ */
+export function decodeVersionDetailed(version, options = {}) {
+  return getDefaultVersioner().decodeDetailed(version, options);
 }
 
 /**
  * Decode version string to number
  * @param {string} version - Version string (e.g., "braktofen")
- * @returns {number} The decoded number
+ * @param {Object} options - Options (see decodeVersionDetailed)
+ * @returns {number|bigint} The decoded number (BigInt if beyond Number.MAX_SAFE_INTEGER)
  */
-export function decodeVersion(version) {
-  const config = loadConfig();
-  const syllables = parseVersionToSyllables(version);
-  const lookup = createReverseLookup();
-  let indices = [];
-
-  for (const syllable of syllables) {
-    const index = lookup.get(syllable);
-    if (index === undefined) {
-      throw new Error(`Unknown syllable: "${syllable}"`);
-    }
-    indices.push(index);
-  }
-
-  // Apply deinterleaving if enabled (reverse the interleaving)
-  if (config.encoding.digitInterleaving) {
-    indices = deinterleaveDigits(indices);
-  }
-
-  return decodeSyllableIndices(indices);
+export function decodeVersion(version, options = {}) {
+  return getDefaultVersioner().decode(version, options);
 }
 
 /**
  * Decode version string to timestamp
  * @param {string} version - Version string
- * @param {number} buildInterval - Build interval in seconds (default: 180)
- * @returns {number} Unix timestamp
+ * @param {number} buildInterval - Build interval in precision units (default: embedded tier, else config.encoding.baseInterval, or 1 unit for 'ms'/'ns')
+ * @param {Object} options - Options (see decodeVersionDetailed; plus precision 's', 'ms' or 'ns')
+ * @returns {number|bigint} Unix timestamp in precision units (see parseVersion)
+ */
+export function decodeToTimestamp(version, buildInterval = null, options = {}) {
+  return getDefaultVersioner().parse(version, buildInterval, options).timestamp;
+}
+
+/**
+ * Pick the interval used for decoding
+ * An embedded tier wins over the config default; an explicit interval that
+ * contradicts the embedded tier is an error rather than a silent override.
+ * @param {string} version - Version string (for error messages)
+ * @param {number|null} requested - Interval passed by the caller
+ * @param {number|null} embedded - Interval read from the tier marker (seconds)
+ * @param {string} precision - Unit of requested and of the result: 's', 'ms' or 'ns' (default: 's')
+ * @returns {number} Interval in precision units
  */
-export function decodeToTimestamp(version, buildInterval = 180) {
-  const normalized = decodeVersion(version);
-  return normalized * buildInterval;
+export function resolveInterval(version, requested, embedded, precision = 's') {
+  return getDefaultVersioner().resolveInterval(version, requested, embedded, precision);
 }
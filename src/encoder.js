@@ -32,9 +32,20 @@ function getSyllableCount() {
   return syllableCount;
 }
 
+/**
+ * Return a BigInt as a Number when that is exact, otherwise keep the BigInt
+ * @param {bigint} value - Non-negative integer
+ * @returns {number|bigint} Number if value <= Number.MAX_SAFE_INTEGER
+ */
+export function toExactNumber(value) {
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+}
+
 /**
  * Convert number to base-N array
- * @param {number} num - The number to encode
+ * Numbers beyond Number.MAX_SAFE_INTEGER are rejected rather than silently
+ * rounded; pass them as BigInt.
+ * @param {number|bigint} num - The number to encode (non-negative integer)
  * @param {number} base - The base to use (default: auto-detect from syllables)
  * @returns {number[]} Array of base-N digits
  */
@@ -43,6 +54,28 @@ export function toBaseN(num, base = null) {
     base = getSyllableCount();
   }
 
+  if (typeof num === 'bigint') {
+    if (num < 0n) {
+      throw new Error(`Cannot encode negative number ${num}`);
+    }
+    if (num === 0n) return [0];
+
+    const digits = [];
+    const bigBase = BigInt(base);
+    let remaining = num;
+
+    while (remaining > 0n) {
+      digits.unshift(Number(remaining % bigBase));
+      remaining /= bigBase;
+    }
+
+    return digits;
+  }
+
+  if (num > Number.MAX_SAFE_INTEGER) {
+    throw new Error(`Cannot encode ${num} exactly: it exceeds Number.MAX_SAFE_INTEGER, pass a BigInt instead`);
+  }
+
   if (num === 0) return [0];
 
   const digits = [];
@@ -60,20 +93,21 @@ export function toBaseN(num, base = null) {
  * Convert base-N array back to number
  * @param {number[]} digits - Array of base-N digits
  * @param {number} base - The base to use (default: auto-detect from syllables)
- * @returns {number} The decoded number
+ * @returns {number|bigint} The decoded number (BigInt if beyond Number.MAX_SAFE_INTEGER)
  */
 export function fromBaseN(digits, base = null) {
   if (base === null) {
     base = getSyllableCount();
   }
 
-  let num = 0;
+  const bigBase = BigInt(base);
+  let num = 0n;
 
   for (let i = 0; i < digits.length; i++) {
-    num = num * base + digits[i];
+    num = num * bigBase + BigInt(digits[i]);
   }
 
-  return num;
+  return toExactNumber(num);
 }
 
 /**
@@ -96,12 +130,13 @@ export function fromBase128(digits) {
 
 /**
  * Encode number to syllable indices
- * @param {number} num - The number to encode
+ * @param {number|bigint} num - The number to encode
  * @param {number} minLength - Minimum number of syllables (padding)
+ * @param {number} base - The base to use (default: auto-detect from syllables)
  * @returns {number[]} Array of syllable indices
  */
-export function encodeToSyllableIndices(num, minLength = 0) {
-  const indices = toBaseN(num); // Uses auto-detected base
+export function encodeToSyllableIndices(num, minLength = 0, base = null) {
+  const indices = toBaseN(num, base);
 
   // Pad with zeros if needed
   while (indices.length < minLength) {
@@ -114,10 +149,59 @@ export function encodeToSyllableIndices(num, minLength = 0) {
 /**
  * Decode syllable indices to number
  * @param {number[]} indices - Array of syllable indices
- * @returns {number} The decoded number
+ * @param {number} base - The base to use (default: auto-detect from syllables)
+ * @returns {number|bigint} The decoded number (BigInt if beyond Number.MAX_SAFE_INTEGER)
+ */
+export function decodeSyllableIndices(indices, base = null) {
+  return fromBaseN(indices, base);
+}
+
+/**
+ * Weight of a digit in the check sum (Luhn-style alternating 1, 2 from the right)
+ * @param {number} positionFromRight - 0 for the check digit itself
+ * @returns {number} 1 or 2
+ */
+function checkWeight(positionFromRight) {
+  return positionFromRight % 2 === 0 ? 1 : 2;
+}
+
+/**
+ * Compute check digit over base-N digits
+ *
+ * Weighted sum mod N with alternating weights 1 and 2. For an odd base both
+ * weights and their difference are invertible mod N, so every single-digit
+ * substitution and every adjacent transposition changes the sum.
+ *
+ * @param {number[]} digits - Digits in emitted order (without check digit)
+ * @param {number} base - The base to use (default: auto-detect from syllables)
+ * @returns {number} Check digit (0..base-1)
+ */
+export function computeCheckDigit(digits, base = null) {
+  if (base === null) {
+    base = getSyllableCount();
+  }
+
+  if (base % 2 === 0) {
+    throw new Error(`Check digit requires an odd base, got ${base}`);
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    sum = (sum + checkWeight(digits.length - i) * digits[i]) % base;
+  }
+
+  return (base - sum) % base;
+}
+
+/**
+ * Verify digits whose last element is a check digit
+ * @param {number[]} digits - Digits in emitted order, check digit last
+ * @param {number} base - The base to use (default: auto-detect from syllables)
+ * @returns {boolean} True if the check digit matches
  */
-export function decodeSyllableIndices(indices) {
-  return fromBaseN(indices); // Uses auto-detected base
+export function verifyCheckDigit(digits, base = null) {
+  if (digits.length < 2) return false;
+  return computeCheckDigit(digits.slice(0, -1), base) === digits[digits.length - 1];
 }
 
 /**
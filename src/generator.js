@@ -1,152 +1,84 @@
 /**
  * Phonetic Version Generator
  * Main API for generating pronounceable version names from timestamps
+ * Module-level functions use the default versioner (see versioner.js)
  */
 
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { encodeToSyllableIndices, interleaveDigits } from './encoder.js';
-import { decodeVersion, decodeToTimestamp } from './decoder.js';
-import { loadConfig, findOptimalInterval, estimateSyllableCount } from './config-loader.js';
-import { addSmartSeparators } from './separators.js';
+import { getDefaultVersioner } from './versioner.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load syllables
-let syllablesData = null;
-
-function loadSyllables() {
-  if (!syllablesData) {
-    const syllablesPath = join(__dirname, '../data/syllables.json');
-    syllablesData = JSON.parse(readFileSync(syllablesPath, 'utf8'));
-  }
-  return syllablesData;
-}
+export { createVersioner } from './versioner.js';
+export { suggestVersions } from './suggest.js';
+export { encodeNumber, decodeNumber, encodeBytes, decodeBytes, encodeGitSha, decodeGitSha } from './codec.js';
+export { compareVersions, versionDistance, isBetween, versionsInRange } from './compare.js';
 
 /**
  * Generate phonetic version from timestamp
- * @param {number} timestamp - Unix timestamp (seconds). If not provided, uses current time.
+ * @param {number|bigint} timestamp - Unix timestamp in precision units (default: seconds). If not provided, uses current time.
  * @param {Object} options - Options
- * @param {number} options.buildInterval - Build interval in seconds (auto-detected if not provided)
+ * @param {number} options.buildInterval - Build interval in precision units (auto-detected if not provided)
  * @param {boolean} options.hyphenated - Use hyphens between syllables (default: false, legacy)
  * @param {boolean} options.smartSeparators - Use smart separator logic (default: from config.separators.enabled)
  * @param {number} options.minSyllables - Minimum number of syllables (default: 0)
  * @param {number} options.maxSyllables - Maximum syllables (adaptive compression, default: 6)
  * @param {boolean} options.adaptiveCompression - Use adaptive interval (default: true from config)
- * @returns {string|Object} Phonetic version string, or object with metadata if returnMetadata=true
+ * @param {Object} options.balancer - Explicit separator balancer (e.g., createSeparatorBalancer()); default is deterministic
+ * @param {string} options.placement - Separator placement: 'greedy' or 'optimal' (see addSmartSeparators) (default: from config)
+ * @param {boolean} options.embedInterval - Append an interval tier marker syllable so the name is self-describing (default: from config)
+ * @param {boolean} options.checksum - Append a check syllable so typos are detected on decode (default: from config)
+ * @param {boolean} options.blocklist - Re-encode names containing blocked words (default: from config.blocklist.enabled)
+ * @param {string} options.ordering - 'interleaved' or 'sortable' (fixed width, string order = time order) (default: from config)
+ * @param {string} options.precision - Timestamp unit 's', 'ms' or 'ns'; config intervals are scaled to it (default: from config)
+ * @param {number|string} options.epoch - Project start (Unix seconds or date string) subtracted before encoding (default: from config)
+ * @param {string|Object} options.profile - Output profile: 'display', 'docker', 'dns', 'filename' or 'url' (see profiles.js)
+ * @param {boolean} options.returnMetadata - Return an object instead of the string (default: false)
+ * @param {boolean} options.explain - Return metadata plus explanation: why each separator was placed
+ *   (per-round, per-boundary scores, rules, balancer multipliers; see addSmartSeparators) (default: false)
+ * @returns {string|Object} Phonetic version string, or with returnMetadata: { version, syllables (count),
+ *   parts (syllable strings), separators ([{ position, offset, separator }]), interval, normalized,
+ *   timestamp, compressed, tier, variant, precision, epoch, explanation (with explain) }
  */
 export function generateVersion(timestamp = null, options = {}) {
-  const config = loadConfig();
-  const encodingConfig = config.encoding;
-  const separatorConfig = config.separators;
-
-  const {
-    hyphenated = false,
-    smartSeparators = separatorConfig.enabled,
-    minSyllables = 0,
-    maxSyllables = encodingConfig.maxSyllables,
-    adaptiveCompression = encodingConfig.adaptiveCompression,
-    returnMetadata = false
-  } = options;
-
-  // Use current time if not provided
-  const ts = timestamp ?? Math.floor(Date.now() / 1000);
-
-  // Find optimal interval (adaptive compression)
-  let buildInterval;
-  if (options.buildInterval) {
-    buildInterval = options.buildInterval;
-  } else if (adaptiveCompression) {
-    buildInterval = findOptimalInterval(ts, maxSyllables);
-  } else {
-    buildInterval = encodingConfig.baseInterval;
-  }
-
-  // Normalize by build interval
-  const normalized = Math.floor(ts / buildInterval);
-
-  // Convert to syllable indices
-  let indices = encodeToSyllableIndices(normalized, minSyllables);
-
-  // Apply digit interleaving if enabled (mix fast/slow changing digits)
-  if (encodingConfig.digitInterleaving) {
-    indices = interleaveDigits(indices);
-  }
-
-  // Map to syllables
-  const data = loadSyllables();
-  const syllables = indices.map(index => data.syllables[index]);
-
-  // Apply separators
-  let version;
-  if (smartSeparators) {
-    // Use smart separator logic (configurable, can be disabled)
-    version = addSmartSeparators(syllables);
-  } else if (hyphenated) {
-    // Legacy: simple hyphens between all syllables
-    version = syllables.join('-');
-  } else {
-    // No separators
-    version = syllables.join('');
-  }
-
-  if (returnMetadata) {
-    return {
-      version,
-      syllables: syllables.length,
-      interval: buildInterval,
-      normalized,
-      timestamp: ts,
-      compressed: buildInterval > encodingConfig.baseInterval
-    };
-  }
-
-  return version;
+  return getDefaultVersioner().generate(timestamp, options);
 }
 
 /**
  * Parse version string back to timestamp
  * @param {string} version - Phonetic version string
- * @param {number} buildInterval - Build interval in seconds (default: 180)
- * @returns {Object} Object with timestamp and ISO date string
+ * @param {number} buildInterval - Build interval in precision units (default: embedded tier, else config.encoding.baseInterval, or 1 unit for 'ms'/'ns')
+ * @param {Object} options - Options
+ * @param {boolean} options.embedInterval - Version carries an interval tier marker (default: from config)
+ * @param {boolean} options.checksum - Version ends with a check syllable (default: from config)
+ * @param {boolean} options.blocklist - Version may carry a blocklist flag syllable (default: from config)
+ * @param {string} options.ordering - Ordering the version was generated with (default: from config)
+ * @param {string} options.precision - Unit of the returned timestamp 's', 'ms' or 'ns' (default: from config)
+ * @param {number|string} options.epoch - Epoch the version was generated with; added back (default: from config)
+ * @returns {Object} Object with timestamp, ISO date string and the interval used. The timestamp is a BigInt
+ *   for 'ns' and whenever it exceeds Number.MAX_SAFE_INTEGER, so decoding round-trips exactly.
  */
-export function parseVersion(version, buildInterval = 180) {
-  const timestamp = decodeToTimestamp(version, buildInterval);
-  const date = new Date(timestamp * 1000);
-
-  return {
-    timestamp,
-    date: date.toISOString(),
-    normalized: Math.floor(timestamp / buildInterval)
-  };
+export function parseVersion(version, buildInterval = null, options = {}) {
+  return getDefaultVersioner().parse(version, buildInterval, options);
 }
 
 /**
  * Validate version string format
  * @param {string} version - Version string to validate
+ * @param {Object} options - Decoding options (see parseVersion)
  * @returns {boolean} True if valid, false otherwise
  */
-export function isValidVersion(version) {
-  try {
-    decodeVersion(version);
-    return true;
-  } catch (error) {
-    return false;
-  }
+export function isValidVersion(version, options = {}) {
+  return getDefaultVersioner().validate(version, options);
 }
 
 /**
  * Get statistics about the syllable set
- * @returns {Object} Statistics object
+ * Coverage lists, per data syllable count, how many years from the epoch the
+ * names reach at the given interval (markers and check syllables not counted).
+ * @param {Object} options - Options
+ * @param {number|string} options.epoch - Epoch (default: from config)
+ * @param {number} options.buildInterval - Build interval in seconds (default: config.encoding.baseInterval)
+ * @param {number} options.maxSyllables - Largest syllable count to report (default: config.encoding.maxSyllables)
+ * @returns {Object} Statistics object with coverage: [{ syllables, years, until }]
  */
-export function getStats() {
-  const data = loadSyllables();
-  return {
-    totalSyllables: data.syllables.length,
-    distribution: data.distribution,
-    phonotactics: data.phonotactics,
-    bitsPerSyllable: Math.log2(data.syllables.length)
-  };
+export function getStats(options = {}) {
+  return getDefaultVersioner().stats(options);
 }
@@ -0,0 +1,167 @@
+/**
+ * Git Integration
+ * Names commits by their committer timestamp, tags releases and finds the
+ * commits a name refers to, through the local git binary
+ */
+
+import { execFileSync } from 'child_process';
+import { createVersioner, getDefaultVersioner } from './versioner.js';
+import { loadConfig } from './config-loader.js';
+
+/**
+ * Run a git command and return its trimmed stdout
+ * @param {string[]} args - Arguments after "git"
+ * @param {string} cwd - Working directory (inside the repository)
+ * @returns {string} Trimmed stdout
+ */
+function runGit(args, cwd) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe']
+    }).trim();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('git executable not found: install git or add it to PATH');
+    }
+    const stderr = error.stderr ? String(error.stderr).trim() : error.message;
+    throw new Error(`git ${args[0]} failed: ${stderr}`);
+  }
+}
+
+/**
+ * Versioner for a repository: the one passed in, else the project config found from cwd
+ */
+function versionerFor(cwd, versioner) {
+  if (versioner) return versioner;
+  return cwd ? createVersioner({ config: loadConfig({ cwd }) }) : getDefaultVersioner();
+}
+
+/**
+ * Turn a version name into a valid tag name
+ * Spaces, "~" and ":" are not allowed in git refs; they become "-", which
+ * decodes the same (every non-letter is a separator).
+ * @param {string} version - Version name
+ * @param {string} prefix - Tag prefix (e.g., "v" or "release/")
+ * @returns {string} Tag name
+ */
+export function toTagName(version, prefix = '') {
+  return prefix + version.replace(/[\s~:^?*[\\]+/g, '-');
+}
+
+/**
+ * Read commit hash and committer timestamp of a ref
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Repository directory (default: process.cwd())
+ * @param {string} options.ref - Commit-ish (default: HEAD)
+ * @returns {Object} { commit, timestamp } - full hash, Unix seconds
+ */
+export function getCommitTimestamp(options = {}) {
+  const { cwd = process.cwd(), ref = 'HEAD' } = options;
+
+  const output = runGit(['log', '-1', '--format=%H %ct', ref, '--'], cwd);
+  const [commit, timestamp] = output.split(' ');
+  if (!commit || !timestamp) {
+    throw new Error(`No commit found for ref "${ref}"`);
+  }
+
+  return { commit, timestamp: parseInt(timestamp, 10) };
+}
+
+/**
+ * Generate the version name of a commit from its committer timestamp
+ *
+ * @param {Object} options - Options; generateVersion options (buildInterval, checksum, ...) are passed through
+ * @param {string} options.cwd - Repository directory (default: process.cwd()); its project config is used
+ * @param {string} options.ref - Commit-ish (default: HEAD)
+ * @param {boolean} options.tag - Create an annotated tag for the name (default: false)
+ * @param {string} options.tagPrefix - Prefix for the tag name (default: "")
+ * @param {string} options.message - Tag message (default: "Release <version>")
+ * @param {Object} options.versioner - Versioner to use (default: from the project config at cwd)
+ * @returns {Object} { version, commit, timestamp, date, tag } - tag is null unless created
+ *
+ * @example
+ * const { version } = fromGit({ ref: 'main', tag: true, tagPrefix: 'v' });
+ */
+export function fromGit(options = {}) {
+  const {
+    cwd = process.cwd(),
+    ref = 'HEAD',
+    tag = false,
+    tagPrefix = '',
+    message = null,
+    versioner = null,
+    ...generateOptions
+  } = options;
+
+  const { commit, timestamp } = getCommitTimestamp({ cwd, ref });
+
+  // Git timestamps are whole seconds
+  const version = versionerFor(options.cwd, versioner).generate(timestamp, { ...generateOptions, precision: 's' });
+
+  let tagName = null;
+  if (tag) {
+    tagName = toTagName(version, tagPrefix);
+    runGit(['tag', '-a', tagName, '-m', message || `Release ${version}`, commit], cwd);
+  }
+
+  return {
+    version,
+    commit,
+    timestamp,
+    date: new Date(timestamp * 1000).toISOString(),
+    tag: tagName
+  };
+}
+
+/**
+ * Find the commits a version name refers to
+ * Decodes the name and lists every commit (on all refs) whose committer
+ * timestamp falls inside the decoded interval window.
+ *
+ * @param {string} version - Version name or tag name
+ * @param {Object} options - Options; parseVersion options (checksum, embedInterval, epoch) are passed through
+ * @param {string} options.cwd - Repository directory (default: process.cwd()); its project config is used
+ * @param {string} options.tagPrefix - Prefix stripped from a tag name (default: "")
+ * @param {number} options.buildInterval - Build interval in seconds (default: embedded tier, else config)
+ * @param {Object} options.versioner - Versioner to use (default: from the project config at cwd)
+ * @returns {Object} { from, until, interval, commits: [{ commit, timestamp, date, subject }] }
+ */
+export function resolveGitVersion(version, options = {}) {
+  const {
+    cwd = process.cwd(),
+    buildInterval = null,
+    versioner = null,
+    tagPrefix = '',
+    ...parseOptions
+  } = options;
+
+  const name = tagPrefix && version.startsWith(tagPrefix) ? version.slice(tagPrefix.length) : version;
+  const parsed = versionerFor(options.cwd, versioner).parse(name, buildInterval, { ...parseOptions, precision: 's' });
+  const from = parsed.timestamp;
+  const until = from + parsed.interval - 1;
+
+  const output = runGit(
+    ['log', '--all', `--since=@${from}`, `--until=@${until}`, '--format=%H%x09%ct%x09%s'],
+    cwd
+  );
+
+  const commits = output
+    .split('\n')
+    .filter(line => line.length > 0)
+    .map(line => {
+      const [commit, ts, ...subject] = line.split('\t');
+      const timestamp = parseInt(ts, 10);
+      return { commit, timestamp, date: new Date(timestamp * 1000).toISOString(), subject: subject.join('\t') };
+    })
+    // --since/--until are approximate on skewed history; keep the exact window
+    .filter(c => c.timestamp >= from && c.timestamp <= until);
+
+  return {
+    from,
+    until,
+    interval: parsed.interval,
+    commits
+  };
+}
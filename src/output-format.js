@@ -0,0 +1,148 @@
+/**
+ * Output Formats
+ * Serializes CLI results for scripts: JSON, YAML, shell variables and
+ * GitHub Actions step outputs
+ *
+ * BigInt values (nanosecond timestamps) are written as decimal strings in
+ * JSON and as plain integers in YAML. env and github-output flatten nested
+ * objects into underscore-joined keys; arrays stay JSON.
+ */
+
+/**
+ * Formats accepted by formatOutput ("text" is the CLI's own layout)
+ */
+export const OUTPUT_FORMATS = ['text', 'json', 'yaml', 'env', 'github-output'];
+
+// Prefix for env variable names, so sourcing the output cannot clobber PATH, HOME, ...
+const ENV_PREFIX = 'PHONETIC_';
+
+/**
+ * JSON.stringify replacer that keeps BigInt values exact
+ */
+function bigintToString(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Format a YAML scalar
+ * Strings are double-quoted (JSON string syntax is valid YAML).
+ */
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '.nan';
+  if (typeof value === 'boolean') return String(value);
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Check if a value is a plain object or array
+ */
+function isNested(value) {
+  return typeof value === 'object' && value !== null;
+}
+
+/**
+ * Serialize a value as YAML lines
+ */
+function toYamlLines(value, indent) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    return value.flatMap(item => {
+      if (isNested(item) && Object.keys(item).length > 0) {
+        const [first, ...rest] = toYamlLines(item, indent + 2);
+        return [`${pad}- ${first.trimStart()}`, ...rest];
+      }
+      return [`${pad}- ${isNested(item) ? (Array.isArray(item) ? '[]' : '{}') : yamlScalar(item)}`];
+    });
+  }
+
+  return Object.entries(value).flatMap(([key, item]) => {
+    if (isNested(item) && Object.keys(item).length > 0) {
+      return [`${pad}${key}:`, ...toYamlLines(item, indent + 2)];
+    }
+    return [`${pad}${key}: ${isNested(item) ? (Array.isArray(item) ? '[]' : '{}') : yamlScalar(item)}`];
+  });
+}
+
+/**
+ * Flatten nested objects into [key path, value] pairs (arrays are kept whole)
+ */
+function flatten(value, path = []) {
+  return Object.entries(value).flatMap(([key, item]) =>
+    isNested(item) && !Array.isArray(item)
+      ? flatten(item, [...path, key])
+      : [[[...path, key], item]]
+  );
+}
+
+/**
+ * Turn a key path into snake_case ("pronunciation.syllableCount" → "pronunciation_syllable_count")
+ */
+function snakeCase(path) {
+  return path
+    .map(key => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_'))
+    .join('_')
+    .toLowerCase();
+}
+
+/**
+ * Flat string value for env and github-output
+ */
+function flatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return JSON.stringify(value, bigintToString);
+  return String(value);
+}
+
+/**
+ * Quote a value for POSIX shells
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Serialize a result object
+ * @param {Object} data - Result (plain objects, arrays, strings, numbers, BigInts, booleans, null)
+ * @param {string} format - 'json', 'yaml', 'env' (PHONETIC_KEY='value', sourceable) or
+ *   'github-output' (key=value lines for >> "$GITHUB_OUTPUT")
+ * @returns {string} Serialized output ending in a newline
+ *
+ * @example
+ * formatOutput({ version: "threm dowsli'ul", parts: ['threm', 'dow'] }, 'env');
+ * // PHONETIC_VERSION='threm dowsli'\''ul'
+ * // PHONETIC_PARTS='["threm","dow"]'
+ */
+export function formatOutput(data, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data, bigintToString, 2) + '\n';
+
+    case 'yaml':
+      return toYamlLines(data, 0).join('\n') + '\n';
+
+    case 'env':
+      return flatten(data)
+        .map(([path, value]) => `${ENV_PREFIX}${snakeCase(path).toUpperCase()}=${shellQuote(flatValue(value))}`)
+        .join('\n') + '\n';
+
+    case 'github-output':
+      return flatten(data)
+        .map(([path, value]) => {
+          const text = flatValue(value);
+          if (!text.includes('\n')) {
+            return `${snakeCase(path)}=${text}`;
+          }
+          // Multi-line values need a delimiter that does not occur in the value
+          let delimiter = 'EOF';
+          while (text.includes(delimiter)) delimiter += '_';
+          return `${snakeCase(path)}<<${delimiter}\n${text}\n${delimiter}`;
+        })
+        .join('\n') + '\n';
+
+    default:
+      throw new Error(`Unknown output format "${format}" (available: ${OUTPUT_FORMATS.join(', ')})`);
+  }
+}
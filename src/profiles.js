@@ -0,0 +1,97 @@
+/**
+ * Output Profiles
+ * Rewrite smart-separated names for places with a restricted alphabet
+ * (Docker tags, DNS labels, filenames, URLs)
+ *
+ * Each separator is mapped to an allowed character. Decoding treats every
+ * non-letter as a separator, so a profiled name decodes like the original.
+ */
+
+/**
+ * Named profiles
+ * separators: map from smart separator to its replacement (null = keep all)
+ * fallback: replacement for separators missing from the map
+ * maxLength: longest allowed name (null = unlimited)
+ * pattern: full-name check after mapping
+ */
+export const PROFILES = {
+  display: {
+    description: 'Human-readable, all smart separators kept',
+    separators: null,
+    fallback: null,
+    maxLength: null,
+    pattern: null
+  },
+  docker: {
+    description: 'Docker image tag ([a-z0-9_.-], max 128, no leading . or -)',
+    separators: { ' ': '-', '. ': '.', "'": '_', ':': '.', '~': '-', '-': '-' },
+    fallback: '-',
+    maxLength: 128,
+    pattern: /^[a-z0-9_][a-z0-9_.-]*$/
+  },
+  dns: {
+    description: 'DNS label / Kubernetes name (RFC 1123: [a-z0-9-], max 63)',
+    separators: { ' ': '-', '. ': '-', "'": '-', ':': '-', '~': '-', '-': '-' },
+    fallback: '-',
+    maxLength: 63,
+    pattern: /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/
+  },
+  filename: {
+    description: 'Portable filename ([a-z0-9._-], max 255)',
+    separators: { ' ': '_', '. ': '.', "'": '-', ':': '.', '~': '-', '-': '-' },
+    fallback: '-',
+    maxLength: 255,
+    pattern: /^[a-z0-9][a-z0-9._-]*$/
+  },
+  url: {
+    description: 'URL path segment, unreserved characters only ([a-z0-9._~-])',
+    separators: { ' ': '-', '. ': '.', "'": '_', ':': '.', '~': '~', '-': '-' },
+    fallback: '-',
+    maxLength: null,
+    pattern: /^[a-z0-9._~-]+$/
+  }
+};
+
+/**
+ * Look up a profile
+ * @param {string|Object} profile - Profile name or profile object (see PROFILES)
+ * @returns {Object} Profile
+ */
+export function getProfile(profile) {
+  if (typeof profile === 'object' && profile !== null) {
+    return profile;
+  }
+
+  const spec = PROFILES[profile];
+  if (!spec) {
+    throw new Error(`Unknown profile "${profile}" (available: ${Object.keys(PROFILES).join(', ')})`);
+  }
+  return spec;
+}
+
+/**
+ * Rewrite a name for a profile
+ * @param {string} version - Name with smart separators (e.g., "threm dowsli'ul")
+ * @param {string|Object} profile - Profile name or object (default: "display")
+ * @returns {string} Name using only the profile's alphabet (e.g., "threm-dowsli-ul" for dns)
+ */
+export function applyProfile(version, profile = 'display') {
+  const spec = getProfile(profile);
+  const name = typeof profile === 'string' ? profile : 'custom';
+
+  let result = version.toLowerCase();
+  if (spec.separators) {
+    result = result.replace(/[^a-z0-9]+/g, sep => spec.separators[sep] ?? spec.fallback);
+  }
+
+  if (spec.maxLength !== null && result.length > spec.maxLength) {
+    throw new Error(
+      `Version "${result}" does not fit the ${name} profile: ${result.length} characters, at most ${spec.maxLength} allowed`
+    );
+  }
+  if (spec.pattern && !spec.pattern.test(result)) {
+    throw new Error(`Version "${result}" does not fit the ${name} profile: must match ${spec.pattern}`);
+  }
+
+  return result;
+}
@@ -0,0 +1,125 @@
+/**
+ * Separator Ratings
+ * Builds alternative punctuations of a name for people to choose from, and
+ * the records that store their choices
+ *
+ * Alternatives vary the boundary winners (analyzeBoundary): the runner-up
+ * separator where one was placed, the strongest separator at a boundary that
+ * got none, and the greedy and optimal placements as generate() renders them
+ * (versioner placeSeparators). A rating record is a training example (see
+ * training.js): { syllables, version } plus the rating and what was shown,
+ * so a ratings file can be passed to "version-gen train" as is.
+ */
+
+import { loadConfig } from './config-loader.js';
+import { analyzeBoundary, findSeparators, joinSyllables, SEPARATOR_MAP } from './separators.js';
+import { parseExample } from './training.js';
+import { createVersioner } from './versioner.js';
+
+/**
+ * Memorability ratings: 1 (forgettable) to 5 (sticks immediately)
+ */
+export const RATING_SCALE = [1, 2, 3, 4, 5];
+
+/**
+ * Separator types scoring above zero at each boundary, best first
+ */
+function rankBoundaries(syllables, config) {
+  const rankings = [];
+  for (let i = 1; i < syllables.length; i++) {
+    const scores = analyzeBoundary(syllables.slice(0, i), syllables.slice(i), syllables, config);
+    rankings.push(Object.entries(scores).filter(([, score]) => score > 0).sort((a, b) => b[1] - a[1]).map(([name]) => name));
+  }
+  return rankings;
+}
+
+/**
+ * Alternative separator placements for a name
+ *
+ * @param {string[]} syllables - Syllables of the name
+ * @param {Object} options - Options
+ * @param {string} options.version - The name as generated; listed first (default: greedy placement)
+ * @param {number} options.count - Maximum alternatives (default: 4)
+ * @param {Object} options.versioner - Versioner that generated the name (default: one for options.config)
+ * @param {Object} options.config - Configuration when no versioner is given (default: loadConfig())
+ * @returns {Object[]} [{ version, source }] - distinct renderings; source is 'generated', 'greedy',
+ *   'optimal', 'runner-up', 'added' or 'plain'
+ *
+ * @example
+ * placementAlternatives(['pew', 'cher', 'shen'], { version: 'pewcher shen' });
+ * // [{ version: 'pewcher shen', source: 'generated' }, { version: 'pewcher-shen', source: 'runner-up' }, ...]
+ */
+export function placementAlternatives(syllables, options = {}) {
+  const { count = 4 } = options;
+  const versioner = options.versioner || createVersioner({ config: options.config || loadConfig() });
+  const { config } = versioner;
+  const alternatives = [];
+
+  const add = (source, separators) => {
+    const version = joinSyllables(syllables, separators);
+    if (!alternatives.some(alternative => alternative.version === version)) {
+      alternatives.push({ version, source });
+    }
+  };
+
+  const placed = version => findSeparators(version, syllables);
+  const greedy = versioner.placeSeparators(syllables, { placement: 'greedy' });
+  const base = placed(options.version ?? greedy);
+
+  if (options.version) add('generated', base);
+  add('greedy', placed(greedy));
+  add('optimal', placed(versioner.placeSeparators(syllables, { placement: 'optimal' })));
+
+  const rankings = rankBoundaries(syllables, config);
+
+  // Swap each placed separator for the next best one at its boundary
+  for (const separator of base) {
+    const current = Object.keys(SEPARATOR_MAP).find(name => SEPARATOR_MAP[name].trim() === separator.separator.trim());
+    const next = rankings[separator.position - 1].find(name => name !== current);
+    if (next) {
+      add('runner-up', base.map(s => (s === separator ? { ...s, separator: SEPARATOR_MAP[next] } : s)));
+    }
+  }
+
+  // Add the winner at the strongest boundary that has none
+  const free = rankings
+    .map((ranking, i) => ({ position: i + 1, name: ranking[0] }))
+    .filter(({ position, name }) => name && !base.some(s => Math.abs(s.position - position) <= 1));
+  if (free.length > 0) {
+    add('added', [...base, { position: free[0].position, separator: SEPARATOR_MAP[free[0].name] }]);
+  }
+
+  add('plain', []);
+
+  return alternatives.slice(0, count);
+}
+
+/**
+ * Build a rating record
+ * @param {Object} rating - Rating
+ * @param {string[]} rating.syllables - Syllables of the name
+ * @param {string} rating.version - Chosen rendering (one of the alternatives, or typed by the rater)
+ * @param {number} rating.rating - Memorability of the chosen name, 1 to 5
+ * @param {Object[]} rating.alternatives - The alternatives shown ({ version, source })
+ * @param {number|bigint} rating.timestamp - Timestamp the name encodes
+ * @returns {Object} { syllables, version, rating, source, alternatives, timestamp, ratedAt } - a valid
+ *   training example (see parseExample)
+ */
+export function createRatingRecord({ syllables, version, rating, alternatives = [], timestamp = null }) {
+  if (!RATING_SCALE.includes(rating)) {
+    throw new Error(`Rating must be one of ${RATING_SCALE.join(', ')} (got ${JSON.stringify(rating)})`);
+  }
+
+  // Same checks as training input, so every record trains
+  parseExample({ syllables, version });
+
+  return {
+    syllables,
+    version,
+    rating,
+    source: alternatives.find(alternative => alternative.version === version)?.source ?? 'typed',
+    alternatives: alternatives.map(alternative => alternative.version),
+    timestamp: typeof timestamp === 'bigint' ? timestamp.toString() : timestamp,
+    ratedAt: new Date().toISOString()
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * Syllable Segmentation
+ * Splits version strings into known syllables (pure, syllable set passed in)
+ */
+
+// Longest syllable in each syllable set, so custom sets of any length split
+const longestSyllable = new WeakMap();
+
+/**
+ * Length of the longest known syllable
+ * @param {Set<string>} known - Known syllables
+ * @returns {number} Longest length (cached per set)
+ */
+function maxSyllableLength(known) {
+  let longest = longestSyllable.get(known);
+  if (longest === undefined) {
+    longest = 0;
+    for (const syllable of known) {
+      longest = Math.max(longest, syllable.length);
+    }
+    longestSyllable.set(known, longest);
+  }
+  return longest;
+}
+
+/**
+ * Count the ways to split a separator-free segment into known syllables
+ * Works backwards from the end, so each offset is visited once however many
+ * splits share it. Counts are BigInt: a long run of short syllables can split
+ * in more ways than a Number holds exactly.
+ * @param {string} segment - Lowercase letters only
+ * @param {Set<string>} known - Known syllables
+ * @returns {bigint[]} counts[offset] = splits of segment.substring(offset) (counts[0] is the total)
+ */
+function countSplits(segment, known) {
+  const maxLength = maxSyllableLength(known);
+  const counts = new Array(segment.length + 1).fill(0n);
+  counts[segment.length] = 1n;
+
+  for (let offset = segment.length - 1; offset >= 0; offset--) {
+    for (let len = 1; len <= maxLength && offset + len <= segment.length; len++) {
+      if (known.has(segment.substring(offset, offset + len))) {
+        counts[offset] += counts[offset + len];
+      }
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Find the longest prefix of a segment that can still be split into syllables
+ * Used only to point at the offending fragment in error messages.
+ * @param {string} segment - Lowercase letters only
+ * @param {Set<string>} known - Known syllables
+ * @returns {number} Offset where parsing gets stuck
+ */
+function findFailureOffset(segment, known) {
+  const reachable = new Set([0]);
+  let furthest = 0;
+  const maxLength = maxSyllableLength(known);
+
+  for (let offset = 0; offset < segment.length; offset++) {
+    if (!reachable.has(offset)) continue;
+    furthest = offset;
+    for (let len = 1; len <= maxLength && offset + len <= segment.length; len++) {
+      if (known.has(segment.substring(offset, offset + len))) {
+        reachable.add(offset + len);
+      }
+    }
+  }
+
+  return furthest;
+}
+
+/**
+ * Split a version string into separator-free segments with their split counts
+ * @param {string} version - Version string
+ * @param {Set<string>} known - Known syllables (lowercase)
+ * @returns {Object[]} [{ segment, counts }] (see countSplits)
+ */
+function splitSegments(version, known) {
+  // Handle empty string
+  if (!version || version.length === 0) {
+    throw new Error('Cannot parse empty version string');
+  }
+
+  // Split on everything except a-z letters: separators are hard boundaries
+  const segments = version.toLowerCase().split(/[^a-z]+/).filter(s => s.length > 0);
+
+  if (segments.length === 0) {
+    throw new Error('Cannot parse version string: no valid syllables found');
+  }
+
+  return segments.map(segment => {
+    const counts = countSplits(segment, known);
+    if (counts[0] === 0n) {
+      const offset = findFailureOffset(segment, known);
+      throw new Error(`Cannot parse version string: unrecognized syllable at "${segment.substring(offset)}"`);
+    }
+    return { segment, counts };
+  });
+}
+
+/**
+ * Count the valid syllable segmentations of a version string
+ * The product of the per-segment counts, without building any of them.
+ * @param {string} version - Version string (e.g., "sipli" or "sip-li")
+ * @param {Set<string>} known - Known syllables (lowercase)
+ * @returns {bigint} Number of segmentations (at least 1n)
+ */
+export function countSegmentations(version, known) {
+  return splitSegments(version, known).reduce((total, { counts }) => total * counts[0], 1n);
+}
+
+/**
+ * Parse version string into valid syllable segmentations
+ * Separators (space, dot, colon, tilde, hyphen, apostrophe, ...) are hard
+ * boundaries: a syllable never spans one. Segmentations are built one at a
+ * time, following only syllables that still lead to a full split, and the
+ * search stops at the limit. Repeated ambiguous words multiply the count, so
+ * callers that only need to know whether a name is ambiguous pass a small
+ * limit (see countSegmentations for the total).
+ * @param {string} version - Version string (e.g., "sipli" or "sip-li")
+ * @param {Set<string>} known - Known syllables (lowercase)
+ * @param {number} limit - Most segmentations to return (default: all)
+ * @returns {string[][]} Valid segmentations (at least one)
+ */
+export function findSegmentations(version, known, limit = Infinity) {
+  const segments = splitSegments(version, known);
+  const maxLength = maxSyllableLength(known);
+  const results = [];
+
+  const walk = (index, offset, prefix) => {
+    if (results.length >= limit) return;
+    if (index === segments.length) {
+      results.push(prefix);
+      return;
+    }
+
+    const { segment, counts } = segments[index];
+    if (offset === segment.length) {
+      walk(index + 1, 0, prefix);
+      return;
+    }
+
+    for (let len = 1; len <= maxLength && offset + len <= segment.length; len++) {
+      const candidate = segment.substring(offset, offset + len);
+      if (known.has(candidate) && counts[offset + len] > 0n) {
+        walk(index, offset + len, [...prefix, candidate]);
+      }
+    }
+  };
+
+  walk(0, 0, []);
+  return results;
+}
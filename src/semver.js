@@ -0,0 +1,103 @@
+/**
+ * Semver Bridge
+ * Carries phonetic names in semver build metadata (1.4.0+pewcher.shen) or
+ * prerelease identifiers (1.4.0-pewcher.shen), and reads them back
+ */
+
+import { getDefaultVersioner } from './versioner.js';
+
+// MAJOR.MINOR.PATCH without leading zeros (semver 2.0.0, section 2)
+const CORE_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)$/;
+
+// Full semver: core, optional prerelease, optional build metadata
+const SEMVER_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z.-]+))?(?:\+([0-9A-Za-z.-]+))?$/;
+
+/**
+ * Map a phonetic name to semver identifiers
+ * Semver allows only [0-9A-Za-z-] inside identifiers and "." between them.
+ * Word-like breaks (space, ". ", ":") become "." and the rest ("'", "~", "-")
+ * become "-". Decoding is unaffected: every non-letter is a separator.
+ * @param {string} version - Phonetic name (e.g., "threm dowsli'ul")
+ * @returns {string} Semver-safe identifiers (e.g., "threm.dowsli-ul")
+ */
+export function toSemverIdentifiers(version) {
+  const identifiers = version
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z]+/g, sep => (/[\s.:]/.test(sep) ? '.' : '-'));
+
+  if (!/^[a-z]/.test(identifiers) || !/[a-z]$/.test(identifiers)) {
+    throw new Error(`Cannot use "${version}" in semver: it must start and end with a letter`);
+  }
+  return identifiers;
+}
+
+/**
+ * Attach a phonetic name to a semver version
+ * @param {string} base - Release version, MAJOR.MINOR.PATCH (e.g., "1.4.0")
+ * @param {string} version - Phonetic name from generateVersion
+ * @param {Object} options - Options
+ * @param {string} options.type - "build" (1.4.0+name, ignored for precedence) or
+ *   "prerelease" (1.4.0-name, sorts before 1.4.0) (default: "build")
+ * @returns {string} Semver string
+ *
+ * @example
+ * toSemver('1.4.0', 'pewcher shen');                          // "1.4.0+pewcher.shen"
+ * toSemver('1.4.0', 'pewcher shen', { type: 'prerelease' });  // "1.4.0-pewcher.shen"
+ */
+export function toSemver(base, version, options = {}) {
+  const { type = 'build' } = options;
+
+  if (!CORE_PATTERN.test(base)) {
+    throw new Error(`Invalid semver base "${base}": expected MAJOR.MINOR.PATCH without prerelease or build metadata`);
+  }
+  if (type !== 'build' && type !== 'prerelease') {
+    throw new Error(`Unknown semver type "${type}" (expected "build" or "prerelease")`);
+  }
+
+  return `${base}${type === 'build' ? '+' : '-'}${toSemverIdentifiers(version)}`;
+}
+
+/**
+ * Check whether a string looks like semver (phonetic names never start with a digit)
+ * @param {string} value - String to check
+ * @returns {boolean} True if value is a semver string
+ */
+export function isSemver(value) {
+  return SEMVER_PATTERN.test(value);
+}
+
+/**
+ * Parse a semver string and decode its phonetic part
+ * The phonetic part is the build metadata if present, else the prerelease.
+ *
+ * @param {string} value - Semver string (e.g., "1.4.0+pewcher.shen")
+ * @param {number} buildInterval - Build interval (see parseVersion)
+ * @param {Object} options - parseVersion options, plus versioner (default: default versioner)
+ * @returns {Object} { base, major, minor, patch, type, phonetic, ...parseVersion result }
+ */
+export function parseSemver(value, buildInterval = null, options = {}) {
+  const match = SEMVER_PATTERN.exec(value);
+  if (!match) {
+    throw new Error(`Invalid semver string "${value}"`);
+  }
+
+  const [, major, minor, patch, prerelease, build] = match;
+  const type = build !== undefined ? 'build' : prerelease !== undefined ? 'prerelease' : null;
+  if (type === null) {
+    throw new Error(`"${value}" has no build metadata or prerelease to decode`);
+  }
+
+  const phonetic = type === 'build' ? build : prerelease;
+  const versioner = options.versioner || getDefaultVersioner();
+
+  return {
+    base: `${major}.${minor}.${patch}`,
+    major: parseInt(major, 10),
+    minor: parseInt(minor, 10),
+    patch: parseInt(patch, 10),
+    type,
+    phonetic,
+    ...versioner.parse(phonetic, buildInterval, options)
+  };
+}
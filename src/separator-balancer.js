@@ -5,8 +5,39 @@
  * - Context-based weights (from config)
  * - Recent usage history (diversity)
  * - Target distribution goals
+ *
+ * Two balancers share the same interface (adjustScores/recordUsage):
+ * - SeparatorBalancer: history-based, result depends on earlier calls
+ * - HashBalancer: stateless, multipliers derived from a hash of the version
  */
 
+const DEFAULT_TARGETS = {
+  space: 50,
+  dot: 25,
+  colon: 10,
+  tilde: 8,
+  hyphen: 5,
+  apostrophe: 2
+};
+
+/**
+ * FNV-1a hash over a list of integers (32-bit)
+ * @param {number[]} values - Values to hash (e.g., syllable indices)
+ * @param {number} seed - Starting hash (default: FNV offset basis)
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashValues(values, seed = 0x811c9dc5) {
+  let hash = seed >>> 0;
+  for (const value of values) {
+    // Mix all four bytes of each value
+    for (let shift = 0; shift < 32; shift += 8) {
+      hash ^= (value >>> shift) & 0xff;
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+  }
+  return hash;
+}
+
 /**
  * Track recent separator usage for diversity balancing
  */
@@ -16,14 +47,7 @@ class SeparatorBalancer {
     this.history = [];
 
     // Target distribution (percentages)
-    this.targets = config.targets || {
-      space: 50,
-      dot: 25,
-      colon: 10,
-      tilde: 8,
-      hyphen: 5,
-      apostrophe: 2
-    };
+    this.targets = config.targets || DEFAULT_TARGETS;
 
     // Diversity multiplier strength (0-1, where 1 = strict balancing)
     this.diversityStrength = config.diversityStrength || 0.3;
@@ -91,7 +115,7 @@ class SeparatorBalancer {
    * @param {Object} scores - Raw scores from context analysis
    * @returns {Object} Adjusted scores with diversity multipliers
    */
-  adjustScores(scores) {
+  adjustScores(scores, context = {}) {
     const multipliers = this.getDiversityMultipliers();
     const adjusted = {};
 
@@ -157,4 +181,68 @@ class SeparatorBalancer {
   }
 }
 
+/**
+ * Deterministic diversity balancing
+ *
+ * Multipliers come from a hash of the seed (syllable indices) and the boundary
+ * position, never from call history, so the same version always gets the same
+ * punctuation regardless of what was generated before in the process.
+ */
+export class HashBalancer {
+  constructor(config = {}) {
+    this.seed = (config.seed || 0) >>> 0;
+    this.targets = config.targets || DEFAULT_TARGETS;
+    this.diversityStrength = config.diversityStrength || 0.3;
+  }
+
+  /**
+   * Calculate diversity multiplier for each separator at one boundary
+   *
+   * Without history, the target share stands in for the usage gap: a
+   * separator with a larger share than average is boosted and one with a
+   * smaller share is reduced, as SeparatorBalancer does while it is below or
+   * above target. On top, each separator gets a pseudo-random jitter in
+   * [-strength/2, +strength/2]. Clamped like SeparatorBalancer.
+   */
+  getDiversityMultipliers(context = {}) {
+    const position = context.position || 0;
+    const separators = Object.keys(this.targets);
+    const total = separators.reduce((sum, sep) => sum + this.targets[sep], 0);
+    const multipliers = {};
+
+    separators.forEach((sep, sepIndex) => {
+      const share = total > 0 ? (this.targets[sep] / total) * 100 : 0;
+      const diff = 100 / separators.length - share;
+      const unit = hashValues([position, sepIndex], this.seed) / 0x100000000;
+      const adjustment = 1.0 - (diff / 100) * this.diversityStrength + (unit - 0.5) * this.diversityStrength;
+      multipliers[sep] = Math.max(0.5, Math.min(2.0, adjustment));
+    });
+
+    return multipliers;
+  }
+
+  /**
+   * Apply deterministic balancing to scores
+   *
+   * @param {Object} scores - Raw scores from context analysis
+   * @param {Object} context - { position } of the boundary being scored
+   * @returns {Object} Adjusted scores
+   */
+  adjustScores(scores, context = {}) {
+    const multipliers = this.getDiversityMultipliers(context);
+    const adjusted = {};
+
+    for (const sep in scores) {
+      adjusted[sep] = scores[sep] * (multipliers[sep] || 1.0);
+    }
+
+    return adjusted;
+  }
+
+  /**
+   * No-op: deterministic balancing keeps no history
+   */
+  recordUsage(separator) {}
+}
+
 export default SeparatorBalancer;
@@ -0,0 +1,723 @@
+/**
+ * Separator Rule Registry
+ * Boundary scoring as a list of named rules
+ *
+ * A rule adds its weight to one separator's score when its test passes:
+ *
+ *   {
+ *     name: 'hyphen.criticalCluster',       // unique
+ *     separator: 'hyphen',                  // apostrophe, dot, hyphen, space, tilde or colon
+ *     configKey: 'hyphen.criticalCluster',  // scoring.<configKey> holds { weight, enabled } (null: none)
+ *     weight: 100,                          // used when the config has no weight (number or context => number)
+ *     test: (left, right, all, context) => boolean,
+ *     detail: context => string             // optional note for explain traces
+ *   }
+ *
+ * Rules run in registry order: the built-ins (BUILTIN_RULES), then registered
+ * rules. A rule is skipped when its name is in separators.disabledRules or its
+ * config entry has enabled: false. Interest bonuses read context.scores, the
+ * running totals, so order matters.
+ */
+
+import { getConfigValue } from './config-loader.js';
+
+/**
+ * Separators a rule can score
+ */
+export const SEPARATOR_NAMES = ['apostrophe', 'dot', 'hyphen', 'space', 'tilde', 'colon'];
+
+/**
+ * Check if character is vowel
+ */
+function isVowel(char, config) {
+  return config.phonotactics.vowels.includes(char?.toLowerCase());
+}
+
+/**
+ * Check if syllable is heavy (4+ characters)
+ */
+function isHeavySyllable(syllable, config) {
+  return syllable.length >= config.scoring.rhymePatterns.heavySyllableThreshold;
+}
+
+/**
+ * Get ending of syllable (last 2 chars)
+ */
+function getEnding(syllable) {
+  return syllable.slice(-2);
+}
+
+/**
+ * Check if two syllables have exact rhyme
+ */
+function hasExactRhyme(syl1, syl2) {
+  const ending1 = getEnding(syl1);
+  const ending2 = getEnding(syl2);
+  return ending1 === ending2;
+}
+
+/**
+ * Check if two syllables have partial rhyme (same final consonant)
+ */
+function hasPartialRhyme(syl1, syl2, config) {
+  const last1 = syl1[syl1.length - 1];
+  const last2 = syl2[syl2.length - 1];
+  return !isVowel(last1, config) && last1 === last2;
+}
+
+/**
+ * Check if consonant pair is in impossible/hard cluster list
+ */
+function checkClusterDifficulty(c1, c2, config) {
+  const pair = (c1 + c2).toLowerCase();
+
+  const clusters = config.scoring.impossibleClusters;
+
+  if (clusters.critical.pairs.includes(pair)) {
+    return 'critical';
+  }
+  if (clusters.hard.pairs.includes(pair)) {
+    return 'hard';
+  }
+  if (clusters.moderate.pairs.includes(pair)) {
+    return 'moderate';
+  }
+
+  return null;
+}
+
+/**
+ * Check if consonants are from same place of articulation
+ */
+function samePlaceOfArticulation(c1, c2, config) {
+  const places = config.scoring.placeOfArticulation;
+
+  for (const place of Object.keys(places)) {
+    if (Array.isArray(places[place])) {
+      if (places[place].includes(c1) && places[place].includes(c2)) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check Rule B pattern and return separator position
+ * Rule B patterns:
+ *   - IDENTICAL syllables have priority (bat-bat)
+ *   - Similar syllables (same length + first char): bat-bet-bit
+ *   - 3x same syllables: separator after FIRST (bat-betbit)
+ *   - 4x same syllables: separator between 2nd and 3rd (batbet-bitbot)
+ * @param {string[]} syllables - Array of all syllables
+ * @returns {Object} { position: number, type: '3x'|'4x'|null, weights: { hyphen, dot, space } }
+ */
+function getRuleBPosition(syllables) {
+  if (syllables.length < 2) return { position: -1, type: null, weights: {} };
+
+  let bestMatch = { position: -1, type: null, weights: {}, priority: 0 };
+
+  // PRIORITY 0: Look for NON-CONSECUTIVE identical syllables (HIGHEST priority)
+  // Example: ["bu", "brik", "bu", "bre"] → detect "bu" at positions 0 and 2
+  for (let i = 0; i < syllables.length; i++) {
+    const syl = syllables[i];
+
+    // Find all positions of this syllable
+    const positions = [];
+    for (let j = 0; j < syllables.length; j++) {
+      if (syllables[j] === syl) {
+        positions.push(j);
+      }
+    }
+
+    // If appears 2+ times with gap between
+    if (positions.length >= 2) {
+      for (let p = 0; p < positions.length - 1; p++) {
+        const pos1 = positions[p];
+        const pos2 = positions[p + 1];
+
+        // Only if NON-consecutive (gap between them)
+        if (pos2 - pos1 > 1) {
+          const match = {
+            position: pos2,  // Put separator before second occurrence
+            type: 'non-consecutive-identical',
+            weights: {
+              hyphen: 120,  // HIGHEST weight - must win over everything!
+              space: 25
+            },
+            priority: 110  // HIGHEST priority
+          };
+          if (match.priority > bestMatch.priority) {
+            bestMatch = match;
+          }
+        }
+      }
+    }
+  }
+
+  // PRIORITY 1: Look for CONSECUTIVE IDENTICAL syllables
+  for (let start = 0; start <= syllables.length - 2; start++) {
+    const firstSyl = syllables[start];
+
+    // Count consecutive identical syllables
+    let identicalCount = 1;
+    for (let i = start + 1; i < syllables.length; i++) {
+      if (syllables[i] === firstSyl) {
+        identicalCount++;
+      } else {
+        break;
+      }
+    }
+
+    // 4x identical: separator between 2nd and 3rd
+    if (identicalCount >= 4) {
+      const match = {
+        position: start + 2,
+        type: '4x-identical',
+        weights: {
+          hyphen: 100,  // Very high weight for identical - must win!
+          space: 20
+        },
+        priority: 100  // Highest priority
+      };
+      if (match.priority > bestMatch.priority) {
+        bestMatch = match;
+      }
+    }
+
+    // 3x identical: separator after first
+    if (identicalCount >= 3) {
+      const match = {
+        position: start + 1,
+        type: '3x-identical',
+        weights: {
+          hyphen: 100,  // Very high weight for identical - must win!
+          space: 20
+        },
+        priority: 90
+      };
+      if (match.priority > bestMatch.priority) {
+        bestMatch = match;
+      }
+    }
+
+    // 2x identical: separator after first (for cases like bubrabat-bat)
+    if (identicalCount >= 2) {
+      const match = {
+        position: start + 1,
+        type: '2x-identical',
+        weights: {
+          hyphen: 100,  // Very high weight for identical - must win!
+          space: 20
+        },
+        priority: 80
+      };
+      if (match.priority > bestMatch.priority) {
+        bestMatch = match;
+      }
+    }
+  }
+
+  // PRIORITY 2: Look for similar syllables (same length + first char)
+  for (let start = 0; start <= syllables.length - 3; start++) {
+    const firstSyl = syllables[start];
+    const firstChar = firstSyl[0];
+    const sylLen = firstSyl.length;
+
+    // Count matching syllables (same length + first char)
+    let matchCount = 1;
+    for (let i = start + 1; i < syllables.length; i++) {
+      if (syllables[i].length === sylLen && syllables[i][0] === firstChar) {
+        matchCount++;
+      } else {
+        break;
+      }
+    }
+
+    // 4x pattern: separator between 2nd and 3rd
+    if (matchCount >= 4) {
+      const match = {
+        position: start + 2,
+        type: '4x',
+        weights: {
+          hyphen: 40,
+          space: 20
+        },
+        priority: 50
+      };
+      if (match.priority > bestMatch.priority) {
+        bestMatch = match;
+      }
+    }
+
+    // 3x pattern: separator after first
+    if (matchCount >= 3) {
+      const match = {
+        position: start + 1,
+        type: '3x',
+        weights: {
+          dot: 40,
+          hyphen: 40,
+          space: 20
+        },
+        priority: 40
+      };
+      if (match.priority > bestMatch.priority) {
+        bestMatch = match;
+      }
+    }
+  }
+
+  return bestMatch;
+}
+
+
+/**
+ * Features of a boundary shared by all rules
+ * @returns {Object} Rule context (see evaluateRules)
+ */
+function createContext(leftSyllables, rightSyllables, allSyllables, config) {
+  const lastSyllable = leftSyllables[leftSyllables.length - 1];
+  const firstSyllable = rightSyllables[0];
+  const lastChar = lastSyllable[lastSyllable.length - 1];
+  const firstChar = firstSyllable[0];
+
+  return {
+    config,
+    position: leftSyllables.length,
+    lastSyllable,
+    firstSyllable,
+    lastChar,
+    firstChar,
+    leftWord: leftSyllables.join(''),
+    rightWord: rightSyllables.join(''),
+    heavyLeft: isHeavySyllable(lastSyllable, config),
+    heavyRight: isHeavySyllable(firstSyllable, config),
+    exactRhyme: hasExactRhyme(lastSyllable, firstSyllable),
+    partialRhyme: hasPartialRhyme(lastSyllable, firstSyllable, config),
+    cluster: checkClusterDifficulty(lastChar, firstChar, config),
+    samePlace: samePlaceOfArticulation(lastChar, firstChar, config),
+    ruleB: allSyllables ? getRuleBPosition(allSyllables) : { position: -1, type: null, weights: {} },
+    isVowel: char => isVowel(char, config),
+    scores: Object.fromEntries(SEPARATOR_NAMES.map(name => [name, 0]))
+  };
+}
+
+/**
+ * Consonant skeleton of a syllable ("brak" → "brk")
+ */
+function consonants(syllable, context) {
+  return syllable.split('').filter(c => !context.isVowel(c)).join('');
+}
+
+/**
+ * Both boundary characters are consonants
+ */
+function consonantBoundary(context) {
+  return !context.isVowel(context.lastChar) && !context.isVowel(context.firstChar);
+}
+
+/**
+ * Left part is one short syllable followed by at least two (prefix-like: re.fenga)
+ */
+function prefixLike(left, right, context) {
+  return left.length === 1 && right.length >= 2 && context.leftWord.length >= 2 && context.leftWord.length <= 5;
+}
+
+/**
+ * Rule B applies at this boundary
+ */
+function ruleBAt(context) {
+  return context.ruleB.position === context.position && context.ruleB.type !== null;
+}
+
+/**
+ * Built-in rules, in evaluation order
+ * Rule B weights depend on the pattern found and are not configurable.
+ */
+export const BUILTIN_RULES = Object.freeze([
+  // === RULE B: Similar Syllables (3+ same length, same starting consonant) ===
+  {
+    name: 'ruleB.dot',
+    separator: 'dot',
+    configKey: null,
+    weight: context => context.ruleB.weights.dot,
+    // DOT: only after first syllable!
+    test: (left, right, all, context) => ruleBAt(context) && Boolean(context.ruleB.weights.dot) && context.position === 1,
+    detail: context => context.ruleB.type
+  },
+  {
+    name: 'ruleB.hyphen',
+    separator: 'hyphen',
+    configKey: null,
+    weight: context => context.ruleB.weights.hyphen,
+    test: (left, right, all, context) => ruleBAt(context) && Boolean(context.ruleB.weights.hyphen),
+    detail: context => context.ruleB.type
+  },
+  {
+    name: 'ruleB.space',
+    separator: 'space',
+    configKey: null,
+    weight: context => context.ruleB.weights.space,
+    test: (left, right, all, context) => ruleBAt(context) && Boolean(context.ruleB.weights.space),
+    detail: context => context.ruleB.type
+  },
+
+  // === APOSTROPHE ===
+  {
+    // Vowel hiatus (strongest signal)
+    name: 'apostrophe.vowelHiatus',
+    separator: 'apostrophe',
+    configKey: 'apostrophe.vowelHiatus',
+    test: (left, right, all, context) => context.isVowel(context.lastChar) && context.isVowel(context.firstChar)
+  },
+  {
+    // Elision pattern (consonant + vowel, word-like)
+    name: 'apostrophe.elisionPattern',
+    separator: 'apostrophe',
+    configKey: 'apostrophe.elisionPattern',
+    test: (left, right, all, context) => !context.isVowel(context.lastChar) && context.isVowel(context.firstChar)
+  },
+  {
+    // Short left + vowel start
+    name: 'apostrophe.shortLeftBonus',
+    separator: 'apostrophe',
+    configKey: 'apostrophe.shortLeftBonus',
+    test: (left, right, all, context) => context.leftWord.length <= 3 && context.isVowel(context.firstChar)
+  },
+  {
+    name: 'apostrophe.interestBonus',
+    separator: 'apostrophe',
+    configKey: 'apostrophe.interestBonus',
+    test: (left, right, all, context) => context.scores.apostrophe > 0
+  },
+
+  // === DOT ===
+  {
+    // Prefix pattern - ONLY after first syllable!
+    name: 'dot.prefixPattern',
+    separator: 'dot',
+    configKey: 'dot.prefixPattern',
+    test: (left, right, all, context) => prefixLike(left, right, context)
+  },
+  {
+    // Very short left (Dr., Mr. style) - ONLY after first syllable!
+    name: 'dot.veryShortLeft',
+    separator: 'dot',
+    configKey: 'dot.veryShortLeft',
+    test: (left, right, all, context) => left.length === 1 && context.leftWord.length === 2
+  },
+  {
+    name: 'dot.interestBonus',
+    separator: 'dot',
+    configKey: 'dot.interestBonus',
+    test: (left, right, all, context) => context.scores.dot > 0
+  },
+
+  // === HYPHEN ===
+  {
+    // Critical cluster (impossible to pronounce)
+    name: 'hyphen.criticalCluster',
+    separator: 'hyphen',
+    configKey: 'hyphen.criticalCluster',
+    test: (left, right, all, context) => context.cluster === 'critical',
+    detail: context => context.lastChar + context.firstChar
+  },
+  {
+    name: 'hyphen.hardCluster',
+    separator: 'hyphen',
+    configKey: 'hyphen.hardCluster',
+    test: (left, right, all, context) => context.cluster === 'hard',
+    detail: context => context.lastChar + context.firstChar
+  },
+  {
+    name: 'hyphen.moderateCluster',
+    separator: 'hyphen',
+    configKey: 'hyphen.moderateCluster',
+    test: (left, right, all, context) => context.cluster === 'moderate',
+    detail: context => context.lastChar + context.firstChar
+  },
+  {
+    // Heavy syllables with exact rhyme (brak-drak, glumrik-fendik)
+    name: 'hyphen.heavySimilarRhyme',
+    separator: 'hyphen',
+    configKey: 'hyphen.heavySimilarRhyme',
+    test: (left, right, all, context) => context.heavyLeft && context.heavyRight && context.exactRhyme
+  },
+  {
+    // Heavy syllables with partial rhyme (brak-brek)
+    name: 'hyphen.heavyPartialRhyme',
+    separator: 'hyphen',
+    configKey: 'hyphen.heavyPartialRhyme',
+    test: (left, right, all, context) =>
+      context.heavyLeft && context.heavyRight && !context.exactRhyme && context.partialRhyme
+  },
+  {
+    // Heavy + Heavy general
+    name: 'hyphen.heavyAndHeavy',
+    separator: 'hyphen',
+    configKey: 'hyphen.heavyAndHeavy',
+    test: (left, right, all, context) => context.heavyLeft && context.heavyRight
+  },
+  {
+    // Identical consonants
+    name: 'hyphen.identicalConsonants',
+    separator: 'hyphen',
+    configKey: 'hyphen.identicalConsonants',
+    test: (left, right, all, context) => context.lastChar === context.firstChar && !context.isVowel(context.lastChar)
+  },
+  {
+    // Same place of articulation
+    name: 'hyphen.samePlaceArticulation',
+    separator: 'hyphen',
+    configKey: 'hyphen.samePlaceArticulation',
+    test: (left, right, all, context) => consonantBoundary(context) && context.samePlace
+  },
+  {
+    name: 'hyphen.interestBonus',
+    separator: 'hyphen',
+    configKey: 'hyphen.interestBonus',
+    test: (left, right, all, context) => context.scores.hyphen > 0
+  },
+
+  // === SPACE ===
+  {
+    // Clean consonant boundary
+    name: 'space.cleanConsonantBoundary',
+    separator: 'space',
+    configKey: 'space.cleanConsonantBoundary',
+    test: (left, right, all, context) => consonantBoundary(context) && !context.cluster
+  },
+  {
+    // Heavy + Heavy can use space too (compete with hyphen)
+    name: 'space.heavyAndHeavySpace',
+    separator: 'space',
+    configKey: 'space.heavyAndHeavySpace',
+    test: (left, right, all, context) => context.heavyLeft && context.heavyRight && !context.exactRhyme
+  },
+  {
+    // Clean syllables
+    name: 'space.cleanSyllables',
+    separator: 'space',
+    configKey: 'space.cleanSyllables',
+    test: (left, right, all, context) => consonantBoundary(context)
+  },
+  {
+    // Natural word split
+    name: 'space.naturalWordSplit',
+    separator: 'space',
+    configKey: 'space.naturalWordSplit',
+    test: (left, right, all, context) => context.leftWord.length >= 4 && context.rightWord.length >= 4
+  },
+
+  // === TILDE ===
+  {
+    // Creative pattern (always applicable)
+    name: 'tilde.creativePattern',
+    separator: 'tilde',
+    configKey: 'tilde.creativePattern',
+    test: () => true
+  },
+  {
+    // Technical separator (always applicable)
+    name: 'tilde.technicalSeparator',
+    separator: 'tilde',
+    configKey: 'tilde.technicalSeparator',
+    test: () => true
+  },
+  {
+    // Alternative to dot (prefix pattern)
+    name: 'tilde.alternativeToDot',
+    separator: 'tilde',
+    configKey: 'tilde.alternativeToDot',
+    test: (left, right, all, context) => prefixLike(left, right, context)
+  },
+  {
+    // Alternative to hyphen (moderate/hard clusters)
+    name: 'tilde.alternativeToHyphen',
+    separator: 'tilde',
+    configKey: 'tilde.alternativeToHyphen',
+    test: (left, right, all, context) => context.cluster === 'moderate' || context.cluster === 'hard'
+  },
+  {
+    // Heavy syllables with rhyme
+    name: 'tilde.heavyRhyme',
+    separator: 'tilde',
+    configKey: 'tilde.heavyRhyme',
+    test: (left, right, all, context) =>
+      context.heavyLeft && context.heavyRight && (context.exactRhyme || context.partialRhyme)
+  },
+  {
+    // Clean boundary
+    name: 'tilde.cleanBoundary',
+    separator: 'tilde',
+    configKey: 'tilde.cleanBoundary',
+    test: (left, right, all, context) => consonantBoundary(context) && !context.cluster
+  },
+  {
+    name: 'tilde.interestBonus',
+    separator: 'tilde',
+    configKey: 'tilde.interestBonus',
+    test: () => true
+  },
+
+  // === COLON === (opt-in: only when the config entry says enabled: true)
+  {
+    // Same consonant pattern (tik:tok = t-k : t-k, brak:brik = b-r-k : b-r-k)
+    // Require at least 2 consonants to avoid trivial matches like "ba:bu" (just "b")
+    name: 'colon.sameConsonantPattern',
+    separator: 'colon',
+    configKey: 'colon.sameConsonantPattern',
+    optIn: true,
+    test: (left, right, all, context) => {
+      const last = consonants(context.lastSyllable, context);
+      return last === consonants(context.firstSyllable, context) && last.length >= 2;
+    }
+  },
+  {
+    // Similar structure (same length and pattern)
+    name: 'colon.similarStructure',
+    separator: 'colon',
+    configKey: 'colon.similarStructure',
+    optIn: true,
+    test: (left, right, all, context) =>
+      context.lastSyllable.length === context.firstSyllable.length &&
+      consonants(context.lastSyllable, context).length === consonants(context.firstSyllable, context).length
+  },
+  {
+    // Rhythmic pair effect (creates tik:tok feeling)
+    name: 'colon.rhythmicPair',
+    separator: 'colon',
+    configKey: 'colon.rhythmicPair',
+    optIn: true,
+    test: (left, right, all, context) => context.lastSyllable.length >= 2 && context.firstSyllable.length >= 2
+  },
+  {
+    name: 'colon.interestBonus',
+    separator: 'colon',
+    configKey: 'colon.interestBonus',
+    optIn: true,
+    test: () => true
+  }
+].map(rule => Object.freeze(rule)));
+
+// Rules added with registerSeparatorRule (process-wide, after the built-ins)
+const customRules = [];
+
+/**
+ * Register a custom rule
+ * Its weight comes from scoring.<configKey> when present (use a key under
+ * "custom", e.g. "custom.doubleVowel": the scoring.custom section accepts any
+ * name), else from rule.weight.
+ * @param {Object} rule - Rule (see the module header)
+ * @returns {Object} The registered (frozen) rule
+ *
+ * @example
+ * registerSeparatorRule({
+ *   name: 'custom.xBoundary',
+ *   separator: 'hyphen',
+ *   configKey: 'custom.xBoundary',
+ *   weight: 90,
+ *   test: (left, right, all, context) => context.lastChar === 'x'
+ * });
+ */
+export function registerSeparatorRule(rule) {
+  if (!rule || typeof rule.name !== 'string' || rule.name.length === 0) {
+    throw new Error('Separator rule needs a name');
+  }
+  if (getSeparatorRules().some(existing => existing.name === rule.name)) {
+    throw new Error(`Separator rule "${rule.name}" is already registered`);
+  }
+  if (!SEPARATOR_NAMES.includes(rule.separator)) {
+    throw new Error(`Separator rule "${rule.name}": separator must be one of ${SEPARATOR_NAMES.join(', ')} (got "${rule.separator}")`);
+  }
+  if (typeof rule.test !== 'function') {
+    throw new Error(`Separator rule "${rule.name}": test must be a function`);
+  }
+  if (rule.configKey == null && rule.weight === undefined) {
+    throw new Error(`Separator rule "${rule.name}" needs a configKey or a weight`);
+  }
+
+  const registered = Object.freeze({ configKey: null, ...rule });
+  customRules.push(registered);
+  return registered;
+}
+
+/**
+ * Remove a custom rule (built-ins are disabled through separators.disabledRules instead)
+ * @param {string} name - Rule name
+ * @returns {boolean} True if a rule was removed
+ */
+export function unregisterSeparatorRule(name) {
+  if (BUILTIN_RULES.some(rule => rule.name === name)) {
+    throw new Error(`"${name}" is a built-in rule: disable it with separators.disabledRules instead`);
+  }
+  const index = customRules.findIndex(rule => rule.name === name);
+  if (index === -1) return false;
+  customRules.splice(index, 1);
+  return true;
+}
+
+/**
+ * All rules in evaluation order
+ * @returns {Object[]} Built-in rules, then custom rules
+ */
+export function getSeparatorRules() {
+  return [...BUILTIN_RULES, ...customRules];
+}
+
+/**
+ * Weight of a rule under a config, or null if the rule is off
+ */
+function ruleWeight(rule, context) {
+  const entry = rule.configKey ? getConfigValue(context.config.scoring, rule.configKey) : undefined;
+
+  if (rule.optIn ? entry?.enabled !== true : entry?.enabled === false) {
+    return null;
+  }
+  if (entry?.weight !== undefined) {
+    return entry.weight;
+  }
+  const weight = typeof rule.weight === 'function' ? rule.weight(context) : rule.weight;
+  return weight ?? null;
+}
+
+/**
+ * Score a boundary with every enabled rule
+ *
+ * The context passed to tests holds: config, position (boundary index),
+ * lastSyllable, firstSyllable, lastChar, firstChar, leftWord, rightWord,
+ * heavyLeft, heavyRight, exactRhyme, partialRhyme, cluster ('critical',
+ * 'hard', 'moderate' or null), samePlace, ruleB ({ position, type, weights }),
+ * isVowel(char) and scores (running totals per separator).
+ *
+ * @param {string[]} leftSyllables - Syllables on left side
+ * @param {string[]} rightSyllables - Syllables on right side
+ * @param {string[]|null} allSyllables - All syllables in version (for Rule B detection)
+ * @param {Object} config - Configuration (scoring weights, separators.disabledRules)
+ * @returns {Object} { scores, rules: [{ separator, rule, weight, detail }] } - rules lists those that fired
+ */
+export function evaluateRules(leftSyllables, rightSyllables, allSyllables, config) {
+  const context = createContext(leftSyllables, rightSyllables, allSyllables, config);
+  const disabled = new Set(config.separators?.disabledRules || []);
+  const fired = [];
+
+  for (const rule of getSeparatorRules()) {
+    if (disabled.has(rule.name)) continue;
+    if (!rule.test(leftSyllables, rightSyllables, allSyllables, context)) continue;
+
+    const weight = ruleWeight(rule, context);
+    if (weight === null) continue;
+
+    context.scores[rule.separator] += weight;
+    fired.push({
+      separator: rule.separator,
+      rule: rule.name,
+      weight,
+      detail: rule.detail ? rule.detail(context) : null
+    });
+  }
+
+  return { scores: context.scores, rules: fired };
+}
@@ -2,636 +2,579 @@
  * Smart Separator Logic
  * Analyzes syllable boundaries and determines optimal separator placement
  * With adaptive balancing for diversity
+ * Boundary scores come from the rule registry (see separator-rules.js)
  */
 
 import { loadConfig } from './config-loader.js';
-import SeparatorBalancer from './separator-balancer.js';
-
-// Global balancer instance (maintains history across calls)
-let globalBalancer = null;
+import SeparatorBalancer, { HashBalancer, hashValues } from './separator-balancer.js';
+import { evaluateRules } from './separator-rules.js';
 
 /**
- * Get or create global balancer
+ * Read balancer settings from config
+ * @returns {Object} { enabled, historySize, diversityStrength, targets }
  */
-function getBalancer() {
-  if (!globalBalancer) {
-    const config = loadConfig();
-    const balancingConfig = config.separatorBalancing || {};
-
-    globalBalancer = new SeparatorBalancer({
-      historySize: balancingConfig.historySize || 100,
-      diversityStrength: balancingConfig.diversityStrength || 0.8,  // INCREASED from 0.3 to 0.8
-      targets: balancingConfig.targets || {
-        space: 50,
-        dot: 25,
-        colon: 10,
-        tilde: 8,
-        hyphen: 5,
-        apostrophe: 2
-      }
-    });
-
-    console.log('[Balancer] Created with strength:', globalBalancer.diversityStrength);
-  }
-  return globalBalancer;
+function getBalancingConfig(config = loadConfig()) {
+  const balancingConfig = config.separatorBalancing || {};
+
+  return {
+    enabled: balancingConfig.enabled !== false,
+    historySize: balancingConfig.historySize || 100,
+    diversityStrength: balancingConfig.diversityStrength || 0.8,
+    targets: balancingConfig.targets || {
+      space: 50,
+      dot: 25,
+      colon: 10,
+      tilde: 8,
+      hyphen: 5,
+      apostrophe: 2
+    }
+  };
 }
 
 /**
- * Check if character is vowel
+ * Create a history-based balancer from config
+ * Pass the instance to addSmartSeparators/generateVersion via options.balancer
+ * to balance separators across a series of calls. Results then depend on
+ * call history, so the same timestamp can get different punctuation.
+ * @param {Object} overrides - Overrides for historySize, diversityStrength, targets
+ * @param {Object} config - Configuration to read separatorBalancing from (default: loadConfig())
+ * @returns {SeparatorBalancer} New balancer instance
  */
-function isVowel(char) {
-  const config = loadConfig();
-  return config.phonotactics.vowels.includes(char?.toLowerCase());
+export function createSeparatorBalancer(overrides = {}, config = loadConfig()) {
+  const { enabled, ...balancingConfig } = getBalancingConfig(config);
+  return new SeparatorBalancer({ ...balancingConfig, ...overrides });
 }
 
 /**
- * Check if syllable is heavy (4+ characters)
+ * Rendered text of each separator
  */
-function isHeavySyllable(syllable) {
-  const config = loadConfig();
-  return syllable.length >= config.scoring.rhymePatterns.heavySyllableThreshold;
-}
+export const SEPARATOR_MAP = {
+  apostrophe: "'",
+  dot: ". ",
+  hyphen: "-",
+  space: " ",
+  tilde: "~",
+  colon: ":"
+};
 
 /**
- * Get ending of syllable (last 2 chars)
+ * Analyze boundary between two syllable groups
+ * @param {string[]} leftSyllables - Syllables on left side
+ * @param {string[]} rightSyllables - Syllables on right side
+ * @param {string[]} allSyllables - All syllables in version (for Rule B detection)
+ * @param {Object} config - Configuration with scoring weights (default: loadConfig())
+ * @returns {Object} Scores for each separator type
  */
-function getEnding(syllable) {
-  return syllable.slice(-2);
+export function analyzeBoundary(leftSyllables, rightSyllables, allSyllables = null, config = loadConfig()) {
+  return evaluateRules(leftSyllables, rightSyllables, allSyllables, config).scores;
 }
 
 /**
- * Check if two syllables have exact rhyme
+ * Choose best separator based on scores
+ * @param {Object} scores - Scores for each separator
+ * @param {number} threshold - Minimum score threshold
+ * @param {Object|null} balancer - Balancer applying diversity adjustments (default: none)
+ * @param {Object} context - Boundary context passed to the balancer ({ position })
+ * @returns {string} Separator character or empty string
  */
-function hasExactRhyme(syl1, syl2) {
-  const ending1 = getEnding(syl1);
-  const ending2 = getEnding(syl2);
-  return ending1 === ending2;
+export function chooseSeparator(scores, threshold = 100, balancer = null, context = {}) {
+  const winner = pickSeparator(scores, threshold, balancer, context);
+  if (!winner) return "";
+  return SEPARATOR_MAP[winner];
 }
 
 /**
- * Check if two syllables have partial rhyme (same final consonant)
+ * Pick the winning separator name without recording usage
+ * @param {Object} scores - Raw scores for each separator
+ * @param {number} threshold - Minimum score threshold
+ * @param {Object|null} balancer - Balancer applying diversity adjustments
+ * @param {Object} context - Boundary context passed to the balancer
+ * @returns {string|null} Separator name or null
  */
-function hasPartialRhyme(syl1, syl2) {
-  const last1 = syl1[syl1.length - 1];
-  const last2 = syl2[syl2.length - 1];
-  return !isVowel(last1) && last1 === last2;
+function pickSeparator(scores, threshold, balancer, context) {
+  const adjusted = balancer ? balancer.adjustScores(scores, context) : scores;
+
+  // Highest adjusted score above threshold wins
+  const entries = Object.entries(adjusted)
+    .filter(([_, score]) => score >= threshold)
+    .sort((a, b) => b[1] - a[1]);
+
+  return entries.length > 0 ? entries[0][0] : null;
 }
 
 /**
- * Check if consonant pair is in impossible/hard cluster list
+ * Separator placement strategies (options.placement / config separators.placement)
+ * - greedy: one separator per round, strongest boundary first (compatible default)
+ * - optimal: all positions and types chosen together to maximize the total margin over the thresholds
+ */
+export const PLACEMENTS = ['greedy', 'optimal'];
+
+/**
+ * Add smart separators to version
+ *
+ * By default, diversity balancing is deterministic: a HashBalancer seeded
+ * from the syllables (or options.seed) jitters the scores, so the output only
+ * depends on the input. Pass options.balancer (e.g., createSeparatorBalancer())
+ * for history-based balancing across calls.
+ *
+ * Greedy placement runs one round per separator: the boundary with the
+ * highest raw score wins, and boundaries next to an earlier pick are
+ * skipped. Optimal placement scores every boundary once and picks the set of
+ * separators with the highest total balanced score; each separator must
+ * clear the threshold of its own round (first, second, third, ...), the
+ * same acceptance the greedy rounds apply.
+ *
+ * @param {string[]} syllables - Array of syllables
+ * @param {Object} options - Options
+ * @param {number} options.maxSeparators - Maximum separators (default: from config)
+ * @param {Object} options.thresholds - Per-round thresholds (default: from config)
+ * @param {number} options.minSyllablesPerSegment - Minimum syllables between separators and
+ *   the ends of the name (default: from config, 1)
+ * @param {string} options.placement - 'greedy' or 'optimal' (default: from config, 'greedy')
+ * @param {Object} options.balancer - Explicit balancer instance (history-based or custom)
+ * @param {number} options.seed - Seed for deterministic balancing (default: hash of syllables)
+ * @param {Object} options.config - Configuration to use (default: loadConfig())
+ * @param {boolean} options.explain - Also return the scoring trace (default: false)
+ * @returns {string|Object} Version with separators, or with explain: { version, explanation } where
+ *   explanation is { syllables, balancer, placement, maxSeparators, rounds, boundaries, alternatives,
+ *   separators, totalScore, summary }. Greedy fills rounds, each
+ *   { round, threshold, boundaries: [{ position, left, right, skipped, scores, rules, multipliers,
+ *   adjusted, candidate, maxScore }], winner, reason }; optimal fills boundaries (same shape) and
+ *   alternatives ([{ count, margin, totalScore, positions }], the best placement per separator count)
  */
-function checkClusterDifficulty(c1, c2) {
-  const config = loadConfig();
-  const pair = (c1 + c2).toLowerCase();
+export function addSmartSeparators(syllables, options = {}) {
+  const config = options.config || loadConfig();
+  const sepConfig = config.separators;
+  const { explain = false } = options;
 
-  const clusters = config.scoring.impossibleClusters;
+  // With explain, return the trace alongside the version
+  const finish = (version, explanation) => (explain ? { version, explanation } : version);
 
-  if (clusters.critical.pairs.includes(pair)) {
-    return 'critical';
+  if (!sepConfig.enabled) {
+    return finish(syllables.join(''), emptyExplanation(syllables, 'Smart separators are disabled (separators.enabled)'));
   }
-  if (clusters.hard.pairs.includes(pair)) {
-    return 'hard';
+
+  const {
+    maxSeparators = sepConfig.maxSeparators,
+    thresholds = sepConfig.thresholds,
+    minSyllablesPerSegment = sepConfig.minSyllablesPerSegment ?? 1,
+    placement = sepConfig.placement ?? 'greedy'
+  } = options;
+
+  if (!PLACEMENTS.includes(placement)) {
+    throw new Error(`Unknown separator placement "${placement}" (available: ${PLACEMENTS.join(', ')})`);
   }
-  if (clusters.moderate.pairs.includes(pair)) {
-    return 'moderate';
+
+  if (syllables.length < 2) {
+    return finish(syllables.join(''), emptyExplanation(syllables, 'A single syllable has no boundaries'));
   }
 
-  return null;
+  const balancer = options.balancer || createHashBalancer(syllables, options.seed, config);
+  const settings = { maxSeparators, thresholds, minSyllablesPerSegment, explain };
+  const placed = placement === 'optimal'
+    ? placeOptimal(syllables, config, balancer, settings)
+    : placeGreedy(syllables, config, balancer, settings);
+  const { separators } = placed;
+
+  // Sort by position
+  separators.sort((a, b) => a.position - b.position);
+
+  const result = joinSyllables(syllables, separators);
+
+  const totalScore = separators.reduce((sum, sep) => sum + sep.adjusted, 0);
+
+  return finish(result, {
+    syllables,
+    balancer: balancer ? balancer.constructor.name : null,
+    placement,
+    maxSeparators,
+    rounds: placed.rounds ?? [],
+    boundaries: placed.boundaries ?? [],
+    alternatives: placed.alternatives ?? [],
+    separators,
+    totalScore,
+    summary: separators.length === 0
+      ? 'No separator reached its threshold'
+      : placement === 'optimal'
+        ? `${separators.length} separator(s), best of ${placed.alternatives.length} separator count(s)`
+        : `${separators.length} separator(s) in ${placed.rounds.length} round(s)`
+  });
 }
 
 /**
- * Check if consonants are from same place of articulation
+ * Join syllables with separators
+ * @param {string[]} syllables - Syllables in order
+ * @param {Object[]} separators - [{ position, separator }] - separator text goes before syllables[position]
+ * @returns {string} Version string (e.g., "threm dowsli'ul")
  */
-function samePlaceOfArticulation(c1, c2) {
-  const config = loadConfig();
-  const places = config.scoring.placeOfArticulation;
-
-  for (const place of Object.keys(places)) {
-    if (Array.isArray(places[place])) {
-      if (places[place].includes(c1) && places[place].includes(c2)) {
-        return true;
-      }
-    }
+export function joinSyllables(syllables, separators) {
+  let result = '';
+  let lastPos = 0;
+
+  for (const sep of [...separators].sort((a, b) => a.position - b.position)) {
+    result += syllables.slice(lastPos, sep.position).join('');
+    result += sep.separator;
+    lastPos = sep.position;
   }
 
-  return false;
+  return result + syllables.slice(lastPos).join('');
 }
 
 /**
- * Check Rule B pattern and return separator position
- * Rule B patterns:
- *   - IDENTICAL syllables have priority (bat-bat)
- *   - Similar syllables (same length + first char): bat-bet-bit
- *   - 3x same syllables: separator after FIRST (bat-betbit)
- *   - 4x same syllables: separator between 2nd and 3rd (batbet-bitbot)
- * @param {string[]} syllables - Array of all syllables
- * @returns {Object} { position: number, type: '3x'|'4x'|null, weights: { hyphen, dot, space } }
+ * Threshold of a round (0-based); rounds past the third reuse the third
  */
-function getRuleBPosition(syllables) {
-  if (syllables.length < 2) return { position: -1, type: null, weights: {} };
+function roundThreshold(thresholds, round) {
+  return thresholds[round === 0 ? 'first' : round === 1 ? 'second' : 'third'];
+}
 
-  let bestMatch = { position: -1, type: null, weights: {}, priority: 0 };
+/**
+ * Check if a separator at position would leave a segment shorter than the minimum
+ */
+function segmentTooShort(position, separators, length, minimum) {
+  const before = Math.max(0, ...separators.filter(s => s.position < position).map(s => s.position));
+  const after = Math.min(length, ...separators.filter(s => s.position > position).map(s => s.position));
+  return position - before < minimum || after - position < minimum;
+}
 
-  // PRIORITY 0: Look for NON-CONSECUTIVE identical syllables (HIGHEST priority)
-  // Example: ["bu", "brik", "bu", "bre"] → detect "bu" at positions 0 and 2
-  for (let i = 0; i < syllables.length; i++) {
-    const syl = syllables[i];
+/**
+ * Greedy placement: one separator per round, strongest raw boundary first
+ * @param {string[]} syllables - Syllables of the version
+ * @param {Object} config - Configuration with scoring weights
+ * @param {Object|null} balancer - Balancer applying diversity adjustments
+ * @param {Object} settings - { maxSeparators, thresholds, minSyllablesPerSegment, explain }
+ * @returns {Object} { separators, rounds }
+ */
+function placeGreedy(syllables, config, balancer, settings) {
+  const { maxSeparators, thresholds, minSyllablesPerSegment, explain } = settings;
+  const separators = [];
+  const rounds = [];
 
-    // Find all positions of this syllable
-    const positions = [];
-    for (let j = 0; j < syllables.length; j++) {
-      if (syllables[j] === syl) {
-        positions.push(j);
-      }
-    }
+  // Find best separators iteratively
+  for (let round = 0; round < maxSeparators; round++) {
+    const threshold = roundThreshold(thresholds, round);
+    let bestScore = 0;
+    let bestPosition = -1;
+    let bestName = null;
+    let bestAdjusted = 0;
+    const boundaries = [];
 
-    // If appears 2+ times with gap between
-    if (positions.length >= 2) {
-      for (let p = 0; p < positions.length - 1; p++) {
-        const pos1 = positions[p];
-        const pos2 = positions[p + 1];
-
-        // Only if NON-consecutive (gap between them)
-        if (pos2 - pos1 > 1) {
-          const match = {
-            position: pos2,  // Put separator before second occurrence
-            type: 'non-consecutive-identical',
-            weights: {
-              hyphen: 120,  // HIGHEST weight - must win over everything!
-              space: 25
-            },
-            priority: 110  // HIGHEST priority
-          };
-          if (match.priority > bestMatch.priority) {
-            bestMatch = match;
-          }
+    // Try all positions
+    for (let i = 1; i < syllables.length; i++) {
+      // Skip if already has separator nearby
+      const nearby = separators.find(s => Math.abs(s.position - i) <= 1);
+      if (nearby) {
+        if (explain) {
+          boundaries.push({ position: i, left: syllables[i - 1], right: syllables[i], skipped: `next to the separator at ${nearby.position}` });
         }
+        continue;
       }
-    }
-  }
-
-  // PRIORITY 1: Look for CONSECUTIVE IDENTICAL syllables
-  for (let start = 0; start <= syllables.length - 2; start++) {
-    const firstSyl = syllables[start];
-
-    // Count consecutive identical syllables
-    let identicalCount = 1;
-    for (let i = start + 1; i < syllables.length; i++) {
-      if (syllables[i] === firstSyl) {
-        identicalCount++;
-      } else {
-        break;
+      if (segmentTooShort(i, separators, syllables.length, minSyllablesPerSegment)) {
+        if (explain) {
+          boundaries.push({ position: i, left: syllables[i - 1], right: syllables[i], skipped: `segment shorter than ${minSyllablesPerSegment} syllable(s)` });
+        }
+        continue;
       }
-    }
 
-    // 4x identical: separator between 2nd and 3rd
-    if (identicalCount >= 4) {
-      const match = {
-        position: start + 2,
-        type: '4x-identical',
-        weights: {
-          hyphen: 100,  // Very high weight for identical - must win!
-          space: 20
-        },
-        priority: 100  // Highest priority
-      };
-      if (match.priority > bestMatch.priority) {
-        bestMatch = match;
-      }
-    }
+      const left = syllables.slice(0, i);
+      const right = syllables.slice(i);
 
-    // 3x identical: separator after first
-    if (identicalCount >= 3) {
-      const match = {
-        position: start + 1,
-        type: '3x-identical',
-        weights: {
-          hyphen: 100,  // Very high weight for identical - must win!
-          space: 20
-        },
-        priority: 90
-      };
-      if (match.priority > bestMatch.priority) {
-        bestMatch = match;
-      }
-    }
+      const { scores, rules } = evaluateRules(left, right, syllables, config);
+      const name = pickSeparator(scores, threshold, balancer, { position: i });
+      const maxScore = Math.max(...Object.values(scores));
 
-    // 2x identical: separator after first (for cases like bubrabat-bat)
-    if (identicalCount >= 2) {
-      const match = {
-        position: start + 1,
-        type: '2x-identical',
-        weights: {
-          hyphen: 100,  // Very high weight for identical - must win!
-          space: 20
-        },
-        priority: 80
-      };
-      if (match.priority > bestMatch.priority) {
-        bestMatch = match;
+      if (explain) {
+        boundaries.push(explainBoundary(syllables, i, scores, rules, balancer, name, maxScore));
       }
-    }
-  }
 
-  // PRIORITY 2: Look for similar syllables (same length + first char)
-  for (let start = 0; start <= syllables.length - 3; start++) {
-    const firstSyl = syllables[start];
-    const firstChar = firstSyl[0];
-    const sylLen = firstSyl.length;
-
-    // Count matching syllables (same length + first char)
-    let matchCount = 1;
-    for (let i = start + 1; i < syllables.length; i++) {
-      if (syllables[i].length === sylLen && syllables[i][0] === firstChar) {
-        matchCount++;
-      } else {
-        break;
+      if (maxScore > bestScore && name) {
+        bestScore = maxScore;
+        bestPosition = i;
+        bestName = name;
+        bestAdjusted = (balancer ? balancer.adjustScores(scores, { position: i }) : scores)[name];
       }
     }
 
-    // 4x pattern: separator between 2nd and 3rd
-    if (matchCount >= 4) {
-      const match = {
-        position: start + 2,
-        type: '4x',
-        weights: {
-          hyphen: 40,
-          space: 20
-        },
-        priority: 50
-      };
-      if (match.priority > bestMatch.priority) {
-        bestMatch = match;
-      }
+    const stop = bestPosition === -1 || bestScore < threshold;
+    if (explain) {
+      rounds.push(explainRound(round + 1, threshold, boundaries, stop ? null : bestPosition, bestScore));
     }
-
-    // 3x pattern: separator after first
-    if (matchCount >= 3) {
-      const match = {
-        position: start + 1,
-        type: '3x',
-        weights: {
-          dot: 40,
-          hyphen: 40,
-          space: 20
-        },
-        priority: 40
-      };
-      if (match.priority > bestMatch.priority) {
-        bestMatch = match;
-      }
+    if (stop) {
+      break;
     }
+
+    balancer?.recordUsage(bestName);
+    separators.push({
+      position: bestPosition,
+      name: bestName,
+      separator: SEPARATOR_MAP[bestName],
+      score: bestScore,
+      adjusted: bestAdjusted,
+      round: round + 1,
+      threshold
+    });
   }
 
-  return bestMatch;
+  return { separators, rounds };
 }
 
 /**
- * Analyze boundary between two syllable groups
- * @param {string[]} leftSyllables - Syllables on left side
- * @param {string[]} rightSyllables - Syllables on right side
- * @param {string[]} allSyllables - All syllables in version (for Rule B detection)
- * @returns {Object} Scores for each separator type
+ * Optimal placement: dynamic programming over boundaries
+ *
+ * Every boundary is scored once; its best separator type is the one with the
+ * highest balanced score. A state is the last separator placed and the set
+ * of rounds whose thresholds are already taken, so each separator clears a
+ * distinct round's threshold. A placement of n separators is complete when
+ * it has used rounds 1..n. Each separator is worth its margin, the balanced
+ * score minus its round's threshold, so a separator counts by how far it
+ * clears the bar and not by its raw size. The highest total margin wins;
+ * ties go to fewer separators, then to the earlier positions. As in greedy
+ * rounds, two separators are never on neighbouring boundaries.
+ *
+ * @param {string[]} syllables - Syllables of the version
+ * @param {Object} config - Configuration with scoring weights
+ * @param {Object|null} balancer - Balancer applying diversity adjustments
+ * @param {Object} settings - { maxSeparators, thresholds, minSyllablesPerSegment, explain }
+ * @returns {Object} { separators, boundaries, alternatives } - alternatives: [{ count, margin,
+ *   totalScore, positions }], the best placement per separator count
  */
-export function analyzeBoundary(leftSyllables, rightSyllables, allSyllables = null) {
-  const config = loadConfig();
-  const weights = config.scoring;
-
-  const lastSyl = leftSyllables[leftSyllables.length - 1];
-  const firstSyl = rightSyllables[0];
-
-  const lastChar = lastSyl[lastSyl.length - 1];
-  const firstChar = firstSyl[0];
-
-  const leftWord = leftSyllables.join('');
-  const rightWord = rightSyllables.join('');
-
-  const scores = {
-    apostrophe: 0,
-    dot: 0,
-    hyphen: 0,
-    space: 0,
-    tilde: 0,
-    colon: 0
-  };
-
-  // === RULE B: Similar Syllables (3+ same length, same starting consonant) ===
-  let ruleBInfo = { position: -1, type: null, weights: {} };
-  if (allSyllables) {
-    ruleBInfo = getRuleBPosition(allSyllables);
-  }
-
-  // Check if this boundary is the Rule B position
-  const currentPosition = leftSyllables.length;
-  if (ruleBInfo.position === currentPosition && ruleBInfo.type) {
-    // Apply weights based on pattern type
-    // DOT: only after first syllable!
-    if (ruleBInfo.weights.dot && currentPosition === 1) {
-      scores.dot += ruleBInfo.weights.dot;
-    }
-    if (ruleBInfo.weights.hyphen) {
-      scores.hyphen += ruleBInfo.weights.hyphen;
-    }
-    if (ruleBInfo.weights.space) {
-      scores.space += ruleBInfo.weights.space;
-    }
-  }
-
-  // === APOSTROPHE ===
-
-  // Vowel hiatus (strongest signal)
-  if (isVowel(lastChar) && isVowel(firstChar)) {
-    scores.apostrophe += weights.apostrophe.vowelHiatus.weight;
-  }
-
-  // Elision pattern (consonant + vowel, word-like)
-  if (!isVowel(lastChar) && isVowel(firstChar)) {
-    scores.apostrophe += weights.apostrophe.elisionPattern.weight;
-  }
-
-  // Short left + vowel start
-  if (leftWord.length <= 3 && isVowel(firstChar)) {
-    scores.apostrophe += weights.apostrophe.shortLeftBonus.weight;
-  }
-
-  // Interest bonus
-  if (scores.apostrophe > 0) {
-    scores.apostrophe += weights.apostrophe.interestBonus.weight;
-  }
-
-  // === DOT ===
-
-  // Prefix pattern - ONLY after first syllable!
-  if (leftSyllables.length === 1 && rightSyllables.length >= 2) {
-    if (leftWord.length >= 2 && leftWord.length <= 5) {
-      scores.dot += weights.dot.prefixPattern.weight;
+function placeOptimal(syllables, config, balancer, settings) {
+  const { maxSeparators, thresholds, minSyllablesPerSegment, explain } = settings;
+  const length = syllables.length;
+  const roundCount = Math.min(maxSeparators, length - 1);
+  const roundThresholds = Array.from({ length: roundCount }, (_, round) => roundThreshold(thresholds, round));
+  const lowest = Math.min(...roundThresholds);
+
+  // Score every boundary once (scores do not depend on other separators)
+  const candidates = [null];
+  const boundaries = [];
+  for (let i = 1; i < length; i++) {
+    const { scores, rules } = evaluateRules(syllables.slice(0, i), syllables.slice(i), syllables, config);
+    const adjusted = balancer ? balancer.adjustScores(scores, { position: i }) : scores;
+    const [name, value] = Object.entries(adjusted).sort((a, b) => b[1] - a[1])[0] ?? [null, 0];
+    const candidate = name && value > 0 && value >= lowest ? name : null;
+    candidates.push(candidate ? { position: i, name, score: scores[name], adjusted: value } : null);
+
+    if (explain) {
+      boundaries.push(explainBoundary(syllables, i, scores, rules, balancer, candidate, Math.max(...Object.values(scores))));
     }
   }
 
-  // Very short left (Dr., Mr. style) - ONLY after first syllable!
-  if (leftSyllables.length === 1 && leftWord.length === 2) {
-    scores.dot += weights.dot.veryShortLeft.weight;
-  }
-
-  // Interest bonus
-  if (scores.dot > 0) {
-    scores.dot += weights.dot.interestBonus.weight;
-  }
-
-  // === HYPHEN ===
+  // best[p]: Map of round mask -> best { total, chain } whose last separator is at p (0 = none yet)
+  const best = Array.from({ length }, () => new Map());
+  best[0].set(0, { total: 0, chain: [] });
 
-  const isHeavy1 = isHeavySyllable(lastSyl);
-  const isHeavy2 = isHeavySyllable(firstSyl);
+  for (let p = 0; p < length; p++) {
+    // A single syllable between two separators only at the start or end, as in greedy rounds
+    const gap = p === 0 ? minSyllablesPerSegment : Math.max(2, minSyllablesPerSegment);
 
-  // Critical cluster (impossible to pronounce)
-  const clusterDiff = checkClusterDifficulty(lastChar, firstChar);
-  if (clusterDiff === 'critical') {
-    scores.hyphen += weights.hyphen.criticalCluster.weight;
-  } else if (clusterDiff === 'hard') {
-    scores.hyphen += weights.hyphen.hardCluster.weight;
-  } else if (clusterDiff === 'moderate') {
-    scores.hyphen += weights.hyphen.moderateCluster.weight;
-  }
-
-  // Heavy syllables with exact rhyme (brak-drak, glumrik-fendik)
-  if (isHeavy1 && isHeavy2 && hasExactRhyme(lastSyl, firstSyl)) {
-    scores.hyphen += weights.hyphen.heavySimilarRhyme.weight;
-  }
-
-  // Heavy syllables with partial rhyme (brak-brek)
-  if (isHeavy1 && isHeavy2 && !hasExactRhyme(lastSyl, firstSyl) && hasPartialRhyme(lastSyl, firstSyl)) {
-    scores.hyphen += weights.hyphen.heavyPartialRhyme.weight;
-  }
-
-  // Heavy + Heavy general
-  if (isHeavy1 && isHeavy2) {
-    scores.hyphen += weights.hyphen.heavyAndHeavy.weight;
-  }
+    for (const [mask, state] of best[p]) {
+      for (let q = p + gap; q <= length - minSyllablesPerSegment; q++) {
+        const candidate = candidates[q];
+        if (!candidate) continue;
 
-  // Identical consonants
-  if (lastChar === firstChar && !isVowel(lastChar)) {
-    scores.hyphen += weights.hyphen.identicalConsonants.weight;
-  }
-
-  // Same place of articulation
-  if (!isVowel(lastChar) && !isVowel(firstChar) && samePlaceOfArticulation(lastChar, firstChar)) {
-    scores.hyphen += weights.hyphen.samePlaceArticulation.weight;
-  }
-
-  // Interest bonus
-  if (scores.hyphen > 0) {
-    scores.hyphen += weights.hyphen.interestBonus.weight;
-  }
-
-  // === SPACE ===
-
-  // Clean consonant boundary
-  if (!isVowel(lastChar) && !isVowel(firstChar) && !clusterDiff) {
-    scores.space += weights.space.cleanConsonantBoundary.weight;
-  }
+        for (let round = 0; round < roundCount; round++) {
+          if (mask & (1 << round) || candidate.adjusted < roundThresholds[round]) continue;
 
-  // Heavy + Heavy can use space too (compete with hyphen)
-  if (isHeavy1 && isHeavy2 && !hasExactRhyme(lastSyl, firstSyl)) {
-    scores.space += weights.space.heavyAndHeavySpace.weight;
-  }
-
-  // Clean syllables
-  const endsClean = !isVowel(lastChar);
-  const startsClean = !isVowel(firstChar);
-  if (endsClean && startsClean) {
-    scores.space += weights.space.cleanSyllables.weight;
-  }
-
-  // Natural word split
-  if (leftWord.length >= 4 && rightWord.length >= 4) {
-    scores.space += weights.space.naturalWordSplit.weight;
-  }
-
-  // === TILDE ===
-
-  // Creative pattern (always applicable)
-  scores.tilde += weights.tilde.creativePattern.weight;
-
-  // Technical separator (always applicable)
-  scores.tilde += weights.tilde.technicalSeparator.weight;
-
-  // Alternative to dot (prefix pattern)
-  if (leftSyllables.length === 1 && rightSyllables.length >= 2) {
-    if (leftWord.length >= 2 && leftWord.length <= 5) {
-      scores.tilde += weights.tilde.alternativeToDot.weight;
+          const next = mask | (1 << round);
+          const total = state.total + candidate.adjusted - roundThresholds[round];
+          const current = best[q].get(next);
+          if (!current || total > current.total) {
+            best[q].set(next, { total, chain: [...state.chain, candidate] });
+          }
+        }
+      }
     }
   }
 
-  // Alternative to hyphen (moderate/hard clusters)
-  if (clusterDiff === 'moderate' || clusterDiff === 'hard') {
-    scores.tilde += weights.tilde.alternativeToHyphen.weight;
-  }
-
-  // Heavy syllables with rhyme
-  if (isHeavy1 && isHeavy2 && (hasExactRhyme(lastSyl, firstSyl) || hasPartialRhyme(lastSyl, firstSyl))) {
-    scores.tilde += weights.tilde.heavyRhyme.weight;
-  }
-
-  // Clean boundary
-  if (!isVowel(lastChar) && !isVowel(firstChar) && !clusterDiff) {
-    scores.tilde += weights.tilde.cleanBoundary.weight;
-  }
-
-  // Interest bonus
-  scores.tilde += weights.tilde.interestBonus.weight;
-
-  // === COLON ===
-
-  // Extract consonants from syllables
-  const getConsonants = (syl) => syl.split('').filter(c => !isVowel(c)).join('');
-
-  const lastConsonants = getConsonants(lastSyl);
-  const firstConsonants = getConsonants(firstSyl);
-
-  // Same consonant pattern (tik:tok = t-k : t-k, brak:brik = b-r-k : b-r-k)
-  // Require at least 2 consonants to avoid trivial matches like "ba:bu" (just "b")
-  if (lastConsonants === firstConsonants && lastConsonants.length >= 2) {
-    if (weights.colon?.sameConsonantPattern?.enabled) {
-      scores.colon += weights.colon.sameConsonantPattern.weight;
+  // Complete placements use rounds 1..n (mask is a run of low bits); keep the best per count
+  const byCount = new Map();
+  best.forEach(states => {
+    for (const [mask, state] of states) {
+      if ((mask & (mask + 1)) !== 0) continue;
+      const count = state.chain.length;
+      const current = byCount.get(count);
+      if (!current || state.total > current.total) {
+        byCount.set(count, state);
+      }
     }
-  }
-
-  // Similar structure (same length and pattern)
-  if (lastSyl.length === firstSyl.length && lastConsonants.length === firstConsonants.length) {
-    if (weights.colon?.similarStructure?.enabled) {
-      scores.colon += weights.colon.similarStructure.weight;
+  });
+
+  const alternatives = [...byCount.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([count, state]) => ({
+      count,
+      margin: state.total,
+      totalScore: state.chain.reduce((sum, c) => sum + c.adjusted, 0),
+      positions: state.chain.map(c => c.position)
+    }));
+
+  let winner = byCount.get(0);
+  for (const state of byCount.values()) {
+    if (state.total > winner.total) {
+      winner = state;
     }
   }
 
-  // Rhythmic pair effect (creates tik:tok feeling)
-  if (lastSyl.length >= 2 && firstSyl.length >= 2) {
-    if (weights.colon?.rhythmicPair?.enabled) {
-      scores.colon += weights.colon.rhythmicPair.weight;
-    }
-  }
+  // Strongest separator takes the first round, and so on
+  const separators = [...winner.chain]
+    .sort((a, b) => b.adjusted - a.adjusted)
+    .map((candidate, round) => ({
+      position: candidate.position,
+      name: candidate.name,
+      separator: SEPARATOR_MAP[candidate.name],
+      score: candidate.score,
+      adjusted: candidate.adjusted,
+      round: round + 1,
+      threshold: roundThresholds[round]
+    }))
+    .sort((a, b) => a.position - b.position);
 
-  // Interest bonus
-  if (weights.colon?.interestBonus?.enabled) {
-    scores.colon += weights.colon.interestBonus.weight;
+  for (const separator of separators) {
+    balancer?.recordUsage(separator.name);
   }
 
-  return scores;
+  return { separators, boundaries, alternatives };
 }
 
 /**
- * Choose best separator based on scores with adaptive balancing
- * @param {Object} scores - Scores for each separator
- * @param {number} threshold - Minimum score threshold
- * @param {boolean} useBalancing - Enable diversity balancing (default true)
- * @returns {string} Separator character or empty string
+ * Explanation for a version that was not scored
  */
-export function chooseSeparator(scores, threshold = 100, useBalancing = true) {
-  const separatorMap = {
-    apostrophe: "'",
-    dot: ". ",
-    hyphen: "-",
-    space: " ",
-    tilde: "~",
-    colon: ":"
+function emptyExplanation(syllables, summary) {
+  return {
+    syllables,
+    balancer: null,
+    placement: null,
+    maxSeparators: 0,
+    rounds: [],
+    boundaries: [],
+    alternatives: [],
+    separators: [],
+    totalScore: 0,
+    summary
   };
-
-  let winner = null;
-
-  if (useBalancing) {
-    // Use balancer for diversity-aware selection
-    const balancer = getBalancer();
-    winner = balancer.chooseSeparator(scores, threshold);
-  } else {
-    // Simple highest-score selection (old behavior)
-    const entries = Object.entries(scores)
-      .filter(([_, score]) => score >= threshold)
-      .sort((a, b) => b[1] - a[1]);
-
-    if (entries.length > 0) {
-      winner = entries[0][0];
-    }
-  }
-
-  if (!winner) return "";
-  return separatorMap[winner];
 }
 
 /**
- * Add smart separators to version
- * @param {string[]} syllables - Array of syllables
- * @param {Object} options - Options
- * @returns {string} Version with separators
+ * Describe one scored boundary for the explain trace
+ * Balancer adjustments are recomputed here; both built-in balancers are pure.
  */
-export function addSmartSeparators(syllables, options = {}) {
-  const config = loadConfig();
-  const sepConfig = config.separators;
-
-  if (!sepConfig.enabled) {
-    return syllables.join('');
-  }
-
-  const {
-    maxSeparators = sepConfig.maxSeparators,
-    thresholds = sepConfig.thresholds
-  } = options;
-
-  if (syllables.length < 2) {
-    return syllables.join('');
-  }
-
-  const separators = [];
-
-  // Find best separators iteratively
-  for (let round = 0; round < maxSeparators; round++) {
-    const threshold = thresholds[round === 0 ? 'first' : round === 1 ? 'second' : 'third'];
-    let bestScore = 0;
-    let bestPosition = -1;
-    let bestSeparator = "";
-
-    // Try all positions
-    for (let i = 1; i < syllables.length; i++) {
-      // Skip if already has separator nearby
-      if (separators.some(s => Math.abs(s.position - i) <= 1)) continue;
+function explainBoundary(syllables, position, scores, rules, balancer, candidate, maxScore) {
+  const context = { position };
+  return {
+    position,
+    left: syllables[position - 1],
+    right: syllables[position],
+    skipped: null,
+    scores,
+    rules,
+    multipliers: typeof balancer?.getDiversityMultipliers === 'function' ? balancer.getDiversityMultipliers(context) : null,
+    adjusted: balancer ? balancer.adjustScores(scores, context) : scores,
+    candidate,
+    maxScore
+  };
+}
 
-      const left = syllables.slice(0, i);
-      const right = syllables.slice(i);
+/**
+ * Summarize a round: the boundaries tried and why the winner won (or nothing did)
+ */
+function explainRound(round, threshold, boundaries, winnerPosition, bestScore) {
+  const scored = boundaries.filter(b => !b.skipped);
+
+  if (winnerPosition === null) {
+    const strongest = Math.max(0, ...scored.map(b => b.maxScore));
+    return {
+      round,
+      threshold,
+      boundaries,
+      winner: null,
+      reason: scored.some(b => b.candidate)
+        ? `Strongest boundary scores ${format(strongest)}, below the threshold ${threshold}`
+        : `No separator scores at least ${threshold} after balancing at any boundary`
+    };
+  }
+
+  const winner = scored.find(b => b.position === winnerPosition);
+  const ranked = Object.entries(winner.adjusted).sort((a, b) => b[1] - a[1]);
+  const runnerUp = ranked.find(([name]) => name !== winner.candidate);
+  const otherBoundary = scored
+    .filter(b => b.position !== winnerPosition && b.candidate)
+    .sort((a, b) => b.maxScore - a.maxScore)[0];
+
+  const reasons = [
+    !otherBoundary
+      ? `${winner.left}|${winner.right} is the only boundary with a candidate (raw ${format(bestScore)})`
+      : otherBoundary.maxScore === bestScore
+        ? `${winner.left}|${winner.right} ties ${otherBoundary.left}|${otherBoundary.right} on raw score (${format(bestScore)}) and comes first`
+        : `${winner.left}|${winner.right} has the highest raw score (${format(bestScore)}; next ${otherBoundary.left}|${otherBoundary.right} with ${format(otherBoundary.maxScore)})`,
+    `${winner.candidate} has the highest balanced score there (${format(winner.adjusted[winner.candidate])}` +
+      (runnerUp ? ` vs ${runnerUp[0]} ${format(runnerUp[1])})` : ')'),
+    `threshold ${threshold}`
+  ];
+
+  return {
+    round,
+    threshold,
+    boundaries,
+    winner: {
+      position: winnerPosition,
+      separator: winner.candidate,
+      character: SEPARATOR_MAP[winner.candidate],
+      score: bestScore,
+      adjusted: winner.adjusted[winner.candidate]
+    },
+    reason: reasons.join('; ')
+  };
+}
 
-      const scores = analyzeBoundary(left, right, syllables);
-      const separator = chooseSeparator(scores, threshold);
-      const maxScore = Math.max(...Object.values(scores));
+/**
+ * Round a score for explanations
+ */
+function format(score) {
+  return Number.isInteger(score) ? String(score) : score.toFixed(1);
+}
 
-      if (maxScore > bestScore && separator) {
-        bestScore = maxScore;
-        bestPosition = i;
-        bestSeparator = separator;
-      }
+/**
+ * Locate the separators in a finished version
+ * Works on any rendering of the syllables (smart, hyphenated, profiled):
+ * every run of non-letters between two syllables is reported.
+ * @param {string} version - Version string (e.g., "threm dowsli'ul")
+ * @param {string[]} syllables - Its syllables in order (e.g., from parseSyllables)
+ * @returns {Object[]} [{ position, offset, separator }] - position is the index of the
+ *   syllable after the separator, offset its character index in version
+ */
+export function findSeparators(version, syllables) {
+  const text = version.toLowerCase();
+  const found = [];
+  let offset = 0;
+
+  syllables.forEach((syllable, position) => {
+    const start = offset;
+    while (offset < text.length && !/[a-z]/.test(text[offset])) {
+      offset++;
     }
-
-    if (bestPosition === -1 || bestScore < threshold) {
-      break;
+    if (offset > start && position > 0) {
+      found.push({ position, offset: start, separator: version.slice(start, offset) });
     }
+    if (text.slice(offset, offset + syllable.length) !== syllable.toLowerCase()) {
+      throw new Error(`Syllable "${syllable}" not found at character ${offset} of "${version}"`);
+    }
+    offset += syllable.length;
+  });
 
-    separators.push({ position: bestPosition, separator: bestSeparator, score: bestScore });
-  }
-
-  // Build final string
-  if (separators.length === 0) {
-    return syllables.join('');
-  }
-
-  // Sort by position
-  separators.sort((a, b) => a.position - b.position);
-
-  let result = '';
-  let lastPos = 0;
-
-  for (const sep of separators) {
-    result += syllables.slice(lastPos, sep.position).join('');
-    result += sep.separator;
-    lastPos = sep.position;
-  }
+  return found;
+}
 
-  result += syllables.slice(lastPos).join('');
+/**
+ * Create the default stateless balancer for one version
+ * @param {string[]} syllables - Syllables of the version
+ * @param {number} seed - Explicit seed (default: hash of syllable characters)
+ * @param {Object} config - Configuration to read separatorBalancing from
+ * @returns {HashBalancer|null} Balancer, or null when balancing is disabled
+ */
+function createHashBalancer(syllables, seed, config) {
+  const { enabled, diversityStrength, targets } = getBalancingConfig(config);
+  if (!enabled) return null;
 
-  return result;
+  const effectiveSeed = seed ?? hashValues(Array.from(syllables.join('-'), c => c.charCodeAt(0)));
+  return new HashBalancer({ seed: effectiveSeed, diversityStrength, targets });
 }
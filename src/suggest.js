@@ -0,0 +1,237 @@
+/**
+ * Typo-tolerant Decoding
+ * Suggests the versions a mistyped name most likely meant ("did you mean")
+ */
+
+import { getDefaultVersioner } from './versioner.js';
+
+// Vowels are confused with each other and often dropped (pl/pel)
+const VOWELS = ['a', 'e', 'i', 'o', 'u'];
+
+// Letters that sound alike or are commonly confused (cheaper to substitute)
+const SIMILAR_SOUNDS = [
+  ['c', 'k', 'q'],
+  ['c', 's', 'z'],
+  ['t', 'd'],
+  ['p', 'b'],
+  ['f', 'v'],
+  ['g', 'k'],
+  ['m', 'n'],
+  ['w', 'v'],
+  VOWELS
+];
+
+// Silent or digraph-forming letters (cher/sher, tho/to) are cheap to drop or add
+const LIGHT_LETTERS = ['h'];
+
+const COSTS = {
+  similar: 0.4,
+  light: 0.4,
+  vowel: 0.6,
+  transposition: 0.6,
+  other: 1
+};
+
+/**
+ * Cost of substituting one letter for another
+ */
+function substitutionCost(a, b) {
+  if (a === b) return 0;
+  if (SIMILAR_SOUNDS.some(group => group.includes(a) && group.includes(b))) {
+    return COSTS.similar;
+  }
+  return COSTS.other;
+}
+
+/**
+ * Cost of inserting or deleting a letter
+ */
+function indelCost(char) {
+  if (LIGHT_LETTERS.includes(char)) return COSTS.light;
+  if (VOWELS.includes(char)) return COSTS.vowel;
+  return COSTS.other;
+}
+
+/**
+ * Phonetically weighted edit distance (Damerau-Levenshtein)
+ * @param {string} typed - Fragment typed by the user
+ * @param {string} syllable - Known syllable
+ * @returns {number} Weighted distance (0 = identical)
+ */
+export function phoneticDistance(typed, syllable) {
+  const rows = typed.length + 1;
+  const cols = syllable.length + 1;
+  const d = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+  for (let i = 1; i < rows; i++) d[i][0] = d[i - 1][0] + indelCost(typed[i - 1]);
+  for (let j = 1; j < cols; j++) d[0][j] = d[0][j - 1] + indelCost(syllable[j - 1]);
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      d[i][j] = Math.min(
+        d[i - 1][j] + indelCost(typed[i - 1]),
+        d[i][j - 1] + indelCost(syllable[j - 1]),
+        d[i - 1][j - 1] + substitutionCost(typed[i - 1], syllable[j - 1])
+      );
+
+      // Swapped neighbouring letters (chre/cher)
+      if (i > 1 && j > 1 &&
+          typed[i - 1] === syllable[j - 2] &&
+          typed[i - 2] === syllable[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + COSTS.transposition);
+      }
+    }
+  }
+
+  return d[rows - 1][cols - 1];
+}
+
+/**
+ * Find close syllable splits for one separator-free segment
+ * Beam search over offsets: each step consumes a fragment of the input and
+ * maps it to a known syllable within maxDistance.
+ * @param {string} segment - Lowercase letters only
+ * @param {string[]} syllables - Known syllables
+ * @param {Object} options - { maxDistance, beamWidth }
+ * @returns {Array<{syllables: string[], cost: number}>} Best paths, cheapest first
+ */
+function fuzzySegment(segment, syllables, options) {
+  const { maxDistance, beamWidth } = options;
+  const maxLength = Math.max(...syllables.map(s => s.length));
+  const beams = Array.from({ length: segment.length + 1 }, () => []);
+  beams[0] = [{ syllables: [], cost: 0 }];
+
+  // Distance cache: the same fragment is matched from many paths
+  const matches = new Map();
+  const matchFragment = (fragment) => {
+    if (!matches.has(fragment)) {
+      const found = [];
+      for (const syllable of syllables) {
+        if (Math.abs(syllable.length - fragment.length) > 2) continue;
+        const distance = phoneticDistance(fragment, syllable);
+        if (distance <= maxDistance) {
+          found.push({ syllable, distance });
+        }
+      }
+      matches.set(fragment, found);
+    }
+    return matches.get(fragment);
+  };
+
+  for (let offset = 0; offset < segment.length; offset++) {
+    if (beams[offset].length === 0) continue;
+    beams[offset].sort((a, b) => a.cost - b.cost);
+    beams[offset].length = Math.min(beams[offset].length, beamWidth);
+
+    for (let len = 1; len <= maxLength + 1 && offset + len <= segment.length; len++) {
+      const fragment = segment.substring(offset, offset + len);
+      for (const { syllable, distance } of matchFragment(fragment)) {
+        for (const path of beams[offset]) {
+          beams[offset + len].push({
+            syllables: [...path.syllables, syllable],
+            cost: path.cost + distance
+          });
+        }
+      }
+    }
+  }
+
+  return beams[segment.length]
+    .sort((a, b) => a.cost - b.cost)
+    .slice(0, beamWidth);
+}
+
+/**
+ * Suggest versions a (possibly mistyped) name could mean
+ *
+ * Separators in the input stay hard boundaries. Each candidate is decoded
+ * with the same options as parseVersion; candidates that fail to decode
+ * (e.g., checksum mismatch) are dropped. Ranking is by weighted edit
+ * distance, ties broken by how close the decoded build is to now.
+ *
+ * @param {string} input - Version string as typed
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum suggestions (default: 5)
+ * @param {number} options.maxDistance - Maximum weighted edits per syllable (default: 1.5)
+ * @param {number} options.beamWidth - Paths kept per offset (default: 50)
+ * @param {number} options.buildInterval - Build interval in seconds (see parseVersion)
+ * @param {boolean} options.embedInterval - Names carry an interval tier marker (default: from config)
+ * @param {boolean} options.checksum - Names end with a check syllable (default: from config)
+ * @param {string} options.precision - Timestamp precision 's', 'ms' or 'ns' (see parseVersion)
+ * @param {number} options.now - Reference Unix time in seconds for tie-breaking (default: current time)
+ * @param {Object} options.versioner - Versioner whose syllables and config are used (default: default versioner)
+ * @returns {Object[]} Ranked suggestions: { version, syllables, timestamp, date, normalized, interval, distance, confidence }
+ */
+export function suggestVersions(input, options = {}) {
+  const {
+    limit = 5,
+    maxDistance = 1.5,
+    beamWidth = 50,
+    buildInterval = null
+  } = options;
+
+  if (!input || input.length === 0) {
+    throw new Error('Cannot suggest versions for empty input');
+  }
+
+  const segments = input.toLowerCase().split(/[^a-z]+/).filter(s => s.length > 0);
+  if (segments.length === 0) {
+    throw new Error('Cannot suggest versions: no letters in input');
+  }
+
+  const versioner = options.versioner || getDefaultVersioner();
+  const { syllables } = versioner;
+
+  // Combine per-segment paths, keeping the cheapest combinations
+  let paths = [{ syllables: [], cost: 0 }];
+  for (const segment of segments) {
+    const segmentPaths = fuzzySegment(segment, syllables, { maxDistance, beamWidth });
+    const combined = [];
+    for (const prefix of paths) {
+      for (const path of segmentPaths) {
+        combined.push({
+          syllables: [...prefix.syllables, ...path.syllables],
+          cost: prefix.cost + path.cost
+        });
+      }
+    }
+    paths = combined.sort((a, b) => a.cost - b.cost).slice(0, beamWidth);
+  }
+
+  const suggestions = [];
+  const seen = new Set();
+
+  for (const path of paths) {
+    // Hyphens make the split explicit, so decoding cannot re-split differently
+    const version = path.syllables.join('-');
+    if (seen.has(version)) continue;
+    seen.add(version);
+
+    // Undecodable, or beyond the representable date range: cannot be a real build
+    let parsed;
+    try {
+      parsed = versioner.parse(version, buildInterval, options);
+    } catch (error) {
+      continue;
+    }
+
+    suggestions.push({
+      version,
+      syllables: path.syllables,
+      timestamp: parsed.timestamp,
+      date: parsed.date,
+      normalized: parsed.normalized,
+      interval: parsed.interval,
+      distance: Math.round(path.cost * 100) / 100,
+      confidence: Math.round(Math.exp(-path.cost) * 1000) / 1000
+    });
+  }
+
+  // Equally close spellings: prefer the build nearest to now
+  // Compared via dates so it works for every precision
+  const now = (options.now ?? Date.now() / 1000) * 1000;
+  const age = s => Math.abs(Date.parse(s.date) - now);
+  return suggestions
+    .sort((a, b) => a.distance - b.distance || age(a) - age(b))
+    .slice(0, limit);
+}
@@ -0,0 +1,306 @@
+/**
+ * Separator Weight Training
+ * Fits the config.scoring weights to human-preferred separator placements
+ *
+ * An example is a syllable array with the preferred rendering:
+ * {"syllables": ["threm", "dow", "sli", "ul"], "version": "threm dow sli'ul"}
+ * Training is an averaged structured perceptron: each example is placed
+ * the way generate() places it (versioner placeSeparators, balancer seeded
+ * from the syllable indices) at the current weights, skipping boundaries
+ * that get a separator only so the name decodes. When the result differs,
+ * the weights of rules behind the preferred separators go up and those
+ * behind the wrong ones go down, by config.training.learningRate (in units
+ * of 100, the scale of the thresholds). An iteration is one pass over the
+ * training examples. The result is the average of the weights over all
+ * steps, which settles even when no weights place every example right (or
+ * the final weights, when they place more training examples right).
+ *
+ * Accuracy is measured on examples held out from training, against the
+ * names generate() would produce. Syllables must come from the default set.
+ */
+
+import { loadConfig, getConfigValue, updateScoringWeights } from './config-loader.js';
+import { findSeparators, SEPARATOR_MAP } from './separators.js';
+import { evaluateRules, getSeparatorRules } from './separator-rules.js';
+import { hashValues } from './separator-balancer.js';
+import { createVersioner } from './versioner.js';
+
+// Weight scale: the learning rate and convergence threshold are in units of this (thresholds are around 100)
+const SCALE = 100;
+
+/**
+ * Map rendered separator text to its name ("." or ". " → dot)
+ */
+function separatorName(text) {
+  const trimmed = text.trim();
+  if (trimmed === '') return 'space';
+
+  const name = Object.keys(SEPARATOR_MAP).find(key => SEPARATOR_MAP[key].trim() === trimmed);
+  if (!name) {
+    throw new Error(`Unknown separator "${text}"`);
+  }
+  return name;
+}
+
+/**
+ * Separator name at each boundary of a rendered version
+ */
+function boundaryLabels(version, syllables) {
+  const labels = new Array(syllables.length - 1).fill(null);
+  for (const { position, separator } of findSeparators(version, syllables)) {
+    labels[position - 1] = separatorName(separator);
+  }
+  return labels;
+}
+
+/**
+ * Validate a training example
+ * @param {Object} data - { syllables: string[], version: string } (version is the preferred rendering)
+ * @returns {Object} { syllables, version, labels } - labels holds the separator name (or null) per boundary
+ */
+export function parseExample(data) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error('Example must be an object with "syllables" and "version"');
+  }
+
+  const { syllables, version } = data;
+  if (!Array.isArray(syllables) || syllables.length === 0 || !syllables.every(s => typeof s === 'string' && /^[a-z]+$/i.test(s))) {
+    throw new Error('"syllables" must be a non-empty array of syllable strings');
+  }
+  if (typeof version !== 'string') {
+    throw new Error('"version" must be the preferred rendering of the syllables');
+  }
+
+  return { syllables, version, labels: boundaryLabels(version, syllables) };
+}
+
+/**
+ * Split examples into training and held-out sets
+ * Assignment depends only on the syllables, so an example stays on the same
+ * side when the file is reordered or extended.
+ * @param {Object[]} examples - Parsed examples
+ * @param {number} holdout - Fraction to hold out (0 to <1)
+ * @returns {Object} { train, test }
+ */
+export function splitExamples(examples, holdout) {
+  const train = [];
+  const test = [];
+
+  for (const example of examples) {
+    const hash = hashValues(Array.from(example.syllables.join('-'), c => c.charCodeAt(0)));
+    (hash % 1000 < holdout * 1000 ? test : train).push(example);
+  }
+
+  return { train, test };
+}
+
+/**
+ * Measure how often the placement matches the examples
+ * @param {Object[]} examples - Parsed examples
+ * @param {Object} config - Configuration to place separators with
+ * @returns {Object} { count, names, boundaries } - fraction of names matching exactly and of
+ *   boundaries with the preferred separator (null when there are no examples)
+ */
+export function evaluatePlacement(examples, config) {
+  let exact = 0;
+  let boundaries = 0;
+  let correct = 0;
+  const versioner = createVersioner({ config });
+
+  for (const { syllables, labels } of examples) {
+    const predicted = boundaryLabels(versioner.placeSeparators(syllables), syllables);
+    const matches = labels.filter((label, i) => label === predicted[i]).length;
+
+    correct += matches;
+    boundaries += labels.length;
+    if (matches === labels.length) exact++;
+  }
+
+  return {
+    count: examples.length,
+    names: examples.length > 0 ? exact / examples.length : null,
+    boundaries: boundaries > 0 ? correct / boundaries : null
+  };
+}
+
+/**
+ * Trainable weights: rules whose config entry is scoring.<separator>.<feature>.weight
+ * @returns {Map} configKey → starting weight
+ */
+function trainableWeights(config) {
+  const weights = new Map();
+
+  for (const rule of getSeparatorRules()) {
+    if (!rule.configKey || rule.configKey.split('.').length !== 2 || weights.has(rule.configKey)) continue;
+
+    const weight = getConfigValue(config.scoring, rule.configKey)?.weight;
+    if (typeof weight === 'number') {
+      weights.set(rule.configKey, weight);
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * Count the trained rules behind a placement
+ * @returns {Float64Array} Firings per parameter, over the boundaries that get a separator
+ */
+function placementFeatures(syllables, labels, config, parameterOf) {
+  const counts = new Float64Array(parameterOf.size);
+
+  labels.forEach((label, boundary) => {
+    if (!label) return;
+
+    const position = boundary + 1;
+    const { rules } = evaluateRules(syllables.slice(0, position), syllables.slice(position), syllables, config);
+    for (const rule of rules) {
+      const parameter = parameterOf.get(rule.rule);
+      if (rule.separator === label && parameter !== undefined) {
+        counts[parameter]++;
+      }
+    }
+  });
+
+  return counts;
+}
+
+/**
+ * Fit scoring weights to examples
+ *
+ * @param {Object[]} examples - Parsed examples (see parseExample)
+ * @param {Object} options - Options
+ * @param {Object} options.config - Starting configuration, not modified (default: loadConfig())
+ * @param {number} options.holdout - Fraction of examples held out for accuracy (default: 0.2)
+ * @param {number} options.learningRate - Weight step per mistake (default: config.training.learningRate)
+ * @param {number} options.maxIterations - Passes over the training examples (default: config.training.maxIterations)
+ * @param {number} options.convergenceThreshold - Stop when a pass moves no averaged weight by more
+ *   (default: config.training.convergenceThreshold)
+ * @returns {Object} { weights, changes, config, iterations, converged, stalled, mistakes, train, test } -
+ *   weights: { separator: { feature: weight } } for updateScoringWeights, changes:
+ *   [{ key, from, to }], config: trained copy, converged: the weights settled with no more
+ *   mistakes than the first pass, stalled: they settled with more, mistakes: { first, last } misplaced training
+ *   examples in the first and last pass, train/test: { count, before, after } accuracy
+ *   (see evaluatePlacement)
+ *
+ * @example
+ * const examples = lines.map(line => parseExample(JSON.parse(line)));
+ * const { weights, test } = trainWeights(examples);
+ * updateScoringWeights(weights, config);
+ */
+export function trainWeights(examples, options = {}) {
+  const config = options.config || loadConfig();
+  const training = config.training || {};
+  const {
+    holdout = 0.2,
+    learningRate = training.learningRate ?? 0.01,
+    maxIterations = training.maxIterations ?? 1000,
+    convergenceThreshold = training.convergenceThreshold ?? 0.001
+  } = options;
+
+  if (!(holdout >= 0 && holdout < 1)) {
+    throw new Error(`Holdout must be a fraction from 0 to below 1 (got ${holdout})`);
+  }
+
+  const { train, test } = splitExamples(examples, holdout);
+  if (train.length === 0) {
+    throw new Error('No training examples (all examples are held out)');
+  }
+
+  const initial = trainableWeights(config);
+  const keys = [...initial.keys()];
+  const configKeys = new Map(getSeparatorRules().map(rule => [rule.name, rule.configKey]));
+  const parameterOf = new Map(
+    [...configKeys].filter(([, key]) => initial.has(key)).map(([name, key]) => [name, keys.indexOf(key)])
+  );
+
+  // Placement runs on a working copy whose weights follow the parameters
+  const working = structuredClone(config);
+  const versioner = createVersioner({ config: working });
+  const parameters = keys.map(key => initial.get(key));
+  const setWeight = p => {
+    getConfigValue(working.scoring, keys[p]).weight = parameters[p];
+  };
+
+  // Averaged perceptron: the result is the mean of the weights after every example
+  const sums = [...parameters];
+  let steps = 1;
+  let average = [...parameters];
+  let iterations = 0;
+  let converged = false;
+  let stalled = false;
+  const mistakes = [];
+
+  while (iterations < maxIterations) {
+    let wrong = 0;
+
+    for (const { syllables, labels } of train) {
+      // Boundaries that get a separator only so the name decodes are not the weights' doing: take them as right
+      const placed = boundaryLabels(versioner.placeSeparators(syllables, { disambiguate: false }), syllables);
+      const shown = boundaryLabels(versioner.placeSeparators(syllables), syllables);
+      const predicted = placed.map((label, i) => (shown[i] !== label ? labels[i] : label));
+      if (predicted.some((label, i) => label !== labels[i])) {
+        wrong++;
+        const gold = placementFeatures(syllables, labels, working, parameterOf);
+        const guess = placementFeatures(syllables, predicted, working, parameterOf);
+        gold.forEach((count, p) => {
+          if (count === guess[p]) return;
+          parameters[p] += learningRate * SCALE * (count - guess[p]);
+          setWeight(p);
+        });
+      }
+
+      parameters.forEach((value, p) => {
+        sums[p] += value;
+      });
+      steps++;
+    }
+
+    iterations++;
+    mistakes.push(wrong);
+
+    const next = sums.map(sum => sum / steps);
+    const moved = Math.max(0, ...next.map((value, p) => Math.abs(value - average[p])));
+    average = next;
+    if (wrong === 0 || moved < convergenceThreshold * SCALE) {
+      // Weights that settle while misplacing more names than the first pass are stuck, not fitted
+      converged = wrong <= mistakes[0];
+      stalled = !converged;
+      break;
+    }
+  }
+
+  // Whole numbers, like the shipped weights
+  const tune = values => {
+    const weights = {};
+    const changes = [];
+    keys.forEach((key, p) => {
+      const to = Math.round(values[p]);
+      const from = initial.get(key);
+      if (to === from) return;
+
+      const [separator, feature] = key.split('.');
+      weights[separator] = { ...weights[separator], [feature]: to };
+      changes.push({ key, from, to });
+    });
+    const trained = updateScoringWeights(weights, structuredClone(config));
+    return { weights, changes, trained, accuracy: evaluatePlacement(train, trained) };
+  };
+
+  // The average generalizes better, but on small sets it can lag weights that already fit
+  const averaged = tune(average);
+  const last = tune(parameters);
+  const { weights, changes, trained, accuracy } = last.accuracy.names > averaged.accuracy.names ? last : averaged;
+
+  return {
+    weights,
+    changes,
+    config: trained,
+    iterations,
+    converged,
+    stalled,
+    mistakes: { first: mistakes[0], last: mistakes[mistakes.length - 1] },
+    train: { count: train.length, before: evaluatePlacement(train, config), after: accuracy },
+    test: { count: test.length, before: evaluatePlacement(test, config), after: evaluatePlacement(test, trained) }
+  };
+}
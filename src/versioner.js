@@ -0,0 +1,1017 @@
+/**
+ * Phonetic Versioner
+ * Instance-based API: each versioner owns its config, syllable set and balancer,
+ * so several configurations can coexist in one process
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import {
+  encodeToSyllableIndices,
+  decodeSyllableIndices,
+  interleaveDigits,
+  deinterleaveDigits,
+  computeCheckDigit,
+  verifyCheckDigit,
+  toExactNumber
+} from './encoder.js';
+import { loadConfig, findOptimalInterval, getIntervalTier, getIntervalTiers } from './config-loader.js';
+import { addSmartSeparators, analyzeBoundary, findSeparators, joinSyllables, SEPARATOR_MAP } from './separators.js';
+import { hashValues } from './separator-balancer.js';
+import { countSegmentations, findSegmentations } from './segmentation.js';
+import { applyProfile } from './profiles.js';
+import {
+  FLAG_COUNT,
+  getBlockedWords,
+  findBlockedWord,
+  flagIndex,
+  flagVariant,
+  remapDigits,
+  unmapDigits
+} from './blocklist.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Timestamp units per second for each precision
+ * Timestamps and explicit build intervals are counted in these units;
+ * config intervals are always seconds and are scaled. Without an explicit
+ * interval, sub-second precisions default to one unit (see defaultInterval).
+ */
+export const PRECISION_UNITS = { s: 1, ms: 1000, ns: 1000000000 };
+
+// Data syllables of a sortable name when config.encoding.sortableSyllables is unset
+const DEFAULT_SORTABLE_SYLLABLES = 4;
+
+/**
+ * Check an ordering option
+ * @param {string} ordering - 'interleaved' or 'sortable'
+ * @returns {boolean} True for sortable
+ */
+function isSortable(ordering) {
+  if (ordering !== 'interleaved' && ordering !== 'sortable') {
+    throw new Error(`Unknown ordering "${ordering}" (expected "interleaved" or "sortable")`);
+  }
+  return ordering === 'sortable';
+}
+
+// Git's default short hash: 7 hex digits
+const DEFAULT_SHA_BITS = 28;
+
+// Julian year, used for epoch coverage in stats()
+const SECONDS_PER_YEAR = 365.25 * 24 * 60 * 60;
+
+// Syllable splits listed in an ambiguity error
+const LISTED_SPLITS = 10;
+
+// Most syllable splits tried against the checksum before a name counts as ambiguous
+const MAX_CHECKED_SPLITS = 1000;
+
+/**
+ * Error for a name that splits into syllables in more than one way
+ * @param {string} version - Version string
+ * @param {string} description - What the splits are, e.g. "3 possible syllable splits"
+ * @param {string[][]} candidates - Splits to list (attached as error.candidates)
+ * @param {bigint} count - Total number of splits (more are summarized when above the listed ones)
+ * @returns {Error} Error to throw
+ */
+function ambiguityError(version, description, candidates, count = BigInt(candidates.length)) {
+  const listed = candidates.map(c => c.join('-'));
+  if (count > BigInt(candidates.length)) {
+    listed.push(`... ${count - BigInt(candidates.length)} more`);
+  }
+  const error = new Error(
+    `Ambiguous version string "${version}": ${description} (${listed.join(', ')}). ` +
+    'Add a separator between syllables to disambiguate.'
+  );
+  error.candidates = candidates;
+  return error;
+}
+
+/**
+ * Look up the unit of a precision
+ * @param {string} precision - 's', 'ms' or 'ns'
+ * @returns {number} Units per second
+ */
+function getPrecisionUnit(precision) {
+  const unit = PRECISION_UNITS[precision];
+  if (!unit) {
+    throw new Error(`Unknown precision "${precision}" (expected "s", "ms" or "ns")`);
+  }
+  return unit;
+}
+
+/**
+ * Check a build interval
+ * @param {number} interval - Interval in precision units
+ * @returns {number} The interval
+ */
+function checkInterval(interval) {
+  if (!Number.isSafeInteger(interval) || interval < 1) {
+    throw new Error(`Invalid interval ${interval}: expected a positive whole number of precision units`);
+  }
+  return interval;
+}
+
+/**
+ * Resolve an epoch to Unix seconds
+ * @param {number|string|null} epoch - Unix seconds, or a date string such as "2024-01-01"
+ * @returns {number} Epoch in whole Unix seconds (0 = Unix epoch)
+ */
+export function resolveEpoch(epoch) {
+  if (epoch === null || epoch === undefined) return 0;
+
+  if (typeof epoch === 'string') {
+    const ms = Date.parse(epoch);
+    if (isNaN(ms)) {
+      throw new Error(`Invalid epoch "${epoch}": expected Unix seconds or a date such as "2024-01-01"`);
+    }
+    return Math.floor(ms / 1000);
+  }
+
+  if (!Number.isInteger(epoch) || epoch < 0) {
+    throw new Error(`Invalid epoch ${epoch}: expected non-negative whole Unix seconds`);
+  }
+  return epoch;
+}
+
+/**
+ * Current time in the given precision
+ * @param {string} precision - 's', 'ms' or 'ns'
+ * @returns {number|bigint} Timestamp (BigInt for 'ns')
+ */
+function currentTime(precision) {
+  const now = Date.now();
+  if (precision === 'ns') return BigInt(now) * 1000000n;
+  if (precision === 'ms') return now;
+  return Math.floor(now / 1000);
+}
+
+/**
+ * Subtract the epoch from a timestamp
+ * @param {number|bigint} timestamp - Timestamp in precision units
+ * @param {number} epochSeconds - Epoch in Unix seconds
+ * @param {number} unit - Precision units per second
+ * @returns {number|bigint} Time since the epoch (same type as timestamp)
+ */
+function subtractEpoch(timestamp, epochSeconds, unit) {
+  if (epochSeconds === 0) return timestamp;
+
+  // BigInt offset: an epoch in nanoseconds exceeds Number.MAX_SAFE_INTEGER
+  const elapsed = typeof timestamp === 'bigint'
+    ? timestamp - BigInt(epochSeconds) * BigInt(unit)
+    : timestamp - epochSeconds * unit;
+
+  if (elapsed < 0) {
+    const epochDate = new Date(epochSeconds * 1000).toISOString();
+    throw new Error(`Timestamp ${timestamp} is before the configured epoch ${epochDate}`);
+  }
+  return elapsed;
+}
+
+/**
+ * Divide a timestamp by the build interval, exactly
+ * Numbers beyond Number.MAX_SAFE_INTEGER have already lost precision, so
+ * they are rejected instead of producing a name for a rounded timestamp.
+ * @param {number|bigint} timestamp - Timestamp in precision units
+ * @param {number} interval - Build interval in precision units
+ * @returns {number|bigint} Normalized value (BigInt only beyond Number.MAX_SAFE_INTEGER)
+ */
+function normalizeTimestamp(timestamp, interval) {
+  if (typeof timestamp === 'bigint') {
+    if (timestamp < 0n) {
+      throw new Error(`Cannot encode negative timestamp ${timestamp}`);
+    }
+    return toExactNumber(timestamp / BigInt(interval));
+  }
+
+  if (timestamp > Number.MAX_SAFE_INTEGER) {
+    throw new Error(`Timestamp ${timestamp} exceeds Number.MAX_SAFE_INTEGER and has lost precision: pass it as a BigInt`);
+  }
+
+  return Math.floor(timestamp / interval);
+}
+
+/**
+ * Load the bundled syllable database
+ * @returns {Object} Syllable data ({ syllables, metadata })
+ */
+function loadDefaultSyllables() {
+  const syllablesPath = join(__dirname, '../data/syllables.json');
+  return JSON.parse(readFileSync(syllablesPath, 'utf8'));
+}
+
+/**
+ * Normalize and check a syllable list
+ * @param {string[]|Object} syllables - Array of syllables or data object with a syllables array
+ * @returns {Object} { data, list } - data is the original object, list is lowercase syllables
+ */
+function normalizeSyllables(syllables) {
+  const data = Array.isArray(syllables) ? { syllables } : syllables;
+
+  if (!data || !Array.isArray(data.syllables) || data.syllables.length < 2) {
+    throw new Error('Syllable set must be an array of at least 2 syllables');
+  }
+
+  const list = data.syllables.map(s => String(s).toLowerCase());
+  const seen = new Set();
+
+  for (const syllable of list) {
+    if (!/^[a-z]+$/.test(syllable)) {
+      throw new Error(`Invalid syllable "${syllable}": only letters a-z are allowed`);
+    }
+    if (seen.has(syllable)) {
+      throw new Error(`Duplicate syllable "${syllable}" in syllable set`);
+    }
+    seen.add(syllable);
+  }
+
+  return { data, list };
+}
+
+/**
+ * Create a phonetic versioner
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.config - Full configuration object (default: loadConfig())
+ * @param {string[]|Object} options.syllables - Syllable list or { syllables } data (default: data/syllables.json)
+ * @param {Object} options.balancer - Separator balancer used when generate() gets none (default: deterministic)
+ * @returns {Object} Versioner with generate, parse, validate, stats, decode and decodeDetailed
+ *
+ * @example
+ * const versioner = createVersioner({ syllables: ['ba', 'be', 'bi', 'bo', 'bu'] });
+ * versioner.generate(1732127000);
+ */
+export function createVersioner(options = {}) {
+  const {
+    config = loadConfig(),
+    syllables = loadDefaultSyllables(),
+    balancer = null
+  } = options;
+
+  const { data, list } = normalizeSyllables(syllables);
+  const base = list.length;
+  const known = new Set(list);
+  const lookup = new Map(list.map((syllable, index) => [syllable, index]));
+  const blockedWords = getBlockedWords(config);
+
+  // Sortable ordering maps digit d to the d-th syllable in string order
+  const sortedList = [...list].sort();
+  const sortedLookup = new Map(sortedList.map((syllable, index) => [syllable, index]));
+
+  /**
+   * Parse version string into valid syllable segmentations (all, or up to limit)
+   */
+  function parseSyllableCandidates(version, limit) {
+    return findSegmentations(version, known, limit);
+  }
+
+  /**
+   * Parse version string into syllables, rejecting ambiguous splits
+   * Only the first few splits are built; the error counts the rest.
+   */
+  function parseSyllables(version) {
+    const candidates = parseSyllableCandidates(version, LISTED_SPLITS);
+
+    if (candidates.length > 1) {
+      const count = countSegmentations(version, known);
+      throw ambiguityError(version, `${count} possible syllable splits`, candidates, count);
+    }
+
+    return candidates[0];
+  }
+
+  /**
+   * Map syllables to their indices
+   */
+  function syllablesToIndices(parsed) {
+    return parsed.map(syllable => {
+      const index = lookup.get(syllable);
+      if (index === undefined) {
+        throw new Error(`Unknown syllable: "${syllable}"`);
+      }
+      return index;
+    });
+  }
+
+  /**
+   * Pick the single segmentation to decode
+   * With a checksum, splits that fail the check are discarded first, which
+   * resolves most ambiguous names. Whatever remains must be exactly one split.
+   */
+  function selectSegmentation(version, checksum) {
+    if (!checksum) {
+      const parsed = parseSyllables(version);
+      return { syllables: parsed, indices: syllablesToIndices(parsed) };
+    }
+
+    const count = countSegmentations(version, known);
+    if (count > MAX_CHECKED_SPLITS) {
+      const listed = parseSyllableCandidates(version, LISTED_SPLITS);
+      throw ambiguityError(version, `${count} possible syllable splits, too many to check against the checksum`, listed, count);
+    }
+
+    const candidates = parseSyllableCandidates(version).map(parsed => ({
+      syllables: parsed,
+      indices: syllablesToIndices(parsed)
+    }));
+    const passing = candidates.filter(c => verifyCheckDigit(c.indices, base));
+
+    if (passing.length === 1) {
+      return passing[0];
+    }
+
+    if (passing.length > 1) {
+      throw ambiguityError(version, `${passing.length} possible syllable splits pass the checksum`, passing.map(c => c.syllables));
+    }
+
+    if (candidates.length === 1) {
+      const { syllables: parsed, indices } = candidates[0];
+      if (indices.length < 2) {
+        throw new Error(`Cannot decode "${version}": missing check syllable`);
+      }
+      const expected = list[computeCheckDigit(indices.slice(0, -1), base)];
+      throw new Error(
+        `Checksum mismatch in "${version}": check syllable "${parsed[parsed.length - 1]}" should be "${expected}". ` +
+        'A syllable was probably mistyped or two neighbouring syllables were swapped.'
+      );
+    }
+
+    throw new Error(
+      `Checksum mismatch in "${version}": none of its ${candidates.length} possible syllable splits passes the checksum. ` +
+      'A syllable was probably mistyped or two neighbouring syllables were swapped.'
+    );
+  }
+
+  /**
+   * Split a sortable name: every syllable is separated, so no segmentation search
+   */
+  function splitSortable(version, checksum) {
+    const parsed = version.toLowerCase().split(/[^a-z]+/).filter(part => part.length > 0);
+    if (parsed.length === 0) {
+      throw new Error('Cannot parse empty version string');
+    }
+
+    const indices = parsed.map(syllable => {
+      const index = sortedLookup.get(syllable);
+      if (index === undefined) {
+        throw new Error(`Unknown syllable: "${syllable}"`);
+      }
+      return index;
+    });
+
+    if (checksum && !verifyCheckDigit(indices, base)) {
+      throw new Error(
+        `Checksum mismatch in "${version}". ` +
+        'A syllable was probably mistyped or two neighbouring syllables were swapped.'
+      );
+    }
+
+    return { syllables: parsed, indices };
+  }
+
+  /**
+   * Decode version string with details about embedded markers
+   * @param {string} version - Version string
+   * @param {Object} options - { embedInterval, checksum, blocklist, ordering } (default: from config)
+   * @returns {Object} { normalized, syllables, tier, interval } - tier/interval are null unless embedded
+   */
+  function decodeDetailed(version, options = {}) {
+    const {
+      embedInterval = config.encoding.embedInterval,
+      checksum = config.encoding.checksum,
+      blocklist = config.blocklist?.enabled ?? false,
+      ordering = config.encoding.ordering ?? 'interleaved'
+    } = options;
+
+    const sortable = isSortable(ordering);
+    const { syllables: parsed, indices: emitted } = sortable
+      ? splitSortable(version, checksum)
+      : selectSegmentation(version, checksum);
+    let indices = [...emitted];
+
+    // Strip check syllable (verified during segmentation)
+    if (checksum) {
+      indices.pop();
+    }
+
+    // Undo blocklist avoidance: a trailing flag syllable names the digit shift
+    let variant = null;
+    if (blocklist && !sortable) {
+      const flagged = flagVariant(indices[indices.length - 1], base);
+      if (flagged !== -1) {
+        if (indices.length < 2) {
+          throw new Error(`Cannot decode "${version}": flag syllable without data`);
+        }
+        variant = flagged;
+        indices = unmapDigits(indices.slice(0, -1), variant, base);
+      }
+    }
+
+    // Strip interval tier marker (appended after interleaving)
+    let tier = null;
+    let interval = null;
+    if (embedInterval) {
+      if (indices.length < 2) {
+        throw new Error(`Cannot decode "${version}": missing interval tier marker`);
+      }
+      tier = indices.pop();
+      const tiers = getIntervalTiers(config.encoding);
+      if (tier >= tiers.length) {
+        throw new Error(`Cannot decode "${version}": unknown interval tier ${tier} (configured tiers: 0-${tiers.length - 1})`);
+      }
+      interval = tiers[tier];
+    }
+
+    // Apply deinterleaving if enabled (reverse the interleaving)
+    if (!sortable && config.encoding.digitInterleaving) {
+      indices = deinterleaveDigits(indices);
+    }
+
+    return {
+      normalized: decodeSyllableIndices(indices, base),
+      syllables: parsed,
+      tier,
+      interval,
+      variant
+    };
+  }
+
+  /**
+   * Decode version string to number
+   */
+  function decode(version, options = {}) {
+    return decodeDetailed(version, options).normalized;
+  }
+
+  /**
+   * Pick the interval used for decoding, in precision units
+   * An embedded tier wins over the config default; an explicit interval that
+   * contradicts the embedded tier is an error rather than a silent override.
+   */
+  function resolveInterval(version, requested, embedded, precision = 's') {
+    const unit = getPrecisionUnit(precision);
+    const wanted = requested ? checkInterval(Number(requested)) : null;
+
+    if (embedded !== null) {
+      if (wanted && wanted !== embedded * unit) {
+        throw new Error(`Build interval ${wanted}${precision} conflicts with interval ${embedded}s embedded in "${version}"`);
+      }
+      return embedded * unit;
+    }
+    return wanted || defaultInterval(unit);
+  }
+
+  /**
+   * Interval used when none is given and none is embedded, in precision units
+   * Scaling the config interval (whole seconds) would round sub-second
+   * timestamps back to the second, so 'ms' and 'ns' names advance by one unit.
+   */
+  function defaultInterval(unit) {
+    return unit > 1 ? 1 : config.encoding.baseInterval;
+  }
+
+  /**
+   * Turn base-N digits into a name
+   * Interleaves the digits (if configured), appends marker syllables and the
+   * check syllable, then places separators. Every encoder goes through here,
+   * so decodeDetailed reverses all of them.
+   *
+   * Sortable ordering instead keeps the digits in order at a fixed width,
+   * maps them to the syllables in string order and joins them with "-"
+   * (which sorts before every letter), so string order is numeric order.
+   *
+   * @param {number[]} digits - Digits [slow...fast]
+   * @param {Object} options - { markers, checksum, blocklist, ordering, minSyllables, smartSeparators, hyphenated, balancer,
+   *   placement, profile }
+   * @returns {Object} { version, parts, indices, variant }
+   */
+  function render(digits, options) {
+    const {
+      markers = [],
+      checksum = config.encoding.checksum,
+      blocklist = config.blocklist?.enabled ?? false,
+      ordering = config.encoding.ordering ?? 'interleaved',
+      minSyllables = 0,
+      smartSeparators = config.separators.enabled,
+      hyphenated = false,
+      profile = null,
+      explain = false
+    } = options;
+
+    if (isSortable(ordering)) {
+      return renderSortable(digits, { markers, checksum, blocklist, minSyllables, profile, explain });
+    }
+
+    // Apply digit interleaving if enabled (mix fast/slow changing digits)
+    let indices = config.encoding.digitInterleaving ? interleaveDigits(digits) : [...digits];
+
+    // Markers follow the data
+    indices.push(...markers);
+
+    // The check syllable covers everything emitted so far (always last)
+    const finish = candidate => (checksum ? [...candidate, computeCheckDigit(candidate, base)] : candidate);
+
+    let variant = null;
+    if (blocklist) {
+      ({ indices, variant } = avoidBlockedWords(indices, finish));
+    } else {
+      indices = finish(indices);
+    }
+
+    // Map to syllables
+    const parts = indices.map(index => list[index]);
+
+    // Apply separators
+    let version;
+    let explanation = null;
+    if (smartSeparators) {
+      const separated = placeSeparators(parts, { balancer: options.balancer, placement: options.placement, checksum, explain });
+      ({ version, explanation } = explain ? separated : { version: separated, explanation: null });
+    } else if (hyphenated) {
+      // Legacy: simple hyphens between all syllables
+      version = parts.join('-');
+      explanation = explain ? { syllables: parts, rounds: [], separators: [], summary: 'Hyphenated: a hyphen between every syllable' } : null;
+    } else {
+      // No separators
+      explanation = explain ? { syllables: parts, rounds: [], separators: [], summary: 'Smart separators are off' } : null;
+      version = disambiguate(parts.join(''), parts, checksum, explanation);
+    }
+
+    // Restrict to the profile's alphabet (decoding is unaffected)
+    if (profile) {
+      version = applyProfile(version, profile);
+    }
+
+    return { version, parts, indices, variant, explanation };
+  }
+
+  /**
+   * Separate a name that the letters alone would let decode another way
+   * Records the added separators in the explanation (if any).
+   * @returns {string} Name with a single syllable split (where separators can give one)
+   */
+  function disambiguate(version, parts, checksum, explanation) {
+    const added = separateAmbiguous(version, parts, checksum);
+    if (explanation && added.separators.length > 0) {
+      explanation.disambiguation = added.separators;
+      const at = added.separators.map(s => `"${s.separator}" at ${parts[s.position - 1]}|${parts[s.position]}`).join(', ');
+      explanation.summary += `; added ${at} so the name has a single syllable split`;
+    }
+    return added.version;
+  }
+
+  /**
+   * Add separators until the name decodes to its own syllables only
+   * A competing split (one passing the checksum, when there is one) makes the
+   * name ambiguous. Each pass separates the first of our boundaries that the
+   * competing split runs through, with the best-scoring separator there
+   * (hyphen when none scores). A split that only divides our syllables
+   * further cannot be blocked this way; those names stay ambiguous.
+   * @returns {Object} { version, separators } - separators: [{ position, name, separator }] added
+   */
+  function separateAmbiguous(version, parts, checksum) {
+    const added = [];
+    const own = parts.join('-');
+
+    for (;;) {
+      // Without a checksum any second split is a rival, so two are enough
+      const rival = parseSyllableCandidates(version, checksum ? MAX_CHECKED_SPLITS : 2).find(candidate =>
+        candidate.join('-') !== own && (!checksum || verifyCheckDigit(syllablesToIndices(candidate), base))
+      );
+      if (!rival) break;
+
+      const rivalEnds = new Set();
+      let end = 0;
+      for (const syllable of rival) {
+        end += syllable.length;
+        rivalEnds.add(end);
+      }
+
+      end = 0;
+      let position = -1;
+      for (let i = 1; i < parts.length; i++) {
+        end += parts[i - 1].length;
+        if (!rivalEnds.has(end)) {
+          position = i;
+          break;
+        }
+      }
+      if (position === -1) break;
+
+      const scores = analyzeBoundary(parts.slice(0, position), parts.slice(position), parts, config);
+      const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0] ?? [];
+      const name = score > 0 ? best : 'hyphen';
+      added.push({ position, name, separator: SEPARATOR_MAP[name] });
+      version = joinSyllables(parts, [...findSeparators(version, parts), ...added.slice(-1)]);
+    }
+
+    return { version, separators: added };
+  }
+
+  /**
+   * Place smart separators the way generate() does
+   * Balancing is seeded from the syllable indices, so the same value always
+   * gets the same punctuation, and separators are added where the name would
+   * otherwise decode two ways. Training and rating place through here, so
+   * they see the names generate() produces.
+   * @param {string[]} parts - Syllables of this versioner
+   * @param {Object} options - { balancer, placement, explain } (see addSmartSeparators), plus
+   *   checksum (default: from config) and disambiguate (default: true; false leaves out the
+   *   separators added for decoding, keeping only those the scoring rules place)
+   * @returns {string|Object} Separated name, or { version, explanation } with explain
+   */
+  function placeSeparators(parts, options = {}) {
+    const {
+      checksum = config.encoding.checksum,
+      disambiguate: separate = true,
+      explain = false
+    } = options;
+
+    const lowercase = parts.map(part => part.toLowerCase());
+    const separated = addSmartSeparators(lowercase, {
+      config,
+      balancer: options.balancer || balancer,
+      seed: hashValues(syllablesToIndices(lowercase)),
+      placement: options.placement,
+      explain
+    });
+    if (!separate) {
+      return separated;
+    }
+
+    if (explain) {
+      return { ...separated, version: disambiguate(separated.version, lowercase, checksum, separated.explanation) };
+    }
+    return disambiguate(separated, lowercase, checksum, null);
+  }
+
+  /**
+   * Sortable variant of render (fixed width, no interleaving, uniform "-")
+   */
+  function renderSortable(digits, options) {
+    const { markers, checksum, blocklist, minSyllables, profile, explain } = options;
+
+    if (blocklist) {
+      throw new Error('Blocklist avoidance cannot be combined with sortable ordering: re-encoded names would break the sort order');
+    }
+
+    const width = Math.max(config.encoding.sortableSyllables ?? DEFAULT_SORTABLE_SYLLABLES, minSyllables);
+    if (digits.length > width) {
+      throw new Error(
+        `Value needs ${digits.length} syllables but sortable names are ${width} wide: raise encoding.sortableSyllables`
+      );
+    }
+
+    const indices = [...new Array(width - digits.length).fill(0), ...digits, ...markers];
+    if (checksum) {
+      indices.push(computeCheckDigit(indices, base));
+    }
+
+    const parts = indices.map(index => sortedList[index]);
+    let version = parts.join('-');
+    if (profile) {
+      version = applyProfile(version, profile);
+    }
+
+    const explanation = explain
+      ? { syllables: parts, rounds: [], separators: [], summary: 'Sortable: a hyphen between every syllable' }
+      : null;
+    return { version, parts, indices, variant: null, explanation };
+  }
+
+  /**
+   * Pick the first encoding whose letters contain no blocked word
+   * Plain first (escaped with flag 0 if it already ends in a flag syllable),
+   * then the shifted variants 1..FLAG_COUNT-1 (see blocklist.js).
+   */
+  function avoidBlockedWords(indices, finish) {
+    if (base <= FLAG_COUNT * 2) {
+      throw new Error(`Blocklist avoidance needs more than ${FLAG_COUNT * 2} syllables, got ${base}`);
+    }
+
+    const endsInFlag = flagVariant(indices[indices.length - 1], base) !== -1;
+    let blocked = null;
+
+    for (let variant = endsInFlag ? 0 : -1; variant < FLAG_COUNT; variant++) {
+      const candidate = variant === -1
+        ? indices
+        : [...remapDigits(indices, variant, base), flagIndex(variant, base)];
+      const emitted = finish(candidate);
+
+      blocked = findBlockedWord(emitted.map(index => list[index]).join(''), blockedWords);
+      if (!blocked) {
+        return { indices: emitted, variant: variant === -1 ? null : variant };
+      }
+    }
+
+    throw new Error(`Cannot avoid blocked word "${blocked}": every alternate encoding contains a blocked word`);
+  }
+
+  /**
+   * Check that a value is a non-negative integer that can be encoded exactly
+   */
+  function checkInteger(value, what) {
+    const valid = typeof value === 'bigint' ? value >= 0n : Number.isSafeInteger(value) && value >= 0;
+    if (!valid) {
+      throw new Error(`Cannot encode ${what} ${value}: expected a non-negative integer (BigInt beyond Number.MAX_SAFE_INTEGER)`);
+    }
+  }
+
+  /**
+   * Encode a non-negative integer as a name (see encodeNumber)
+   */
+  function encodeNumber(value, options = {}) {
+    checkInteger(value, 'number');
+    const { minSyllables = 0 } = options;
+    return render(encodeToSyllableIndices(value, minSyllables, base), options).version;
+  }
+
+  /**
+   * Decode a name produced by encodeNumber
+   */
+  function decodeNumber(version, options = {}) {
+    return decodeDetailed(version, { ...options, embedInterval: false }).normalized;
+  }
+
+  /**
+   * Encode bytes as a name (see encodeBytes)
+   */
+  function encodeBytes(bytes, options = {}) {
+    if (!(bytes instanceof Uint8Array)) {
+      throw new Error('Cannot encode bytes: expected a Buffer or Uint8Array');
+    }
+    // 0x01 sentinel keeps leading zero bytes (and the length) through the integer round trip
+    const hex = '01' + Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('hex');
+    return render(encodeToSyllableIndices(BigInt('0x' + hex), 0, base), options).version;
+  }
+
+  /**
+   * Decode a name produced by encodeBytes
+   */
+  function decodeBytes(version, options = {}) {
+    const hex = BigInt(decodeNumber(version, options)).toString(16);
+    if (hex.length % 2 === 0 || hex[0] !== '1') {
+      throw new Error(`Cannot decode "${version}" as bytes: it was not produced by encodeBytes`);
+    }
+    return Buffer.from(hex.slice(1), 'hex');
+  }
+
+  /**
+   * Number of syllables that hold any value of the given bit width
+   */
+  function syllablesForBits(bits) {
+    return Math.ceil(bits / Math.log2(base));
+  }
+
+  /**
+   * Check a git hash prefix width
+   */
+  function checkShaBits(bits) {
+    if (!Number.isInteger(bits) || bits < 4 || bits % 4 !== 0) {
+      throw new Error(`Invalid bits ${bits}: expected a multiple of 4 (one hex digit = 4 bits)`);
+    }
+  }
+
+  /**
+   * Encode the leading bits of a git commit hash (see encodeGitSha)
+   */
+  function encodeGitSha(sha, options = {}) {
+    const { bits = DEFAULT_SHA_BITS } = options;
+    checkShaBits(bits);
+
+    if (typeof sha !== 'string' || !/^[0-9a-f]+$/i.test(sha)) {
+      throw new Error(`Invalid git hash "${sha}": expected hexadecimal digits`);
+    }
+    if (sha.length * 4 < bits) {
+      throw new Error(`Git hash "${sha}" is too short for ${bits} bits (needs ${bits / 4} hex digits)`);
+    }
+
+    const prefix = BigInt('0x' + sha.slice(0, bits / 4));
+    return render(encodeToSyllableIndices(prefix, syllablesForBits(bits), base), options).version;
+  }
+
+  /**
+   * Decode a name produced by encodeGitSha to the hash prefix
+   */
+  function decodeGitSha(version, options = {}) {
+    const { bits = DEFAULT_SHA_BITS } = options;
+    checkShaBits(bits);
+
+    const value = BigInt(decodeNumber(version, options));
+    if (value >= 1n << BigInt(bits)) {
+      throw new Error(`Cannot decode "${version}" as a ${bits}-bit git hash prefix: value is too large`);
+    }
+    return value.toString(16).padStart(bits / 4, '0');
+  }
+
+  /**
+   * Generate phonetic version from timestamp (see generateVersion for options)
+   */
+  function generate(timestamp = null, options = {}) {
+    const encodingConfig = config.encoding;
+    const separatorConfig = config.separators;
+
+    const {
+      hyphenated = false,
+      smartSeparators = separatorConfig.enabled,
+      minSyllables = 0,
+      maxSyllables = encodingConfig.maxSyllables,
+      adaptiveCompression = encodingConfig.adaptiveCompression,
+      embedInterval = encodingConfig.embedInterval,
+      checksum = encodingConfig.checksum,
+      precision = encodingConfig.precision ?? 's',
+      epoch = encodingConfig.epoch,
+      explain = false,
+      returnMetadata = explain
+    } = options;
+
+    const unit = getPrecisionUnit(precision);
+
+    // Use current time if not provided
+    const ts = timestamp ?? currentTime(precision);
+
+    // Count from the project epoch instead of 1970 (shorter names)
+    const epochSeconds = resolveEpoch(epoch);
+    const elapsed = subtractEpoch(ts, epochSeconds, unit);
+
+    // Find optimal interval (adaptive compression); config intervals are seconds and are scaled
+    // when compressing or embedding (tiers are whole seconds), else the default applies
+    let buildInterval;
+    if (options.buildInterval) {
+      buildInterval = checkInterval(Number(options.buildInterval));
+    } else {
+      const seconds = adaptiveCompression
+        ? findOptimalInterval(Number(elapsed) / unit, maxSyllables, encodingConfig)
+        : encodingConfig.baseInterval;
+      buildInterval = seconds !== encodingConfig.baseInterval || embedInterval ? seconds * unit : defaultInterval(unit);
+    }
+
+    // Normalize by build interval
+    const normalized = normalizeTimestamp(elapsed, buildInterval);
+
+    // Interval tier marker (index into [baseInterval, ...compressionIntervals])
+    let tier = null;
+    if (embedInterval) {
+      const seconds = buildInterval / unit;
+      tier = Number.isInteger(seconds) ? getIntervalTier(seconds, encodingConfig) : -1;
+      if (tier === -1) {
+        throw new Error(
+          `Cannot embed build interval ${buildInterval}${precision}: only baseInterval and compressionIntervals can be embedded`
+        );
+      }
+    }
+
+    const { version, parts, variant, explanation } = render(encodeToSyllableIndices(normalized, minSyllables, base), {
+      markers: tier !== null ? [tier] : [],
+      checksum,
+      blocklist: options.blocklist,
+      ordering: options.ordering,
+      minSyllables,
+      smartSeparators,
+      hyphenated,
+      balancer: options.balancer,
+      placement: options.placement,
+      profile: options.profile,
+      explain
+    });
+
+    if (returnMetadata) {
+      return {
+        version,
+        syllables: parts.length,
+        parts,
+        separators: findSeparators(version, parts),
+        interval: buildInterval,
+        normalized,
+        timestamp: ts,
+        compressed: buildInterval > encodingConfig.baseInterval * unit,
+        tier,
+        variant,
+        precision,
+        epoch: epochSeconds,
+        ...(explain ? { explanation } : {})
+      };
+    }
+
+    return version;
+  }
+
+  /**
+   * Parse version string back to timestamp (see parseVersion)
+   */
+  function parse(version, buildInterval = null, options = {}) {
+    const {
+      precision = config.encoding.precision ?? 's',
+      epoch = config.encoding.epoch
+    } = options;
+    const unit = BigInt(getPrecisionUnit(precision));
+    const epochSeconds = resolveEpoch(epoch);
+
+    const { normalized, tier, interval: embedded } = decodeDetailed(version, options);
+    const interval = resolveInterval(version, buildInterval, embedded, precision);
+
+    // Exact product; nanosecond timestamps never fit a Number, so they stay BigInt
+    const exact = BigInt(normalized) * BigInt(interval) + BigInt(epochSeconds) * unit;
+    const timestamp = precision === 'ns' ? exact : toExactNumber(exact);
+    const date = new Date(Number(exact * 1000n / unit));
+
+    return {
+      timestamp,
+      date: date.toISOString(),
+      normalized,
+      interval,
+      tier,
+      precision,
+      epoch: epochSeconds,
+      intervalSource: embedded !== null ? 'embedded' : buildInterval ? 'argument' : 'config'
+    };
+  }
+
+  /**
+   * Validate version string format (see isValidVersion)
+   */
+  function validate(version, options = {}) {
+    try {
+      decode(version, options);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get statistics about the syllable set (see getStats)
+   */
+  function stats(options = {}) {
+    const {
+      epoch = config.encoding.epoch,
+      buildInterval = config.encoding.baseInterval,
+      maxSyllables = config.encoding.maxSyllables
+    } = options;
+
+    const epochSeconds = resolveEpoch(epoch);
+
+    // n data syllables encode base^n intervals counted from the epoch
+    const coverage = [];
+    for (let count = 1; count <= maxSyllables; count++) {
+      const seconds = Math.pow(base, count) * buildInterval;
+      const until = new Date((epochSeconds + seconds) * 1000);
+      coverage.push({
+        syllables: count,
+        years: seconds / SECONDS_PER_YEAR,
+        until: isNaN(until.getTime()) ? null : until.toISOString()
+      });
+    }
+
+    return {
+      totalSyllables: base,
+      distribution: data.distribution,
+      phonotactics: data.phonotactics,
+      bitsPerSyllable: Math.log2(base),
+      epoch: new Date(epochSeconds * 1000).toISOString(),
+      buildInterval,
+      coverage
+    };
+  }
+
+  return {
+    config,
+    syllables: list,
+    base,
+    generate,
+    parse,
+    validate,
+    stats,
+    decode,
+    decodeDetailed,
+    resolveInterval,
+    placeSeparators,
+    parseSyllables,
+    parseSyllableCandidates,
+    encodeNumber,
+    decodeNumber,
+    encodeBytes,
+    decodeBytes,
+    encodeGitSha,
+    decodeGitSha
+  };
+}
+
+// Default instance backing the module-level functions
+let defaultVersioner = null;
+
+/**
+ * Get the default versioner (bundled syllables, loadConfig())
+ * Recreated when the cached configuration is replaced (e.g., after saveConfig).
+ * @returns {Object} Default versioner
+ */
+export function getDefaultVersioner() {
+  const config = loadConfig();
+  if (!defaultVersioner || defaultVersioner.config !== config) {
+    defaultVersioner = createVersioner({ config });
+  }
+  return defaultVersioner;
+}
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { classifyLine, createBatchProcessor, csvHeader, formatRecord } from '../src/batch.js';
+
+const DAY = 86400;
+const cli = fileURLToPath(new URL('../tools/version-gen.js', import.meta.url));
+
+/**
+ * Encode one line in UTC and check it against a window of Unix seconds
+ */
+function encodesWithin(input, from, to) {
+  const record = createBatchProcessor({ buildInterval: 180, timeZone: 'UTC' }).process(input);
+  assert.equal(record.type, 'timestamp', input);
+  assert.equal(record.error, null, input);
+  assert.ok(record.timestamp >= from && record.timestamp <= to, `${input}: ${record.timestamp}`);
+  return record;
+}
+
+test('absolute date forms encode to the same instant', () => {
+  for (const input of ['1732127000', '@1732127000', '2024-11-20T18:23:20Z', 'Wed, 20 Nov 2024 18:23:20 +0000', '20 Nov 2024 19:23:20 +0100']) {
+    const record = encodesWithin(input, 1732127000, 1732127000);
+    assert.equal(record.version, 'pewcher shen', input);
+  }
+});
+
+test('relative date forms starting with a letter are timestamps', () => {
+  const now = Math.floor(Date.now() / 1000);
+  const midnight = now - (now % DAY);
+
+  encodesWithin('now', now, now + 5);
+  encodesWithin('today', midnight, midnight);
+  encodesWithin('today 14:00', midnight + 14 * 3600, midnight + 14 * 3600);
+  encodesWithin('yesterday 14:00', midnight - DAY + 14 * 3600, midnight - DAY + 14 * 3600);
+  encodesWithin('tomorrow at 9:30', midnight + DAY + 9.5 * 3600, midnight + DAY + 9.5 * 3600);
+  encodesWithin('in 3 days', now + 3 * DAY, now + 3 * DAY + 5);
+  encodesWithin('3 hours ago', now - 3 * 3600, now - 3 * 3600 + 5);
+  encodesWithin('-3h', now - 3 * 3600, now - 3 * 3600 + 5);
+});
+
+test('names and semver strings are decoded', () => {
+  assert.equal(classifyLine('pewcher shen'), 'name');
+  assert.equal(classifyLine('1.4.0+pewcher.shen'), 'name');
+  assert.equal(classifyLine('Wed, 20 Nov 2024 18:23:20 +0000'), 'timestamp');
+
+  const batch = createBatchProcessor({ buildInterval: 180 });
+  const name = batch.process('pewcher shen');
+  assert.equal(name.type, 'name');
+  assert.equal(name.timestamp, 1732126860);
+
+  const semver = batch.process('1.4.0+pewcher.shen');
+  assert.equal(semver.type, 'name');
+  assert.equal(semver.timestamp, 1732126860);
+});
+
+test('failed lines carry an error and numbering continues', () => {
+  const batch = createBatchProcessor({ buildInterval: 180 });
+  const unknown = batch.process('xqzt');
+  assert.equal(unknown.type, 'name');
+  assert.match(unknown.error, /unrecognized syllable/);
+
+  assert.equal(batch.process('   '), null);
+
+  const date = batch.process('2024-13-45');
+  assert.equal(date.type, 'timestamp');
+  assert.ok(date.error);
+  assert.equal(date.line, 3);
+});
+
+test('a name with millions of splits fails alone', () => {
+  const pathological = Array(40).fill('aske').join(' ');
+  const input = ['1732127000', pathological, 'pewcher shen'].join('\n');
+
+  const result = spawnSync(process.execPath, [cli, 'batch', '-i', '180', '--format', 'jsonl'], { input, encoding: 'utf8', timeout: 30000 });
+  assert.equal(result.status, 3, result.stderr);
+  const records = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(records.map(record => record.line), [1, 2, 3]);
+  assert.equal(records[0].version, 'pewcher shen');
+  assert.match(records[1].error, /^Ambiguous version string .*: 12157665459056928801 possible syllable splits/);
+  assert.equal(records[2].timestamp, 1732126860);
+});
+
+test('records serialize as CSV and JSONL', () => {
+  const record = createBatchProcessor({ buildInterval: 180 }).process('xqzt, "quoted"');
+  assert.equal(csvHeader(), 'line,input,type,version,timestamp,date,interval,error\n');
+  assert.match(formatRecord(record, 'csv'), /^1,"xqzt, ""quoted""",name,,,,,/);
+  assert.equal(JSON.parse(formatRecord({ ...record, timestamp: 5n }, 'jsonl')).timestamp, '5');
+  assert.throws(() => formatRecord(record, 'xml'), /Unknown batch format "xml"/);
+});
@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FLAG_COUNT, loadBuiltinBlocklist, getBlockedWords, findBlockedWord, flagIndex, flagVariant, remapDigits, unmapDigits
+} from '../src/blocklist.js';
+import { createVersioner } from '../src/versioner.js';
+import { loadConfig } from '../src/config-loader.js';
+
+/**
+ * Versioner with the blocklist on and the given settings
+ */
+function withBlocklist(settings = {}) {
+  const config = structuredClone(loadConfig());
+  config.blocklist = { ...config.blocklist, enabled: true, ...settings };
+  return createVersioner({ config });
+}
+
+test('words are matched across separators and syllables', () => {
+  assert.equal(findBlockedWord('Pew-cher shen', ['wcher', 'rsh']), 'wcher');
+  assert.equal(findBlockedWord('pewcher shen', ['rsh']), 'rsh');
+  assert.equal(findBlockedWord('pewcher shen', ['nope']), null);
+});
+
+test('custom words extend or replace the built-in list', () => {
+  const builtin = loadBuiltinBlocklist();
+  assert.ok(builtin.length > 0);
+  assert.deepEqual(getBlockedWords({ blocklist: { words: ['Cher'] } }), [...builtin, 'cher']);
+  assert.deepEqual(getBlockedWords({ blocklist: { builtin: false, words: ['Cher'] } }), ['cher']);
+});
+
+test('flags and digit shifts invert each other', () => {
+  const base = 1007;
+  for (let variant = 0; variant < FLAG_COUNT; variant++) {
+    assert.equal(flagVariant(flagIndex(variant, base), base), variant);
+    assert.deepEqual(unmapDigits(remapDigits([0, 17, 1006], variant, base), variant, base), [0, 17, 1006]);
+  }
+  assert.equal(flagVariant(base - 1 - FLAG_COUNT, base), -1);
+  assert.deepEqual(remapDigits([1000], 1, base), [244]);
+});
+
+test('blocked names move to a flagged variant that decodes back', () => {
+  const versioner = withBlocklist({ builtin: false, words: ['cher'] });
+  const metadata = versioner.generate(1732127000, { buildInterval: 180, returnMetadata: true });
+
+  assert.equal(metadata.version, 'bed zihaz tez');
+  assert.equal(metadata.variant, 1);
+  assert.equal(versioner.parse(metadata.version, 180).timestamp, 1732126860);
+});
+
+test('plain names ending in a flag get the escape flag', () => {
+  const versioner = withBlocklist();
+  const syllables = versioner.syllables;
+  const escape = syllables[flagIndex(0, syllables.length)];
+
+  assert.equal(versioner.encodeNumber(1003), `turf ${escape}`);
+  assert.equal(versioner.decodeNumber(`turf ${escape}`), 1003);
+  for (let timestamp = 1732127000; timestamp < 1732127000 + 200 * 977; timestamp += 977) {
+    const version = versioner.generate(timestamp, { buildInterval: 1 });
+    assert.equal(findBlockedWord(version, getBlockedWords(versioner.config)), null, version);
+    assert.equal(versioner.parse(version, 1).timestamp, timestamp, version);
+  }
+});
+
+test('a list that blocks every variant is an error', () => {
+  const versioner = withBlocklist({ builtin: false, words: ['a', 'e', 'i', 'o', 'u', 'y'] });
+  assert.throws(() => versioner.generate(1732127000, { buildInterval: 180 }), /Cannot avoid blocked word "e"/);
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCheckDigit, verifyCheckDigit } from '../src/encoder.js';
+import { createVersioner } from '../src/versioner.js';
+import { loadConfig } from '../src/config-loader.js';
+
+const BASE = 1007;
+
+test('check digits verify', () => {
+  for (const digits of [[0], [5, 17], [1006, 0, 412], [3, 3, 3, 3, 3, 3]]) {
+    const check = computeCheckDigit(digits, BASE);
+    assert.ok(check >= 0 && check < BASE);
+    assert.ok(verifyCheckDigit([...digits, check], BASE));
+  }
+});
+
+test('every substitution and adjacent swap is caught', () => {
+  const digits = [17, 402, 993, 5];
+  const emitted = [...digits, computeCheckDigit(digits, BASE)];
+
+  for (let i = 0; i < emitted.length; i++) {
+    for (const delta of [1, 2, 500, 1006]) {
+      const typo = [...emitted];
+      typo[i] = (typo[i] + delta) % BASE;
+      assert.ok(!verifyCheckDigit(typo, BASE), `digit ${i} + ${delta}`);
+    }
+    if (i > 0 && emitted[i] !== emitted[i - 1]) {
+      const swapped = [...emitted];
+      [swapped[i - 1], swapped[i]] = [swapped[i], swapped[i - 1]];
+      assert.ok(!verifyCheckDigit(swapped, BASE), `swap ${i - 1}/${i}`);
+    }
+  }
+});
+
+test('checked names round-trip and reject typos', () => {
+  const config = structuredClone(loadConfig());
+  config.encoding.checksum = true;
+  const versioner = createVersioner({ config });
+
+  const version = versioner.generate(1732127000, { buildInterval: 180 });
+  assert.equal(versioner.parse(version, 180).timestamp, 1732126860);
+
+  const syllables = versioner.parseSyllables(version);
+  const last = syllables.at(-1);
+  const wrong = versioner.syllables.find(s => s !== last && !s.startsWith(last[0]));
+  assert.throws(
+    () => versioner.parse(`${syllables.slice(0, -1).join('-')}-${wrong}`, 180),
+    new RegExp(`check syllable "${wrong}" should be "${last}"`)
+  );
+  assert.throws(() => versioner.decode(versioner.syllables[3]), /missing check syllable/);
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  encodeNumber, decodeNumber, encodeBytes, decodeBytes, encodeGitSha, decodeGitSha
+} from '../src/codec.js';
+
+test('numbers round-trip, padded or not', () => {
+  assert.equal(encodeNumber(4711), 'tel haw');
+  assert.equal(encodeNumber(4711, { minSyllables: 3 }), 'tel siphaw');
+  assert.equal(decodeNumber(encodeNumber(4711, { minSyllables: 3 })), 4711);
+
+  for (const value of [0, 1, 1006, 1007, 123456789, Number.MAX_SAFE_INTEGER]) {
+    assert.equal(decodeNumber(encodeNumber(value)), value);
+  }
+
+  const big = 2n ** 80n + 5n;
+  assert.equal(decodeNumber(encodeNumber(big)), big);
+});
+
+test('only non-negative integers are numbers', () => {
+  for (const value of [-1, 1.5, 'x']) {
+    assert.throws(() => encodeNumber(value), /expected a non-negative integer/);
+  }
+});
+
+test('bytes keep leading zeros and length', () => {
+  const bytes = Buffer.from([0, 0, 255, 1]);
+  const name = encodeBytes(bytes);
+  assert.equal(name, 'dohmen hawsta');
+  assert.deepEqual(decodeBytes(name), bytes);
+  assert.deepEqual(decodeBytes(encodeBytes(Buffer.alloc(0))), Buffer.alloc(0));
+});
+
+test('git hashes give fixed-width names of their prefix', () => {
+  const name = encodeGitSha('1b74e9c0ff');
+  assert.equal(name, 'ot snocred');
+  assert.equal(decodeGitSha(name), '1b74e9c');
+  assert.equal(decodeGitSha(encodeGitSha('1B74E9C0FF', { bits: 40 }), { bits: 40 }), '1b74e9c0ff');
+  assert.equal(decodeGitSha(encodeGitSha('0000000')), '0000000');
+});
+
+test('invalid hashes and widths are rejected', () => {
+  assert.throws(() => encodeGitSha('xyz'), /Invalid git hash "xyz": expected hexadecimal digits/);
+  assert.throws(() => encodeGitSha('1b74e9c', { bits: 30 }), /Invalid bits 30: expected a multiple of 4/);
+  assert.throws(() => encodeGitSha('1b74'), /Git hash "1b74" is too short for 28 bits/);
+});
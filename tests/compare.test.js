@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { compareVersions, versionDistance, isBetween, versionsInRange, formatDuration } from '../src/compare.js';
+import { generateVersion } from '../src/generator.js';
+
+const cli = fileURLToPath(new URL('../tools/version-gen.js', import.meta.url));
+const options = { buildInterval: 180 };
+
+test('versions compare by the time they encode', () => {
+  assert.equal(compareVersions('pewcher shen', 'mescher shen', options), -1);
+  assert.equal(compareVersions('mescher shen', 'pewcher shen', options), 1);
+  assert.equal(compareVersions('pewcher shen', 'pew-cher-shen', options), 0);
+
+  const timestamps = [1732127000, 1700000000, 1732126000, 1800000000];
+  const sorted = timestamps.map(t => generateVersion(t, options)).sort((a, b) => compareVersions(a, b, options));
+  assert.deepEqual(sorted, [...timestamps].sort().map(t => generateVersion(t, options)));
+});
+
+test('distances count intervals and read as durations', () => {
+  assert.deepEqual(versionDistance('pewcher shen', 'mescher shen', options), { intervals: 17, seconds: 3060, human: '51 minutes' });
+  assert.equal(versionDistance('mescher shen', 'pewcher shen', options).seconds, -3060);
+
+  assert.equal(formatDuration(0), '0 seconds');
+  assert.equal(formatDuration(0.0005), '500 µs');
+  assert.equal(formatDuration(90061), '1 day 1 hour');
+  assert.equal(formatDuration(-3600), '1 hour');
+});
+
+test('ranges are inclusive', () => {
+  assert.ok(isBetween('pewcher shen', 'pewcher shen', 'mescher shen', options));
+  assert.ok(!isBetween('mescher shen', 'pewcher shen', 'thicher shen', options));
+
+  const names = versionsInRange('pewcher shen', 'mescher shen', null, options);
+  assert.equal(names.length, 18);
+  assert.deepEqual(names[0], { version: 'pewcher shen', timestamp: 1732126860, date: '2024-11-20T18:21:00.000Z' });
+  assert.equal(names[1].version, 'thicher shen');
+  assert.equal(names.at(-1).version, 'mescher shen');
+  assert.equal(versionsInRange('pewcher shen', 'mescher shen', 360, options).length, 9);
+});
+
+test('reversed and oversized ranges are errors', () => {
+  assert.throws(() => versionsInRange('mescher shen', 'pewcher shen', null, options), /Range start "mescher shen" .* is after range end/);
+  assert.throws(
+    () => versionsInRange('pewcher shen', 'mescher shen', null, { ...options, limit: 5 }),
+    /Range contains 18 versions, more than the limit of 5/
+  );
+});
+
+test('the CLI lists a range', () => {
+  const result = spawnSync(process.execPath, [cli, 'range', '-i', '180', 'pewcher shen', 'thicher shen'], { encoding: 'utf8', timeout: 30000 });
+  assert.equal(result.status, 0, result.stderr);
+  assert.deepEqual(result.stdout.trim().split('\n'), ['pewcher shen', 'thicher shen']);
+
+  const usage = spawnSync(process.execPath, [cli, 'range', 'pewcher shen'], { encoding: 'utf8', timeout: 30000 });
+  assert.equal(usage.status, 2);
+});
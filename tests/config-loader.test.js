@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { mergeConfig, findProjectConfig, loadConfig, loadDefaultConfig, getConfigValue, setConfigValue } from '../src/config-loader.js';
+
+const root = mkdtempSync(join(tmpdir(), 'phonetic-config-'));
+test.after(() => rmSync(root, { recursive: true, force: true }));
+
+/**
+ * Create a directory under the temp root with the given JSON files
+ */
+function project(name, files) {
+  const dir = join(root, name);
+  mkdirSync(dir, { recursive: true });
+  for (const [file, content] of Object.entries(files)) {
+    writeFileSync(join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+test('objects merge key by key, arrays and values replace', () => {
+  const merged = mergeConfig({ a: { b: 1, c: [1, 2] }, d: 1 }, { a: { c: [3] }, d: null });
+  assert.deepEqual(merged, { a: { b: 1, c: [3] }, d: null });
+  assert.deepEqual(mergeConfig({ a: 1 }, undefined), { a: 1 });
+});
+
+test('project config files are found walking up to the project root', () => {
+  const dir = project('walk', {
+    'package.json': { name: 'walk' },
+    'phonetic-version.config.json': { encoding: { baseInterval: 60 } }
+  });
+  const nested = join(dir, 'src', 'deep');
+  mkdirSync(nested, { recursive: true });
+
+  const found = findProjectConfig(nested);
+  assert.equal(found.path, join(dir, 'phonetic-version.config.json'));
+  assert.deepEqual(found.config, { encoding: { baseInterval: 60 } });
+});
+
+test('the config file wins over .phoneticversionrc and package.json', () => {
+  const dir = project('order', {
+    'package.json': { phoneticVersioning: { encoding: { baseInterval: 3 } } },
+    '.phoneticversionrc': { encoding: { baseInterval: 2 } }
+  });
+  assert.equal(findProjectConfig(dir).config.encoding.baseInterval, 2);
+
+  const pkgOnly = project('pkg', { 'package.json': { phoneticVersioning: { encoding: { baseInterval: 3 } } } });
+  const found = findProjectConfig(pkgOnly);
+  assert.equal(found.key, 'phoneticVersioning');
+  assert.equal(found.config.encoding.baseInterval, 3);
+});
+
+test('the search stops at the first package.json', () => {
+  project('outer', { 'phonetic-version.config.json': { encoding: { baseInterval: 60 } } });
+  const inner = project('outer/inner', { 'package.json': { name: 'inner' } });
+  assert.equal(findProjectConfig(inner), null);
+});
+
+test('project settings are merged over the defaults', () => {
+  const dir = project('merge', {
+    'package.json': { name: 'merge' },
+    'phonetic-version.config.json': { encoding: { baseInterval: 60 }, separators: { thresholds: { first: 120 } } }
+  });
+
+  const config = loadConfig({ cwd: dir });
+  const defaults = loadDefaultConfig();
+  assert.equal(config.encoding.baseInterval, 60);
+  assert.equal(config.encoding.maxSyllables, defaults.encoding.maxSyllables);
+  assert.equal(config.separators.thresholds.first, 120);
+  assert.equal(config.separators.thresholds.second, defaults.separators.thresholds.second);
+  assert.equal(loadConfig({ configPath: join(dir, 'phonetic-version.config.json') }).encoding.baseInterval, 60);
+});
+
+test('broken project files name the file', () => {
+  const broken = project('broken', { 'package.json': { name: 'broken' }, '.phoneticversionrc': '{ nope' });
+  assert.throws(() => loadConfig({ cwd: broken }), /Cannot read config .*\.phoneticversionrc/);
+
+  const array = project('array', { 'package.json': { name: 'array' }, '.phoneticversionrc': '[1]' });
+  assert.throws(() => loadConfig({ cwd: array }), /Invalid configuration in .*: expected a JSON object/);
+});
+
+test('dotted paths read and create values', () => {
+  const config = { scoring: { hyphen: { weight: 1 } } };
+  assert.equal(getConfigValue(config, 'scoring.hyphen.weight'), 1);
+  assert.equal(getConfigValue(config, 'scoring.nope.weight'), undefined);
+  setConfigValue(config, 'scoring.tilde.weight', 5);
+  assert.deepEqual(config.scoring.tilde, { weight: 5 });
+});
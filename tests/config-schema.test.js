@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { getConfigErrors, validateConfig } from '../src/config-schema.js';
+import { loadConfig, loadDefaultConfig, saveConfig, updateScoringWeights } from '../src/config-loader.js';
+
+const root = mkdtempSync(join(tmpdir(), 'phonetic-schema-'));
+test.after(() => rmSync(root, { recursive: true, force: true }));
+
+function readJson(path) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+test('the bundled config is valid', () => {
+  assert.deepEqual(getConfigErrors(loadDefaultConfig()), []);
+});
+
+test('every violation is reported with its key', () => {
+  const config = structuredClone(loadDefaultConfig());
+  config.encoding.baseInterval = 0;
+  config.encoding.ordering = 'random';
+  config.separators.thresholds.first = 'x';
+  config.extra = 1;
+
+  assert.deepEqual(getConfigErrors(config), [
+    '"encoding.baseInterval" must be >= 1 (got 0)',
+    '"encoding.ordering" must be one of "interleaved", "sortable" (got "random")',
+    '"separators.thresholds.first" must be a number (got "x")',
+    'unknown key "extra"'
+  ]);
+
+  assert.throws(() => validateConfig(config, 'test.json'), error => {
+    assert.match(error.message, /^Invalid configuration in test\.json: "encoding\.baseInterval" must be >= 1/);
+    assert.equal(error.errors.length, 4);
+    return true;
+  });
+});
+
+test('overrides are saved after validating them over the defaults', () => {
+  const path = join(root, 'phonetic-version.config.json');
+  writeFileSync(path, '{"encoding":{"baseInterval":60}}\n');
+
+  saveConfig({ encoding: { baseInterval: 90 } }, path);
+  assert.deepEqual(readJson(path), { encoding: { baseInterval: 90 } });
+  assert.deepEqual(readJson(`${path}.bak`), { encoding: { baseInterval: 60 } });
+  assert.equal(loadConfig({ configPath: path }).encoding.baseInterval, 90);
+
+  assert.throws(() => saveConfig({ encoding: { baseInterval: -1 } }, path), /"encoding.baseInterval" must be >= 1/);
+  assert.deepEqual(readJson(path), { encoding: { baseInterval: 90 } });
+});
+
+test('only the package.json key is replaced', () => {
+  const path = join(root, 'package.json');
+  writeFileSync(path, JSON.stringify({ name: 'app', version: '1.0.0' }));
+
+  saveConfig({ encoding: { baseInterval: 30 } }, path);
+  assert.deepEqual(readJson(path), { name: 'app', version: '1.0.0', phoneticVersioning: { encoding: { baseInterval: 30 } } });
+  assert.ok(existsSync(`${path}.bak`));
+});
+
+test('scoring weights update known features only', () => {
+  const config = structuredClone(loadDefaultConfig());
+
+  updateScoringWeights({ hyphen: { criticalCluster: 99 } }, config);
+  assert.equal(config.scoring.hyphen.criticalCluster.weight, 99);
+
+  assert.throws(() => updateScoringWeights({ nope: {} }, config), /Unknown scoring separator "nope"/);
+  assert.throws(
+    () => updateScoringWeights({ hyphen: { criticalCluster: 1, nope: 1 } }, config),
+    /Unknown scoring feature "hyphen.nope"/
+  );
+  assert.throws(() => updateScoringWeights({ hyphen: { criticalCluster: 'x' } }, config), /must be a number \(got "x"\)/);
+  assert.equal(config.scoring.hyphen.criticalCluster.weight, 99);
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateInput, parseTimestamp, formatInZone, zoneOffset, checkTimeZone } from '../src/date-parser.js';
+
+// 2024-11-20 19:23:20 in Prague (UTC+1)
+const now = Date.parse('2024-11-20T18:23:20Z');
+const options = { now, timeZone: 'Europe/Prague' };
+
+function parse(input) {
+  return new Date(parseDateInput(input, options)).toISOString();
+}
+
+test('absolute dates honour offsets and zones', () => {
+  assert.equal(parseDateInput('1732127000'), 1732127000000);
+  assert.equal(parseDateInput('@1732127000'), 1732127000000);
+  assert.equal(parse('2024-11-20T18:23:20.5Z'), '2024-11-20T18:23:20.500Z');
+  assert.equal(parse('2024-11-20T19:23:20+01:00'), '2024-11-20T18:23:20.000Z');
+  assert.equal(parse('2024-11-20'), '2024-11-19T23:00:00.000Z');
+  assert.equal(parse('2024-07-01 12:00'), '2024-07-01T10:00:00.000Z');
+  assert.equal(parse('Wed, 20 Nov 2024 18:23:20 +0100'), '2024-11-20T17:23:20.000Z');
+  assert.equal(parse('20 Nov 2024 18:23 EST'), '2024-11-20T23:23:00.000Z');
+});
+
+test('DST gaps use the offset before the change, overlaps the earlier instant', () => {
+  assert.equal(parse('2024-03-31 02:30'), '2024-03-31T01:30:00.000Z');
+  assert.equal(parse('2024-10-27 02:30'), '2024-10-27T00:30:00.000Z');
+});
+
+test('relative expressions count from now', () => {
+  assert.equal(parseDateInput('now', options), now);
+  assert.equal(parse('today'), '2024-11-19T23:00:00.000Z');
+  assert.equal(parse('yesterday 14:00'), '2024-11-19T13:00:00.000Z');
+  assert.equal(parse('tomorrow at 08:15'), '2024-11-21T07:15:00.000Z');
+  assert.equal(parse('9:30'), '2024-11-20T08:30:00.000Z');
+  assert.equal(parseDateInput('-3h', options), now - 3 * 3600 * 1000);
+  assert.equal(parseDateInput('+1d12h', options), now + 36 * 3600 * 1000);
+  assert.equal(parseDateInput('90 minutes ago', options), now - 90 * 60 * 1000);
+  assert.equal(parseDateInput('in 2 days', options), now + 2 * 86400 * 1000);
+});
+
+test('unreadable dates explain what is accepted', () => {
+  assert.throws(() => parse('2024-13-01'), /Invalid date "2024-13-01": field out of range/);
+  assert.throws(() => parse('31 Foo 2024 10:00'), /unknown month "Foo"/);
+  assert.throws(() => parse('20 Nov 2024 18:23 XYZ'), /unknown zone "XYZ"/);
+  assert.throws(() => parse('2 days'), /use "in N days" or "N days ago"/);
+  assert.throws(() => parse('soon'), /Cannot read date "soon": use Unix seconds, @<unix>, ISO 8601/);
+  assert.throws(() => checkTimeZone('Mars/Base'), /Unknown time zone "Mars\/Base"/);
+});
+
+test('timestamps come out in the requested precision', () => {
+  assert.equal(parseTimestamp('2024-11-20T18:23:20.123Z'), 1732127000);
+  assert.equal(parseTimestamp('2024-11-20T18:23:20.123Z', { precision: 'ms' }), 1732127000123);
+  assert.equal(parseTimestamp('2024-11-20T18:23:20.123Z', { precision: 'ns' }), 1732127000123000000n);
+  assert.equal(parseTimestamp('1732127000123456789'), 1732127000123456789n);
+});
+
+test('instants print in a zone', () => {
+  assert.equal(formatInZone(now, 'Europe/Prague'), '2024-11-20 19:23:20 +01:00 (Europe/Prague)');
+  assert.equal(formatInZone(now, 'Asia/Kolkata'), '2024-11-20 23:53:20 +05:30 (Asia/Kolkata)');
+  assert.equal(zoneOffset(Date.parse('2024-07-01T00:00:00Z'), 'Europe/Prague'), 120);
+});
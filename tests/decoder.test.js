@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createVersioner } from '../src/generator.js';
+import { countSegmentations, findSegmentations } from '../src/segmentation.js';
+import { loadConfig } from '../src/config-loader.js';
+
+const versioner = createVersioner();
+
+test('generated names decode to their interval', () => {
+  for (let i = 0; i < 200; i++) {
+    const timestamp = 1700000000 + i * 7919;
+    const version = versioner.generate(timestamp, { buildInterval: 180 });
+    const parsed = versioner.parse(version, 180);
+    assert.equal(parsed.timestamp, Math.floor(timestamp / 180) * 180, version);
+  }
+});
+
+test('generated names have a single syllable split', () => {
+  const plain = structuredClone(loadConfig());
+  plain.separators.enabled = false;
+  plain.encoding.checksum = false;
+
+  for (const generator of [versioner, createVersioner({ config: plain })]) {
+    for (let i = 0; i < 2600; i++) {
+      const timestamp = 1500000000 + i * 104729;
+      const version = generator.generate(timestamp);
+      assert.doesNotThrow(() => generator.parse(version), version);
+    }
+  }
+});
+
+test('a separator is added where the letters split two ways', () => {
+  const { version, explanation } = versioner.generate(1500104730, { explain: true });
+  assert.equal(version, 'ecttend sli tect');
+  assert.deepEqual(explanation.disambiguation, [{ position: 3, name: 'space', separator: ' ' }]);
+  assert.equal(versioner.parse(version).timestamp, 1500104730);
+});
+
+test('known name decodes', () => {
+  assert.equal(versioner.generate(1732127000, { buildInterval: 180 }), 'pewcher shen');
+  assert.equal(versioner.parse('pewcher shen', 180).timestamp, 1732126860);
+});
+
+test('separators are hard boundaries', () => {
+  const known = new Set(['ab', 'a', 'bc', 'c']);
+  assert.deepEqual(findSegmentations('abc', known), [['a', 'bc'], ['ab', 'c']]);
+  assert.deepEqual(findSegmentations('ab-c', known), [['ab', 'c']]);
+  assert.deepEqual(findSegmentations("a'bc", known), [['a', 'bc']]);
+});
+
+test('segmentation backtracks past a dead end', () => {
+  const known = new Set(['abc', 'ab', 'cd']);
+  assert.deepEqual(findSegmentations('abcd', known), [['ab', 'cd']]);
+});
+
+test('syllables longer than five letters are found', () => {
+  const known = new Set(['strengths', 'ba']);
+  assert.deepEqual(findSegmentations('bastrengths', known), [['ba', 'strengths']]);
+});
+
+test('ambiguous names are rejected with every split', () => {
+  const small = createVersioner({ syllables: ['ab', 'a', 'bc', 'c'] });
+  assert.throws(() => small.parseSyllables('abc'), error => {
+    assert.match(error.message, /^Ambiguous version string "abc": 2 possible syllable splits/);
+    assert.deepEqual(error.candidates, [['a', 'bc'], ['ab', 'c']]);
+    return true;
+  });
+});
+
+test('repeated ambiguous words are counted, not listed', () => {
+  const version = Array(16).fill('aske').join(' ');
+  assert.equal(countSegmentations(version, new Set(versioner.syllables)), 3n ** 16n);
+  assert.equal(versioner.parseSyllableCandidates(version, 2).length, 2);
+
+  assert.throws(() => versioner.parseSyllables(version), error => {
+    assert.match(error.message, /^Ambiguous version string "aske aske .*": 43046721 possible syllable splits \(a-ske-a-ske/);
+    assert.match(error.message, /\.\.\. 43046711 more\)/);
+    assert.equal(error.candidates.length, 10);
+    return true;
+  });
+
+  const config = structuredClone(loadConfig());
+  config.encoding.checksum = true;
+  assert.throws(() => createVersioner({ config }).parse(version, 180), /43046721 possible syllable splits, too many to check against the checksum/);
+});
+
+test('unknown syllables and empty input are errors', () => {
+  assert.throws(() => versioner.parse('xqzt', 180), /unrecognized syllable at "xqzt"/);
+  assert.throws(() => versioner.parse('', 180), /Cannot parse empty version string/);
+  assert.throws(() => versioner.parse('--', 180), /no valid syllables found/);
+});
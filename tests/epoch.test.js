@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateVersion, parseVersion, getStats } from '../src/generator.js';
+import { resolveEpoch } from '../src/versioner.js';
+
+const EPOCH = '2024-01-01';
+
+test('epochs are Unix seconds or dates', () => {
+  assert.equal(resolveEpoch(null), 0);
+  assert.equal(resolveEpoch(EPOCH), 1704067200);
+  assert.equal(resolveEpoch(1704067200), 1704067200);
+  assert.throws(() => resolveEpoch('nope'), /Invalid epoch "nope": expected Unix seconds or a date/);
+  assert.throws(() => resolveEpoch(-1), /Invalid epoch -1: expected non-negative whole Unix seconds/);
+});
+
+test('a recent epoch shortens names and is added back when decoding', () => {
+  const version = generateVersion(1732127000, { epoch: EPOCH, buildInterval: 180 });
+  assert.equal(version, 'hif hoct');
+  assert.equal(generateVersion(1732127000, { buildInterval: 180 }), 'pewcher shen');
+
+  assert.equal(parseVersion(version, 180, { epoch: EPOCH }).timestamp, 1732126860);
+  assert.equal(parseVersion(version, 180, { epoch: 1704067200 }).timestamp, 1732126860);
+  assert.notEqual(parseVersion(version, 180, { epoch: '2025-01-01' }).timestamp, 1732126860);
+});
+
+test('timestamps before the epoch cannot be encoded', () => {
+  assert.throws(
+    () => generateVersion(1600000000, { epoch: EPOCH }),
+    /Timestamp 1600000000 is before the configured epoch 2024-01-01T00:00:00.000Z/
+  );
+});
+
+test('stats report the years covered per syllable count', () => {
+  const stats = getStats({ epoch: EPOCH, buildInterval: 180 });
+  assert.equal(stats.epoch, '2024-01-01T00:00:00.000Z');
+  assert.equal(stats.buildInterval, 180);
+
+  const [one, two, three] = stats.coverage;
+  assert.equal(one.syllables, 1);
+  assert.equal(two.until, '2029-10-13T14:27:00.000Z');
+  assert.ok(two.years > 5 && two.years < 6);
+  assert.ok(three.years > two.years * 1000);
+  stats.coverage.filter(c => c.until === null).forEach(c => assert.ok(c.years > 5000));
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { generateVersion } from '../src/generator.js';
+
+const cli = fileURLToPath(new URL('../tools/version-gen.js', import.meta.url));
+
+test('explanations show why the winner won', () => {
+  const { version, explanation } = generateVersion(1732127000, { buildInterval: 180, explain: true });
+  assert.equal(version, 'pewcher shen');
+  assert.deepEqual(explanation.syllables, ['pew', 'cher', 'shen']);
+  assert.equal(explanation.balancer, 'HashBalancer');
+
+  const [first, second] = explanation.rounds;
+  assert.equal(first.threshold, 100);
+  const boundary = first.boundaries.find(b => b.position === 2);
+  assert.equal(boundary.candidate, 'space');
+  assert.equal(boundary.scores.space, 780);
+  assert.ok(boundary.rules.some(rule => rule.rule === 'space.heavyAndHeavySpace' && rule.weight === 280));
+  assert.match(first.reason, /cher\|shen has the highest raw score \(780; next pew\|cher with 420\)/);
+
+  assert.equal(second.winner, null);
+  assert.ok(second.boundaries.every(b => b.skipped === 'next to the separator at 2'));
+  assert.deepEqual(explanation.separators.map(s => [s.position, s.separator]), [[2, ' ']]);
+  assert.equal(explanation.summary, '1 separator(s) in 2 round(s)');
+});
+
+test('scores add up from the rules and the balancer', () => {
+  for (let timestamp = 1732127000; timestamp < 1732127000 + 100 * 977; timestamp += 977) {
+    const { version, explanation } = generateVersion(timestamp, { buildInterval: 1, explain: true });
+    assert.equal(version, generateVersion(timestamp, { buildInterval: 1 }));
+
+    for (const round of explanation.rounds) {
+      for (const boundary of round.boundaries.filter(b => !b.skipped)) {
+        for (const [separator, score] of Object.entries(boundary.scores)) {
+          const fired = boundary.rules.filter(rule => rule.separator === separator);
+          assert.equal(fired.reduce((sum, rule) => sum + rule.weight, 0), score);
+          assert.ok(Math.abs(boundary.adjusted[separator] - score * boundary.multipliers[separator]) < 1e-9);
+        }
+      }
+    }
+  }
+});
+
+test('the CLI prints the explanation', () => {
+  const result = spawnSync(process.execPath, [cli, '--explain', '-i', '180', '1732127000'], { encoding: 'utf8', timeout: 30000 });
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /=== Separator Explanation ===/);
+  assert.match(result.stdout, /space\s+780 x1\.39 = 1086\.3/);
+  assert.match(result.stdout, /pew\|cher: skipped, next to the separator at 2/);
+});
+
+test('negative rule weights print with their own sign', t => {
+  const dir = mkdtempSync(join(tmpdir(), 'phonetic-explain-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const configPath = join(dir, 'phonetic-version.config.json');
+  writeFileSync(configPath, JSON.stringify({ scoring: { space: { heavyAndHeavySpace: { weight: -50 } } } }));
+
+  const result = spawnSync(process.execPath, [cli, '--config', configPath, '--explain', '-i', '180', '1732127000'], { encoding: 'utf8', timeout: 30000 });
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /space\.heavyAndHeavySpace -50,/);
+  assert.match(result.stdout, /space\.cleanSyllables \+120/);
+  assert.doesNotMatch(result.stdout, /\+-/);
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { toTagName, getCommitTimestamp, fromGit, resolveGitVersion } from '../src/git.js';
+import { getDefaultVersioner } from '../src/versioner.js';
+
+const hasGit = spawnSync('git', ['--version']).status === 0;
+const versioner = getDefaultVersioner();
+
+/**
+ * Commit in the temp repository with a fixed committer time
+ */
+function commit(cwd, subject, timestamp) {
+  const date = `@${timestamp} +0000`;
+  writeFileSync(join(cwd, 'file.txt'), subject);
+  execFileSync('git', ['add', '-A'], { cwd });
+  execFileSync('git', ['commit', '-q', '-m', subject], {
+    cwd,
+    env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+  });
+}
+
+test('names become valid tag names', () => {
+  assert.equal(toTagName('pewcher shen'), 'pewcher-shen');
+  assert.equal(toTagName("ot snoc~red:tel", 'v'), 'vot-snoc-red-tel');
+  assert.equal(versioner.parse(toTagName('pewcher shen'), 180).timestamp, versioner.parse('pewcher shen', 180).timestamp);
+});
+
+test('commits are named, tagged and resolved', { skip: !hasGit && 'git not installed' }, t => {
+  const cwd = mkdtempSync(join(tmpdir(), 'phonetic-git-'));
+  t.after(() => rmSync(cwd, { recursive: true, force: true }));
+  execFileSync('git', ['init', '-q'], { cwd });
+  execFileSync('git', ['config', 'user.name', 'Test'], { cwd });
+  execFileSync('git', ['config', 'user.email', 'test@example.com'], { cwd });
+  commit(cwd, 'first', 1732126000);
+  commit(cwd, 'second', 1732127000);
+  commit(cwd, 'third', 1732127030);
+
+  const head = getCommitTimestamp({ cwd });
+  assert.equal(head.timestamp, 1732127030);
+  assert.equal(getCommitTimestamp({ cwd, ref: 'HEAD~2' }).timestamp, 1732126000);
+
+  const release = fromGit({ cwd, ref: 'HEAD~1', buildInterval: 180, tag: true, tagPrefix: 'v' });
+  assert.equal(release.version, versioner.generate(1732127000, { buildInterval: 180 }));
+  assert.equal(release.tag, `v${toTagName(release.version)}`);
+  assert.equal(release.date, '2024-11-20T18:23:20.000Z');
+  assert.equal(execFileSync('git', ['tag', '-l'], { cwd, encoding: 'utf8' }).trim(), release.tag);
+
+  const resolved = resolveGitVersion(release.tag, { cwd, buildInterval: 180, tagPrefix: 'v' });
+  assert.equal(resolved.from, 1732126860);
+  assert.deepEqual(resolved.commits.map(c => c.subject), ['third', 'second']);
+
+  assert.throws(() => getCommitTimestamp({ cwd, ref: 'nope' }), /git log failed/);
+});
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createVersioner } from '../src/versioner.js';
+import { loadConfig, getIntervalTier, getIntervalTiers } from '../src/config-loader.js';
+
+const config = structuredClone(loadConfig());
+config.encoding.embedInterval = true;
+const versioner = createVersioner({ config });
+
+test('tiers are the base interval then the compression intervals', () => {
+  assert.deepEqual(getIntervalTiers(config.encoding), [1, 360, 720, 1440]);
+  assert.equal(getIntervalTier(720, config.encoding), 2);
+  assert.equal(getIntervalTier(180, config.encoding), -1);
+});
+
+test('names carry their interval', () => {
+  for (const interval of [1, 360, 720, 1440]) {
+    const timestamp = 1732127000 + interval * 7;
+    const version = versioner.generate(timestamp, { buildInterval: interval });
+    const parsed = versioner.parse(version);
+
+    assert.equal(parsed.interval, interval, version);
+    assert.equal(parsed.tier, getIntervalTier(interval, config.encoding));
+    assert.equal(parsed.intervalSource, 'embedded');
+    assert.equal(parsed.timestamp, Math.floor(timestamp / interval) * interval);
+  }
+});
+
+test('a matching explicit interval is accepted, a different one is an error', () => {
+  const version = versioner.generate(1732127000, { buildInterval: 360 });
+  assert.equal(versioner.parse(version, 360).interval, 360);
+  assert.throws(() => versioner.parse(version, 720), /Build interval 720s conflicts with interval 360s embedded/);
+});
+
+test('only configured tiers can be embedded', () => {
+  assert.throws(() => versioner.generate(1732127000, { buildInterval: 180 }), /Cannot embed build interval 180s/);
+});
+
+test('tier markers are checked when decoding', () => {
+  const plain = createVersioner().generate(1732127000);
+  assert.throws(() => versioner.decode(plain), /unknown interval tier 130 \(configured tiers: 0-3\)/);
+  assert.throws(() => versioner.decode(versioner.syllables[0]), /missing interval tier marker/);
+});
@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { formatOutput } from '../src/output-format.js';
+
+const cli = fileURLToPath(new URL('../tools/version-gen.js', import.meta.url));
+
+const data = {
+  version: "threm dowsli'ul",
+  timestamp: 1732127000123456789n,
+  parts: ['threm', 'dow'],
+  pronunciation: { syllableCount: 3, guide: null }
+};
+
+function run(args) {
+  return spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+test('json and yaml keep nesting and exact BigInts', () => {
+  assert.deepEqual(JSON.parse(formatOutput(data, 'json')), { ...data, timestamp: '1732127000123456789' });
+  assert.equal(formatOutput(data, 'yaml'), [
+    'version: "threm dowsli\'ul"',
+    'timestamp: 1732127000123456789',
+    'parts:',
+    '  - "threm"',
+    '  - "dow"',
+    'pronunciation:',
+    '  syllableCount: 3',
+    '  guide: null',
+    ''
+  ].join('\n'));
+});
+
+test('env output is prefixed and shell-quoted', () => {
+  assert.equal(formatOutput(data, 'env'), [
+    "PHONETIC_VERSION='threm dowsli'\\''ul'",
+    "PHONETIC_TIMESTAMP='1732127000123456789'",
+    'PHONETIC_PARTS=\'["threm","dow"]\'',
+    "PHONETIC_PRONUNCIATION_SYLLABLE_COUNT='3'",
+    "PHONETIC_PRONUNCIATION_GUIDE=''",
+    ''
+  ].join('\n'));
+});
+
+test('github-output uses a delimiter missing from multi-line values', () => {
+  assert.equal(formatOutput({ version: 'pewcher shen', note: 'a\nEOF\nb' }, 'github-output'), [
+    'version=pewcher shen',
+    'note<<EOF_',
+    'a',
+    'EOF',
+    'b',
+    'EOF_',
+    ''
+  ].join('\n'));
+  assert.throws(() => formatOutput(data, 'xml'), /Unknown output format "xml" \(available: text, json, yaml, env, github-output\)/);
+});
+
+test('every CLI mode honours --format', () => {
+  const generated = JSON.parse(run(['--format', 'json', '-i', '180', '1732127000']).stdout);
+  assert.equal(generated.version, 'pewcher shen');
+  assert.deepEqual(generated.parts, ['pew', 'cher', 'shen']);
+  assert.equal(generated.normalized, 9622927);
+  assert.equal(generated.pronunciation.syllables, 'pew-cher-shen');
+
+  const parsed = run(['--format', 'env', '-i', '180', '--parse', 'pewcher shen']);
+  assert.equal(parsed.status, 0, parsed.stderr);
+  assert.match(parsed.stdout, /^PHONETIC_TIMESTAMP='1732126860'$/m);
+
+  const stats = run(['--format', 'yaml', '--stats']);
+  assert.equal(stats.status, 0, stats.stderr);
+  assert.match(stats.stdout, /^totalSyllables: 1007$/m);
+});
+
+test('exit codes are stable', () => {
+  const invalid = run(['--format', 'json', '--validate', 'pewchxr']);
+  assert.equal(invalid.status, 3);
+  assert.equal(JSON.parse(invalid.stdout).valid, false);
+
+  assert.equal(run(['--format', 'xml']).status, 2);
+  assert.equal(run(['--validate', 'pewcher shen', '-i', '180']).status, 0);
+});
+
+test('numeric options reject missing and non-positive values', () => {
+  for (const args of [['-i', 'abc', '1732127000'], ['-i', 'abc', '--parse', 'pewcher shen'], ['range', 'pewcher shen', 'thicher shen', '--limit']]) {
+    const result = run(args);
+    assert.equal(result.status, 2, args.join(' '));
+    assert.match(result.stderr, /needs a whole number above zero/);
+    assert.equal(result.stdout, '');
+  }
+  assert.match(run(['-m', '0', '1732127000']).stderr, /-m needs a whole number above zero \(got "0"\)/);
+  assert.match(run(['--limit', '-5']).stderr, /--limit needs a whole number above zero \(got "-5"\)/);
+});
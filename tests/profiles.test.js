@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PROFILES, getProfile, applyProfile } from '../src/profiles.js';
+import { generateVersion, parseVersion } from '../src/generator.js';
+
+test('separators map to each profile alphabet', () => {
+  assert.equal(applyProfile("threm dowsli'ul"), "threm dowsli'ul");
+  assert.equal(applyProfile("threm dowsli'ul", 'docker'), 'threm-dowsli_ul');
+  assert.equal(applyProfile("threm dowsli'ul", 'dns'), 'threm-dowsli-ul');
+  assert.equal(applyProfile("threm dowsli'ul", 'filename'), 'threm_dowsli-ul');
+  assert.equal(applyProfile('threm chesli~tin', 'url'), 'threm-chesli~tin');
+  assert.equal(applyProfile('Threm. Ches:tin', 'docker'), 'threm.ches.tin');
+});
+
+test('profiled names match their pattern and decode like the original', () => {
+  for (let timestamp = 1732127000; timestamp < 1732127000 + 100 * 977; timestamp += 977) {
+    const original = parseVersion(generateVersion(timestamp, { buildInterval: 1 }), 1).timestamp;
+    for (const name of Object.keys(PROFILES)) {
+      const version = generateVersion(timestamp, { buildInterval: 1, profile: name });
+      if (PROFILES[name].pattern) assert.match(version, PROFILES[name].pattern);
+      assert.equal(parseVersion(version, 1).timestamp, original, `${name}: ${version}`);
+    }
+  }
+});
+
+test('length and pattern limits are enforced', () => {
+  assert.throws(() => applyProfile('a'.repeat(64), 'dns'), /does not fit the dns profile: 64 characters, at most 63 allowed/);
+  assert.throws(() => applyProfile('-pew', 'dns'), /does not fit the dns profile: must match/);
+
+  const custom = { separators: { ' ': '+' }, fallback: '+', maxLength: 5, pattern: null };
+  assert.equal(applyProfile('ab cd', custom), 'ab+cd');
+  assert.throws(() => applyProfile('ab cde', custom), /does not fit the custom profile/);
+});
+
+test('unknown profiles list the available ones', () => {
+  assert.equal(getProfile('dns'), PROFILES.dns);
+  assert.throws(() => getProfile('k8s'), /Unknown profile "k8s" \(available: display, docker, dns, filename, url\)/);
+});
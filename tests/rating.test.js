@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { createVersioner } from '../src/versioner.js';
+import { placementAlternatives, createRatingRecord, RATING_SCALE } from '../src/rating.js';
+import { parseExample } from '../src/training.js';
+
+const versioner = createVersioner();
+const cli = fileURLToPath(new URL('../tools/version-gen.js', import.meta.url));
+
+test('the generated name comes first and keeps its label', () => {
+  for (let i = 0; i < 200; i++) {
+    for (const placement of ['greedy', 'optimal']) {
+      const { parts, version } = versioner.generate(1500000000 + i * 104729, { placement, returnMetadata: true });
+      const alternatives = placementAlternatives(parts, { version, versioner, count: 10 });
+
+      assert.deepEqual(alternatives[0], { version, source: 'generated' });
+      assert.ok(!alternatives.some(alternative => alternative.source === placement), `${version}: ${placement} listed again`);
+    }
+  }
+});
+
+test('alternatives are distinct renderings of the same syllables', () => {
+  const { parts, version } = versioner.generate(1732127000, { buildInterval: 180, returnMetadata: true });
+  const alternatives = placementAlternatives(parts, { version, count: 10 });
+
+  assert.equal(new Set(alternatives.map(alternative => alternative.version)).size, alternatives.length);
+  assert.deepEqual(alternatives.at(-1), { version: parts.join(''), source: 'plain' });
+  for (const alternative of alternatives) {
+    assert.doesNotThrow(() => parseExample({ syllables: parts, version: alternative.version }));
+  }
+  assert.equal(placementAlternatives(parts, { version, count: 2 }).length, 2);
+});
+
+test('without a generated name the greedy placement comes first', () => {
+  const parts = ['pew', 'cher', 'shen'];
+  const [first] = placementAlternatives(parts);
+  assert.deepEqual(first, { version: versioner.placeSeparators(parts), source: 'greedy' });
+});
+
+test('rating records are training examples', () => {
+  const alternatives = [{ version: 'pewcher shen', source: 'generated' }, { version: 'pew cher shen', source: 'optimal' }];
+  const record = createRatingRecord({ syllables: ['pew', 'cher', 'shen'], version: 'pew cher shen', rating: 4, alternatives, timestamp: 17n });
+
+  assert.equal(record.source, 'optimal');
+  assert.deepEqual(record.alternatives, ['pewcher shen', 'pew cher shen']);
+  assert.equal(record.timestamp, '17');
+  assert.deepEqual(parseExample(record).labels, ['space', 'space']);
+
+  const typed = createRatingRecord({ syllables: ['pew', 'cher', 'shen'], version: "pew'cher shen", rating: 1, alternatives });
+  assert.equal(typed.source, 'typed');
+  assert.equal(typed.timestamp, null);
+});
+
+test('invalid ratings are rejected', () => {
+  const syllables = ['pew', 'cher'];
+  assert.deepEqual(RATING_SCALE, [1, 2, 3, 4, 5]);
+  assert.throws(() => createRatingRecord({ syllables, version: 'pewcher', rating: 6 }), /Rating must be one of 1, 2, 3, 4, 5/);
+  assert.throws(() => createRatingRecord({ syllables, version: 'pew_cher', rating: 3 }), /Unknown separator "_"/);
+});
+
+test('rate refuses output profiles', () => {
+  const result = spawnSync(process.execPath, [cli, 'rate', '--profile', 'docker'], { input: '', encoding: 'utf8', timeout: 30000 });
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /--profile cannot be used with rate/);
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { toSemverIdentifiers, toSemver, isSemver, parseSemver } from '../src/semver.js';
+
+const cli = fileURLToPath(new URL('../tools/version-gen.js', import.meta.url));
+
+test('separators map to semver identifiers', () => {
+  assert.equal(toSemverIdentifiers('pewcher shen'), 'pewcher.shen');
+  assert.equal(toSemverIdentifiers("threm dowsli'ul"), 'threm.dowsli-ul');
+  assert.equal(toSemverIdentifiers('a~b:c. d-e'), 'a-b.c.d-e');
+  assert.throws(() => toSemverIdentifiers("'pew"), /must start and end with a letter/);
+});
+
+test('names become build metadata or prerelease tags', () => {
+  assert.equal(toSemver('1.4.0', 'pewcher shen'), '1.4.0+pewcher.shen');
+  assert.equal(toSemver('1.4.0', 'pewcher shen', { type: 'prerelease' }), '1.4.0-pewcher.shen');
+  assert.ok(isSemver('1.4.0+pewcher.shen'));
+  assert.ok(!isSemver('pewcher shen'));
+
+  assert.throws(() => toSemver('1.4', 'pewcher shen'), /Invalid semver base "1.4"/);
+  assert.throws(() => toSemver('01.4.0', 'pewcher shen'), /Invalid semver base/);
+  assert.throws(() => toSemver('1.4.0', 'pewcher shen', { type: 'tag' }), /Unknown semver type "tag"/);
+});
+
+test('semver strings decode their phonetic part', () => {
+  const build = parseSemver('1.4.0+pewcher.shen', 180);
+  assert.equal(build.base, '1.4.0');
+  assert.equal(build.minor, 4);
+  assert.equal(build.type, 'build');
+  assert.equal(build.phonetic, 'pewcher.shen');
+  assert.equal(build.timestamp, 1732126860);
+
+  const prerelease = parseSemver('2.0.1-pewcher.shen', 180);
+  assert.equal(prerelease.type, 'prerelease');
+  assert.equal(prerelease.timestamp, 1732126860);
+
+  assert.throws(() => parseSemver('1.4.0'), /"1.4.0" has no build metadata or prerelease to decode/);
+  assert.throws(() => parseSemver('1.4'), /Invalid semver string "1.4"/);
+});
+
+test('the CLI prints and parses semver', () => {
+  const run = args => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8', timeout: 30000 });
+
+  const generated = run(['--semver', '1.4.0', '-i', '180', '1732127000']);
+  assert.equal(generated.status, 0, generated.stderr);
+  assert.equal(generated.stdout.trim(), '1.4.0+pewcher.shen');
+
+  const parsed = run(['-i', '180', '--parse', '1.4.0+pewcher.shen']);
+  assert.equal(parsed.status, 0, parsed.stderr);
+  assert.match(parsed.stdout, /Timestamp: 1732126860/);
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import SeparatorBalancer, { HashBalancer, hashValues } from '../src/separator-balancer.js';
+import { generateVersion } from '../src/generator.js';
+
+/**
+ * Mean multiplier per separator over many seeds
+ */
+function meanMultipliers(config, seeds = 2000) {
+  const sums = {};
+  for (let seed = 1; seed <= seeds; seed++) {
+    const multipliers = new HashBalancer({ ...config, seed }).getDiversityMultipliers({ position: 1 });
+    for (const [sep, value] of Object.entries(multipliers)) {
+      sums[sep] = (sums[sep] || 0) + value / seeds;
+    }
+  }
+  return sums;
+}
+
+test('hashValues is FNV-1a over every byte', () => {
+  assert.equal(hashValues([]), 0x811c9dc5);
+  assert.equal(hashValues([1, 2, 3]), hashValues([1, 2, 3]));
+  assert.notEqual(hashValues([1, 2, 3]), hashValues([3, 2, 1]));
+  assert.notEqual(hashValues([256]), hashValues([1]));
+  assert.notEqual(hashValues([1], 7), hashValues([1]));
+});
+
+test('hash multipliers depend only on seed and position', () => {
+  const a = new HashBalancer({ seed: 42 });
+  const b = new HashBalancer({ seed: 42 });
+  b.recordUsage('space');
+  assert.deepEqual(a.getDiversityMultipliers({ position: 2 }), b.getDiversityMultipliers({ position: 2 }));
+  assert.notDeepEqual(a.getDiversityMultipliers({ position: 2 }), a.getDiversityMultipliers({ position: 3 }));
+});
+
+test('hash multipliers follow the target shares', () => {
+  const skewed = meanMultipliers({ targets: { space: 90, tilde: 10 }, diversityStrength: 0.4 });
+  assert.ok(Math.abs(skewed.space - 1.16) < 0.02, `space ${skewed.space}`);
+  assert.ok(Math.abs(skewed.tilde - 0.84) < 0.02, `tilde ${skewed.tilde}`);
+
+  const even = meanMultipliers({ targets: { space: 5, tilde: 5 }, diversityStrength: 0.4 });
+  assert.ok(Math.abs(even.space - 1) < 0.02 && Math.abs(even.tilde - 1) < 0.02);
+});
+
+test('hash multipliers are clamped', () => {
+  const balancer = new HashBalancer({ seed: 1, targets: { space: 100, tilde: 0 }, diversityStrength: 3 });
+  for (let position = 1; position < 50; position++) {
+    for (const value of Object.values(balancer.getDiversityMultipliers({ position }))) {
+      assert.ok(value >= 0.5 && value <= 2.0);
+    }
+  }
+});
+
+test('adjusted scores keep separators without a target', () => {
+  const balancer = new HashBalancer({ seed: 9, targets: { space: 50, dot: 50 } });
+  const multipliers = balancer.getDiversityMultipliers({ position: 1 });
+  const adjusted = balancer.adjustScores({ space: 100, colon: 80 }, { position: 1 });
+  assert.equal(adjusted.space, 100 * multipliers.space);
+  assert.equal(adjusted.colon, 80);
+});
+
+test('history balancing reduces overused separators', () => {
+  const balancer = new SeparatorBalancer({ targets: { space: 50, dot: 50 }, diversityStrength: 1 });
+  for (let i = 0; i < 10; i++) balancer.recordUsage('space');
+
+  const multipliers = balancer.getDiversityMultipliers();
+  assert.equal(multipliers.space, 0.5);
+  assert.equal(multipliers.dot, 1.5);
+  assert.equal(balancer.chooseSeparator({ space: 120, dot: 100 }, 100), 'dot');
+
+  balancer.reset();
+  assert.deepEqual(balancer.getCurrentDistribution(), {});
+});
+
+test('the same timestamp always gets the same separators', () => {
+  const timestamps = [1732127000, 1705445908, 1700000000];
+  const first = timestamps.map(t => generateVersion(t, { buildInterval: 1 }));
+  for (let t = 1600000000; t < 1600000000 + 50 * 977; t += 977) generateVersion(t, { buildInterval: 1 });
+  assert.deepEqual(timestamps.map(t => generateVersion(t, { buildInterval: 1 })), first);
+});
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BUILTIN_RULES, evaluateRules, getSeparatorRules, registerSeparatorRule, unregisterSeparatorRule
+} from '../src/separator-rules.js';
+import { analyzeBoundary } from '../src/separators.js';
+import { loadConfig } from '../src/config-loader.js';
+
+const config = loadConfig();
+const all = ['pew', 'cher', 'shen'];
+
+function withScoring(change) {
+  const copy = structuredClone(config);
+  change(copy);
+  return copy;
+}
+
+test('built-in rules score boundaries in registry order', () => {
+  const { scores, rules } = evaluateRules(['pew'], ['cher', 'shen'], all, config);
+  assert.deepEqual(scores, { apostrophe: 0, dot: 230, hyphen: 0, space: 420, tilde: 145, colon: 0 });
+  assert.deepEqual(rules.slice(0, 3).map(rule => [rule.rule, rule.weight]), [
+    ['dot.prefixPattern', 200],
+    ['dot.interestBonus', 30],
+    ['space.cleanConsonantBoundary', 300]
+  ]);
+  assert.deepEqual(analyzeBoundary(['pew'], ['cher', 'shen'], all, config), scores);
+  assert.deepEqual(getSeparatorRules(), [...BUILTIN_RULES]);
+});
+
+test('rule B weights come with their pattern', () => {
+  const similar = ['tel', 'tam', 'tor'];
+  const fired = evaluateRules(['tel'], ['tam', 'tor'], similar, config).rules.filter(rule => rule.rule.startsWith('ruleB'));
+  assert.deepEqual(fired.map(rule => [rule.rule, rule.weight, rule.detail]), [
+    ['ruleB.dot', 40, '3x'],
+    ['ruleB.hyphen', 40, '3x'],
+    ['ruleB.space', 20, '3x']
+  ]);
+});
+
+test('config disables rules and overrides weights', () => {
+  const tuned = withScoring(copy => {
+    copy.separators.disabledRules = ['dot.prefixPattern'];
+    copy.scoring.space.cleanSyllables.enabled = false;
+    copy.scoring.space.cleanConsonantBoundary.weight = 10;
+  });
+
+  const { scores, rules } = evaluateRules(['pew'], ['cher', 'shen'], all, tuned);
+  // The dot interest bonus only applies to a dot that already scores
+  assert.equal(scores.dot, 0);
+  assert.equal(scores.space, 10);
+  assert.ok(!rules.some(rule => rule.rule === 'space.cleanSyllables'));
+});
+
+test('custom rules run after the built-ins and read their config weight', t => {
+  registerSeparatorRule({
+    name: 'custom.afterPew',
+    separator: 'colon',
+    configKey: 'custom.afterPew',
+    weight: 90,
+    test: (left, right, allSyllables, context) => context.lastSyllable === 'pew'
+  });
+  t.after(() => unregisterSeparatorRule('custom.afterPew'));
+
+  assert.equal(getSeparatorRules().at(-1).name, 'custom.afterPew');
+  assert.equal(evaluateRules(['pew'], ['cher', 'shen'], all, config).scores.colon, 90);
+  assert.equal(evaluateRules(['pew', 'cher'], ['shen'], all, config).scores.colon, 0);
+
+  const weighted = withScoring(copy => { copy.scoring.custom.afterPew = { weight: 5 }; });
+  assert.equal(evaluateRules(['pew'], ['cher', 'shen'], all, weighted).scores.colon, 5);
+
+  assert.throws(
+    () => registerSeparatorRule({ name: 'custom.afterPew', separator: 'colon', weight: 1, test: () => true }),
+    /Separator rule "custom.afterPew" is already registered/
+  );
+});
+
+test('invalid rules are rejected', () => {
+  assert.throws(() => registerSeparatorRule({ separator: 'colon' }), /Separator rule needs a name/);
+  assert.throws(
+    () => registerSeparatorRule({ name: 'x', separator: 'slash', weight: 1, test: () => true }),
+    /separator must be one of apostrophe, dot, hyphen, space, tilde, colon \(got "slash"\)/
+  );
+  assert.throws(() => registerSeparatorRule({ name: 'x', separator: 'dot', weight: 1 }), /test must be a function/);
+  assert.throws(() => registerSeparatorRule({ name: 'x', separator: 'dot', test: () => true }), /needs a configKey or a weight/);
+  assert.throws(() => unregisterSeparatorRule('dot.prefixPattern'), /is a built-in rule: disable it with separators.disabledRules/);
+  assert.equal(unregisterSeparatorRule('custom.missing'), false);
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createVersioner } from '../src/versioner.js';
+import { loadConfig } from '../src/config-loader.js';
+import { addSmartSeparators, findSeparators, joinSyllables, PLACEMENTS } from '../src/separators.js';
+
+const versioner = createVersioner();
+
+/**
+ * Syllables of a generated name (one-second interval)
+ */
+function partsAt(timestamp) {
+  return versioner.generate(timestamp, { buildInterval: 1, returnMetadata: true }).parts;
+}
+
+/**
+ * Best total margin by trying every set of candidate boundaries
+ */
+function bruteForceMargin(explanation, thresholds, minSegment, length) {
+  const candidates = explanation.boundaries
+    .filter(boundary => boundary.candidate)
+    .map(boundary => ({ position: boundary.position, adjusted: boundary.adjusted[boundary.candidate] }));
+
+  let best = 0;
+  for (let mask = 1; mask < 1 << candidates.length; mask++) {
+    const chosen = candidates.filter((_, k) => mask & (1 << k));
+    const positions = chosen.map(c => c.position);
+    if (chosen.length > thresholds.length) continue;
+    if (positions[0] < minSegment || positions.at(-1) > length - minSegment) continue;
+    if (positions.some((p, k) => k > 0 && p - positions[k - 1] < Math.max(2, minSegment))) continue;
+
+    const scores = chosen.map(c => c.adjusted).sort((a, b) => b - a);
+    if (scores.some((score, k) => score < thresholds[k])) continue;
+    best = Math.max(best, scores.reduce((sum, score, k) => sum + score - thresholds[k], 0));
+  }
+  return best;
+}
+
+test('separators round-trip through findSeparators and joinSyllables', () => {
+  const syllables = ['threm', 'dow', 'sli', 'ul'];
+  const found = findSeparators("threm dow. sli'ul", syllables);
+  assert.deepEqual(found, [
+    { position: 1, offset: 5, separator: ' ' },
+    { position: 2, offset: 9, separator: '. ' },
+    { position: 3, offset: 14, separator: "'" }
+  ]);
+  assert.equal(joinSyllables(syllables, found), "threm dow. sli'ul");
+  assert.throws(() => findSeparators('threm dow', syllables), /Syllable "sli" not found/);
+});
+
+test('unknown placements are rejected', () => {
+  assert.deepEqual(PLACEMENTS, ['greedy', 'optimal']);
+  assert.throws(() => addSmartSeparators(['pew', 'cher'], { placement: 'best' }), /Unknown separator placement "best" \(available: greedy, optimal\)/);
+});
+
+test('optimal placement maximizes the total margin', () => {
+  const config = loadConfig();
+  const thresholds = [config.separators.thresholds.first, config.separators.thresholds.second];
+
+  for (const minSyllablesPerSegment of [1, 2]) {
+    for (let i = 0; i < 150; i++) {
+      const parts = partsAt(1700000000 + i * 104729);
+      const { explanation } = addSmartSeparators(parts, { placement: 'optimal', minSyllablesPerSegment, seed: i, explain: true });
+      const margin = explanation.separators.reduce((sum, s) => sum + s.adjusted - s.threshold, 0);
+      const expected = bruteForceMargin(explanation, thresholds.slice(0, parts.length - 1), minSyllablesPerSegment, parts.length);
+
+      assert.ok(Math.abs(margin - expected) < 1e-6, `${parts.join('-')}: ${margin} vs ${expected}`);
+      assert.ok(Math.abs(Math.max(...explanation.alternatives.map(a => a.margin)) - expected) < 1e-6);
+    }
+  }
+});
+
+test('optimal placement never puts separators on neighbouring boundaries', () => {
+  for (let i = 0; i < 300; i++) {
+    const parts = partsAt(1700000000 + i * 7919);
+    const { explanation } = addSmartSeparators(parts, { placement: 'optimal', minSyllablesPerSegment: 1, explain: true });
+    const positions = explanation.separators.map(s => s.position);
+    positions.forEach((position, k) => {
+      if (k > 0) assert.ok(position - positions[k - 1] >= 2, `${parts.join('-')}: ${positions}`);
+    });
+  }
+});
+
+test('one strong separator can beat two weak ones', () => {
+  const parts = partsAt(1705445908);
+  assert.equal(versioner.placeSeparators(parts), 'whict tensli chun');
+
+  const { version, explanation } = versioner.placeSeparators(parts, { placement: 'optimal', explain: true });
+  assert.equal(version, 'whictten slichun');
+  const [one, two] = explanation.alternatives.filter(a => a.count > 0);
+  assert.ok(one.margin > two.margin && one.totalScore < two.totalScore);
+});
+
+test('optimal margin is never below greedy', () => {
+  for (let i = 0; i < 300; i++) {
+    const parts = partsAt(1700000000 + i * 104729);
+    const margin = placement => versioner.placeSeparators(parts, { placement, explain: true, disambiguate: false })
+      .explanation.separators.reduce((sum, s) => sum + s.adjusted - s.threshold, 0);
+    assert.ok(margin('optimal') >= margin('greedy') - 1e-9, parts.join('-'));
+  }
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateVersion, parseVersion, compareVersions } from '../src/generator.js';
+
+const SORTABLE = { ordering: 'sortable' };
+
+test('sortable names sort like the builds they encode', () => {
+  const names = [];
+  for (let timestamp = 1732000000; timestamp < 1732000000 + 400 * 25249; timestamp += 25249) {
+    const version = generateVersion(timestamp, { ...SORTABLE, buildInterval: 180 });
+    assert.equal(parseVersion(version, 180, SORTABLE).timestamp, Math.floor(timestamp / 180) * 180, version);
+    names.push(version);
+  }
+
+  assert.equal(names[0], 'a-al-mit-hind');
+  assert.deepEqual([...names].sort(), names);
+  assert.deepEqual([...names].reverse().sort((a, b) => compareVersions(a, b, { ...SORTABLE, buildInterval: 180 })), names);
+});
+
+test('sortable names have a fixed width', () => {
+  const metadata = generateVersion(1732127000, { ...SORTABLE, buildInterval: 180, returnMetadata: true });
+  assert.equal(metadata.syllables, 4);
+  assert.equal(generateVersion(0, { ...SORTABLE, buildInterval: 180 }).split('-').length, 4);
+  assert.throws(
+    () => generateVersion(2e12, { ...SORTABLE, buildInterval: 1 }),
+    /sortable names are 4 wide: raise encoding.sortableSyllables/
+  );
+});
+
+test('orderings are validated', () => {
+  assert.throws(() => generateVersion(1732127000, { ordering: 'random' }), /Unknown ordering "random"/);
+  assert.throws(() => parseVersion('a-al-mit-hind', 180, { ordering: 'random' }), /Unknown ordering "random"/);
+});
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { phoneticDistance, suggestVersions } from '../src/suggest.js';
+
+test('sound-alike edits are cheaper than other edits', () => {
+  assert.equal(phoneticDistance('cher', 'cher'), 0);
+  assert.ok(phoneticDistance('cer', 'cher') < phoneticDistance('cxer', 'cher'));
+  assert.ok(phoneticDistance('ted', 'tet') < phoneticDistance('tem', 'tet'));
+  assert.ok(phoneticDistance('hcer', 'cher') < 2);
+});
+
+test('a mistyped name suggests the original first', () => {
+  const [first] = suggestVersions('pewcer shen', { buildInterval: 180, now: 1732127000 });
+  assert.equal(first.version, 'pew-cher-shen');
+  assert.equal(first.timestamp, 1732126860);
+  assert.ok(first.distance > 0 && first.confidence < 1);
+});
+
+test('an exact name is its own best suggestion', () => {
+  const suggestions = suggestVersions('pewcher shen', { buildInterval: 180, now: 1732127000, limit: 3 });
+  assert.equal(suggestions[0].version, 'pew-cher-shen');
+  assert.equal(suggestions[0].distance, 0);
+  assert.equal(suggestions[0].confidence, 1);
+  assert.ok(suggestions.length <= 3);
+  suggestions.slice(1).forEach(s => assert.ok(s.distance >= suggestions[0].distance));
+});
+
+test('empty input is an error', () => {
+  assert.throws(() => suggestVersions(''), /Cannot suggest versions for empty input/);
+  assert.throws(() => suggestVersions('-- 12'), /no letters in input/);
+});
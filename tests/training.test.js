@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createVersioner } from '../src/versioner.js';
+import { loadConfig } from '../src/config-loader.js';
+import { parseExample, splitExamples, evaluatePlacement, trainWeights } from '../src/training.js';
+
+const cli = fileURLToPath(new URL('../tools/version-gen.js', import.meta.url));
+
+/**
+ * Examples rendered the way a versioner generates them
+ */
+function generatedExamples(versioner, count, step = 104729) {
+  const examples = [];
+  for (let i = 0; i < count; i++) {
+    const { parts, version } = versioner.generate(1500000000 + i * step, { returnMetadata: true });
+    examples.push(parseExample({ syllables: parts, version }));
+  }
+  return examples;
+}
+
+test('examples record the separator at each boundary', () => {
+  const example = parseExample({ syllables: ['threm', 'dow', 'sli', 'ul'], version: "threm dow. sli'ul" });
+  assert.deepEqual(example.labels, ['space', 'dot', 'apostrophe']);
+  assert.deepEqual(parseExample({ syllables: ['pew'], version: 'pew' }).labels, []);
+});
+
+test('invalid examples are rejected', () => {
+  assert.throws(() => parseExample(null), /Example must be an object/);
+  assert.throws(() => parseExample({ syllables: [], version: '' }), /"syllables" must be a non-empty array/);
+  assert.throws(() => parseExample({ syllables: ['pew'] }), /"version" must be the preferred rendering/);
+  assert.throws(() => parseExample({ syllables: ['pew', 'cher'], version: 'pew_cher' }), /Unknown separator "_"/);
+  assert.throws(() => parseExample({ syllables: ['pew', 'cher'], version: 'pew shen' }), /Syllable "cher" not found/);
+});
+
+test('the split depends only on the syllables', () => {
+  const examples = generatedExamples(createVersioner(), 100);
+  const { train, test: held } = splitExamples(examples, 0.3);
+  assert.equal(train.length + held.length, 100);
+  assert.ok(held.length > 10 && held.length < 50);
+
+  const again = splitExamples([...examples].reverse(), 0.3);
+  assert.deepEqual(new Set(again.test), new Set(held));
+  assert.equal(splitExamples(examples, 0).test.length, 0);
+});
+
+test('placement is measured against generated names', () => {
+  const examples = generatedExamples(createVersioner(), 300, 7919);
+  assert.deepEqual(evaluatePlacement(examples, loadConfig()), { count: 300, names: 1, boundaries: 1 });
+  assert.deepEqual(evaluatePlacement([], loadConfig()), { count: 0, names: null, boundaries: null });
+});
+
+test('weights that already fit are kept', () => {
+  const examples = generatedExamples(createVersioner(), 60);
+  const result = trainWeights(examples, { holdout: 0, maxIterations: 5 });
+  assert.deepEqual(result.changes, []);
+  assert.equal(result.mistakes.first, 0);
+  assert.equal(result.train.after.names, 1);
+  assert.ok(result.converged && !result.stalled);
+});
+
+test('weights that settle with more mistakes have stalled', () => {
+  // Every name wants one separator everywhere, alternating tilde and apostrophe: no weights fit
+  const versioner = createVersioner();
+  const examples = [];
+  for (let i = 0; i < 40; i++) {
+    const { parts } = versioner.generate(1500000000 + i * 104729, { returnMetadata: true });
+    examples.push(parseExample({ syllables: parts, version: parts.join(i % 2 ? '~' : "'") }));
+  }
+
+  const result = trainWeights(examples, { holdout: 0, maxIterations: 30, learningRate: 1, convergenceThreshold: 0.5 });
+  assert.ok(result.iterations < 30);
+  assert.ok(result.mistakes.last > result.mistakes.first);
+  assert.ok(result.stalled && !result.converged);
+});
+
+test('training moves the weights toward the examples', () => {
+  const target = structuredClone(loadConfig());
+  target.scoring.apostrophe.vowelHiatus.weight = 0;
+  const examples = generatedExamples(createVersioner({ config: target }), 200);
+
+  const result = trainWeights(examples, { holdout: 0, maxIterations: 20 });
+  const change = result.changes.find(c => c.key === 'apostrophe.vowelHiatus');
+  assert.ok(change && change.to < change.from);
+  assert.ok(result.train.after.names > result.train.before.names);
+  assert.equal(result.config.scoring.apostrophe.vowelHiatus.weight, change.to);
+  assert.equal(loadConfig().scoring.apostrophe.vowelHiatus.weight, 200);
+});
+
+test('training options are checked', () => {
+  const examples = generatedExamples(createVersioner(), 5);
+  assert.throws(() => trainWeights(examples, { holdout: 1 }), /Holdout must be a fraction/);
+  assert.throws(() => trainWeights([], { holdout: 0 }), /No training examples/);
+});
+
+test('the CLI saves only weights checked on held-out names', t => {
+  const cwd = mkdtempSync(join(tmpdir(), 'phonetic-train-'));
+  t.after(() => rmSync(cwd, { recursive: true, force: true }));
+  writeFileSync(join(cwd, 'package.json'), '{}');
+
+  const target = structuredClone(loadConfig());
+  target.scoring.apostrophe.vowelHiatus.weight = 0;
+  const lines = generatedExamples(createVersioner({ config: target }), 200)
+    .map(({ syllables, version }) => JSON.stringify({ syllables, version }));
+  writeFileSync(join(cwd, 'examples.jsonl'), lines.join('\n'));
+
+  const saved = join(cwd, 'phonetic-version.config.json');
+  const train = (...args) => spawnSync(process.execPath, [cli, 'train', ...args, 'examples.jsonl'], { cwd, encoding: 'utf8', timeout: 60000 });
+
+  const untested = train('--holdout', '0');
+  assert.equal(untested.status, 0, untested.stderr);
+  assert.match(untested.stdout, /No held-out examples to check the tuned weights on; nothing saved/);
+  assert.ok(!existsSync(saved));
+
+  const forced = train('--holdout', '0', '--save-untested');
+  assert.equal(forced.status, 0, forced.stderr);
+  assert.match(forced.stdout, /\[OK\] Saved \d+ weight\(s\)/);
+  assert.ok(JSON.parse(readFileSync(saved, 'utf8')).scoring.apostrophe.vowelHiatus.weight < 200);
+});
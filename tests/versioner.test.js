@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createVersioner, getDefaultVersioner, PRECISION_UNITS } from '../src/versioner.js';
+
+const versioner = createVersioner();
+
+test('sub-second timestamps keep their fraction by default', () => {
+  assert.deepEqual(PRECISION_UNITS, { s: 1, ms: 1000, ns: 1000000000 });
+
+  const first = versioner.generate(1732127000123, { precision: 'ms', returnMetadata: true });
+  const second = versioner.generate(1732127000456, { precision: 'ms' });
+  assert.equal(first.interval, 1);
+  assert.notEqual(first.version, second);
+  assert.equal(versioner.parse(first.version, null, { precision: 'ms' }).timestamp, 1732127000123);
+
+  const ns = 1732127000123456789n;
+  const version = versioner.generate(ns, { precision: 'ns' });
+  assert.equal(version, 'fefred biwsliirl chuxtbe');
+  assert.equal(versioner.parse(version, null, { precision: 'ns' }).timestamp, ns);
+});
+
+test('explicit intervals are counted in precision units', () => {
+  const version = versioner.generate(1732127000999, { precision: 'ms', buildInterval: 1000 });
+  assert.equal(version, versioner.generate(1732127000, { buildInterval: 1 }));
+
+  const parsed = versioner.parse(version, 1000, { precision: 'ms' });
+  assert.equal(parsed.timestamp, 1732127000000);
+  assert.equal(parsed.intervalSource, 'argument');
+});
+
+test('embedded intervals stay whole seconds', () => {
+  const options = { precision: 'ms', embedInterval: true };
+  const version = versioner.generate(1732127000123, options);
+  const parsed = versioner.parse(version, null, options);
+  assert.equal(parsed.interval, 1000);
+  assert.equal(parsed.timestamp, 1732127000000);
+  assert.equal(parsed.intervalSource, 'embedded');
+  assert.throws(() => versioner.parse(version, 5, options), /Build interval 5ms conflicts with interval 1s embedded/);
+});
+
+test('intervals must be whole positive units', () => {
+  const version = versioner.generate(1732127000);
+  for (const interval of [1.5, -60, 'abc']) {
+    assert.throws(() => versioner.parse(version, interval), /^Error: Invalid interval .*: expected a positive whole number of precision units$/);
+    assert.throws(() => versioner.generate(1732127000, { buildInterval: interval }), /Invalid interval/);
+  }
+  assert.throws(() => versioner.generate(1732127000, { precision: 'us' }), /Unknown precision "us"/);
+});
+
+test('unsafe numbers must be passed as BigInt', () => {
+  assert.throws(() => versioner.generate(2 ** 60, { precision: 'ns' }), /exceeds Number.MAX_SAFE_INTEGER/);
+  assert.throws(() => versioner.generate(-1n, { precision: 'ns' }), /Cannot encode negative timestamp/);
+});
+
+test('custom syllable sets encode and decode', () => {
+  const small = createVersioner({ syllables: ['ba', 'be', 'bi', 'bo', 'bu'] });
+  assert.equal(small.base, 5);
+  for (let timestamp = 0; timestamp < 200; timestamp += 7) {
+    const version = small.generate(timestamp, { buildInterval: 1 });
+    assert.match(version, /^b[aeiou]([^a-z]*b[aeiou])*$/);
+    assert.equal(small.parse(version, 1).timestamp, timestamp, version);
+  }
+});
+
+test('instances keep their own configuration', () => {
+  const config = structuredClone(versioner.config);
+  config.separators.enabled = false;
+  const plain = createVersioner({ config });
+
+  assert.equal(plain.generate(1732127000, { buildInterval: 180 }), 'pewchershen');
+  assert.equal(versioner.generate(1732127000, { buildInterval: 180 }), 'pewcher shen');
+  assert.equal(getDefaultVersioner(), getDefaultVersioner());
+});
+
+test('invalid syllable sets are rejected', () => {
+  assert.throws(() => createVersioner({ syllables: ['ba'] }), /at least 2 syllables/);
+  assert.throws(() => createVersioner({ syllables: ['ba', 'b4'] }), /Invalid syllable "b4"/);
+  assert.throws(() => createVersioner({ syllables: ['ba', 'BA'] }), /Duplicate syllable "ba"/);
+});
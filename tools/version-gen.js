@@ -1,39 +1,158 @@
 #!/usr/bin/env node
 /**
  * CLI tool for phonetic version generation
- * Usage: version-gen [options] [timestamp]
+ * Usage: version-gen [options] [date]
+ *        version-gen config validate|get|set [path] [value]
+ *        version-gen git [ref] | git resolve <name>
+ *        version-gen range <from> <to>
+ *        version-gen batch [file]
+ *        version-gen train <examples.jsonl>
+ *        version-gen rate [file]
  */
 
-import { generateVersion, parseVersion, isValidVersion, getStats } from '../src/generator.js';
+import { createVersioner, suggestVersions } from '../src/generator.js';
+import { PRECISION_UNITS } from '../src/versioner.js';
+import { loadConfig, findProjectConfig, getConfigValue, setConfigValue, saveConfig } from '../src/config-loader.js';
+import { fromGit, resolveGitVersion } from '../src/git.js';
+import { toSemver, isSemver, parseSemver } from '../src/semver.js';
+import { versionsInRange, versionDistance } from '../src/compare.js';
+import { parseTimestamp, formatInZone, localTimeZone, checkTimeZone } from '../src/date-parser.js';
+import { getPronunciationGuide } from '../src/pronunciation.js';
+import { findSeparators } from '../src/separators.js';
+import { formatOutput, OUTPUT_FORMATS } from '../src/output-format.js';
+import { createBatchProcessor, csvHeader, formatRecord, BATCH_FORMATS } from '../src/batch.js';
+import { parseExample, trainWeights } from '../src/training.js';
+import { placementAlternatives, createRatingRecord } from '../src/rating.js';
+import { existsSync, readFileSync, createReadStream, appendFileSync } from 'fs';
+import { resolve, basename } from 'path';
+import { createInterface } from 'readline';
+import { once } from 'events';
 
 const args = process.argv.slice(2);
 
+// rate: random names come from this many seconds before now (three years)
+const RATE_SPAN = 3 * 365.25 * 86400;
+
+// Exit codes (stable, listed in the help text)
+const EXIT = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  INVALID: 3,
+  CONFIG: 4,
+  NOT_FOUND: 5
+};
+
 // Help text
 const helpText = `
 Phonetic Version Generator - CLI Tool
 
 USAGE:
-  version-gen [options] [timestamp]
+  version-gen [options] [date]
+  version-gen config validate             Validate the effective configuration
+  version-gen config get [path]           Print a config value (dotted path)
+  version-gen config set <path> <value>   Set a value in the project config file
+  version-gen git [ref]                   Name a commit by its committer time (default: HEAD)
+  version-gen git resolve <name>          List commits inside the name's interval window
+  version-gen range <from> <to>           List every name from one version to another
+  version-gen batch [file]                Encode timestamps / decode names, one per line,
+                                          from a file or stdin (CSV or JSON lines)
+  version-gen train <examples.jsonl>      Fit scoring weights to preferred separator
+                                          placements and save them to the project config
+  version-gen rate [file]                 Pick the best punctuation of random names and rate
+                                          them; appends training examples (ratings.jsonl)
 
 OPTIONS:
   -h, --help          Show this help message
   -s, --stats         Show syllable statistics
   -p, --parse <ver>   Parse version string to timestamp
   -v, --validate <ver> Validate version string format
+  -S, --suggest <ver> Suggest likely versions for a mistyped name
   -H, --hyphenated    Generate with hyphens between syllables
-  -i, --interval <n>  Build interval in seconds (default: 180)
+  -i, --interval <n>  Build interval in seconds (default: 180, or the embedded tier)
+  -e, --embed-interval Embed the interval tier in the name (self-describing)
+  -c, --checksum      Append/verify a check syllable (detects typos)
+  -b, --blocklist     Avoid blocked words (reversibly); decode with it too
+  -x, --explain       Show why each separator was placed: scores per boundary
+                      and round, rules with their config weights, balancer
+                      multipliers, thresholds (generate, or --parse a name)
+  --sortable          Fixed-width names whose string order is build order
+  --precision <unit>  Timestamp unit: s, ms or ns (default: s). --interval
+                      is in this unit; the 180s default is scaled
+  --epoch <date>      Count from this date (Unix seconds or e.g. 2024-01-01)
+                      instead of 1970; parse with the same epoch
+  --tz <zone>         Read wall-clock dates and show local dates in this IANA
+                      zone (default: the system zone, or $TZ)
+  --utc               Same as --tz UTC
+  --profile <name>    Restrict separators for a target: display, docker, dns,
+                      filename or url (decodes the same; not with rate)
+  --placement <mode>  Separator placement: greedy (default) or optimal (best
+                      total score over all boundaries; decodes the same)
+  --semver <base>     Output semver with the name as build metadata (1.4.0+name)
+  --prerelease        With --semver: use a prerelease tag instead (1.4.0-name)
+  --limit <n>         range: maximum names to list (default: 10000);
+                      rate: names to rate (default: 10)
+  --holdout <f>       train: fraction of examples held out for accuracy (default: 0.2)
+  --dry-run           train: report the tuned weights without saving them
+  --save-untested     train: save without held-out examples (--holdout 0), when
+                      more training names come out right
+  --format <fmt>      Output as text (default), json, yaml, env or
+                      github-output (key=value lines for $GITHUB_OUTPUT);
+                      batch: csv (default) or jsonl
+  --tag               git: create an annotated tag for the name
+  --tag-prefix <p>    git: prefix for the tag name (e.g. v)
+  --message <msg>     git: tag message (default: "Release <name>")
+  --cwd <dir>         git: repository directory (default: current directory)
   -m, --min <n>       Minimum number of syllables
+  --config <path>     Use this project config file (default: discovered from
+                      phonetic-version.config.json, .phoneticversionrc or the
+                      "phoneticVersioning" key in package.json)
 
 ARGUMENTS:
-  timestamp           Unix timestamp (seconds). If omitted, uses current time.
+  date                When to name. If omitted, uses the current time. One of:
+                        1732127000               Unix timestamp (in --precision units)
+                        @1732127000              Unix seconds
+                        2024-11-20T18:23:20Z     ISO 8601 (no offset: --tz zone)
+                        "Wed, 20 Nov 2024 18:23:20 +0000"   RFC 2822
+                        "yesterday 14:00", 9:30  Wall-clock time in the --tz zone
+                        -3h, +1d12h, "90 minutes ago"       Relative to now
+
+EXIT CODES:
+  0  Success (validate: the name is valid)
+  1  Unexpected error (git failure, I/O, ...)
+  2  Usage error: unknown option, missing or malformed argument or date
+  3  Invalid name: it cannot be decoded (parse, validate, range, ...);
+     batch: at least one line failed (all lines are still processed)
+  4  Invalid configuration
+  5  Nothing found: no suggestions, no commits, no config value at a path
 
 EXAMPLES:
   version-gen                      # Generate version for current time
   version-gen 1732127000           # Generate for specific timestamp
+  version-gen --tz Europe/Prague "yesterday 14:00"   # Build from yesterday afternoon
+  version-gen -3h                  # Generate for three hours ago
   version-gen --hyphenated         # Generate with hyphens: brak-to-fen
+  version-gen --explain --parse "pewcher shen"   # Why the space before shen?
   version-gen --parse braktofin    # Parse version to timestamp
+  version-gen -e --parse <ver>     # Parse self-describing version (interval from name)
   version-gen --stats              # Show syllable statistics
   version-gen --validate braktofin # Check if version is valid
+  version-gen --suggest nebsherpel # Did you mean nebcherpel?
+  version-gen --semver 1.4.0       # 1.4.0+pewcher.shen
+  version-gen --format json        # Name with metadata, separators, pronunciation
+  version-gen --format github-output >> "$GITHUB_OUTPUT"
+  version-gen --profile dns        # pewcher-shen (valid DNS label)
+  version-gen --parse 1.4.0+pewcher.shen
+  version-gen --precision ns -i 1 1732127000123456789   # Exact nanosecond name
+  version-gen --epoch 2024-01-01 --stats               # Years per syllable count
+  version-gen range "pewcher shen" "nescher shen"   # Every build name in between
+  grep -o "build [a-z' ]*" app.log | cut -c7- | version-gen batch --format jsonl
+  version-gen train --dry-run preferred.jsonl   # Tune separator weights to your picks
+  version-gen rate --limit 20 && version-gen train ratings.jsonl
+  version-gen git --tag --tag-prefix v   # Name HEAD and tag it
+  version-gen git resolve "pewcher shen"  # Which commit is this?
+  version-gen config get separators.maxSeparators
+  version-gen config set scoring.hyphen.criticalCluster.weight 150
 
 `;
 
@@ -41,11 +160,20 @@ EXAMPLES:
 let mode = 'generate';
 let timestamp = null;
 let options = {
-  buildInterval: 180,
+  buildInterval: null,
   hyphenated: false,
   minSyllables: 0
 };
 let targetVersion = null;
+let configPath = null;
+let gitOptions = {};
+let semverBase = null;
+let semverType = 'build';
+let timeZone = null;
+let format = 'text';
+let explain = false;
+let trainOptions = { holdout: 0.2, dryRun: false, saveUntested: false };
+const positionals = [];
 
 for (let i = 0; i < args.length; i++) {
   const arg = args[i];
@@ -73,6 +201,12 @@ for (let i = 0; i < args.length; i++) {
       targetVersion = args[++i];
       break;
 
+    case '-S':
+    case '--suggest':
+      mode = 'suggest';
+      targetVersion = args[++i];
+      break;
+
     case '-H':
     case '--hyphenated':
       options.hyphenated = true;
@@ -80,91 +214,875 @@ for (let i = 0; i < args.length; i++) {
 
     case '-i':
     case '--interval':
-      options.buildInterval = parseInt(args[++i], 10);
+      options.buildInterval = positiveInteger(arg, args[++i]);
+      break;
+
+    case '-e':
+    case '--embed-interval':
+      options.embedInterval = true;
+      break;
+
+    case '-c':
+    case '--checksum':
+      options.checksum = true;
+      break;
+
+    case '-b':
+    case '--blocklist':
+      options.blocklist = true;
+      break;
+
+    case '-x':
+    case '--explain':
+      explain = true;
+      break;
+
+    case '--sortable':
+      options.ordering = 'sortable';
+      break;
+
+    case '--config':
+      configPath = args[++i];
+      break;
+
+    case '--precision':
+      options.precision = args[++i];
+      break;
+
+    case '--tz':
+      timeZone = args[++i];
+      break;
+
+    case '--utc':
+      timeZone = 'UTC';
+      break;
+
+    case '--profile':
+      options.profile = args[++i];
+      break;
+
+    case '--placement':
+      options.placement = args[++i];
+      break;
+
+    case '--semver':
+      semverBase = args[++i];
       break;
 
+    case '--prerelease':
+      semverType = 'prerelease';
+      break;
+
+    case '--format':
+      format = args[++i];
+      break;
+
+    case '--limit':
+      options.limit = positiveInteger(arg, args[++i]);
+      break;
+
+    case '--holdout':
+      trainOptions.holdout = Number(args[++i]);
+      break;
+
+    case '--dry-run':
+      trainOptions.dryRun = true;
+      break;
+
+    case '--save-untested':
+      trainOptions.saveUntested = true;
+      break;
+
+    case '--tag':
+      gitOptions.tag = true;
+      break;
+
+    case '--tag-prefix':
+      gitOptions.tagPrefix = args[++i];
+      break;
+
+    case '--message':
+      gitOptions.message = args[++i];
+      break;
+
+    case '--cwd':
+      gitOptions.cwd = args[++i];
+      break;
+
+    case '--epoch': {
+      const epoch = args[++i];
+      options.epoch = /^\d+$/.test(epoch) ? parseInt(epoch, 10) : epoch;
+      break;
+    }
+
     case '-m':
     case '--min':
-      options.minSyllables = parseInt(args[++i], 10);
+      options.minSyllables = positiveInteger(arg, args[++i]);
       break;
 
     default:
-      if (!arg.startsWith('-')) {
-        timestamp = parseInt(arg, 10);
+      // Relative dates ("-3h") look like flags
+      if (!arg.startsWith('-') || /^-\d/.test(arg)) {
+        positionals.push(arg);
+      } else {
+        exitWith(EXIT.USAGE, `Unknown option "${arg}" (see --help)`);
+      }
+  }
+}
+
+if (positionals[0] === 'config') {
+  mode = 'config';
+} else if (positionals[0] === 'range') {
+  mode = 'range';
+} else if (positionals[0] === 'batch') {
+  mode = 'batch';
+} else if (positionals[0] === 'train') {
+  mode = 'train';
+} else if (positionals[0] === 'rate') {
+  mode = 'rate';
+} else if (positionals[0] === 'git') {
+  mode = positionals[1] === 'resolve' ? 'git-resolve' : 'git';
+}
+
+/**
+ * Turn the date argument into a timestamp in --precision units
+ */
+function parseDate(input, precision) {
+  try {
+    return parseTimestamp(input, { precision, timeZone: timeZone ?? localTimeZone() });
+  } catch (error) {
+    throw withExitCode(error, EXIT.USAGE);
+  }
+}
+
+/**
+ * Show an ISO date in the --tz zone (the system zone by default)
+ */
+function formatLocal(isoDate) {
+  return formatInZone(Date.parse(isoDate), timeZone ?? localTimeZone());
+}
+
+/**
+ * Print an error and exit with one of the EXIT codes
+ */
+function exitWith(code, message) {
+  console.error(`[ERROR] ${message}`);
+  process.exit(code);
+}
+
+/**
+ * Read the value of a numeric option, or exit with a usage error
+ * @param {string} option - Option as given (e.g. "-i")
+ * @param {string|undefined} value - Argument after it
+ * @returns {number} Whole number above zero
+ */
+function positiveInteger(option, value) {
+  if (value === undefined || !/^\d+$/.test(value) || Number(value) === 0) {
+    const got = value === undefined ? 'nothing' : `"${value}"`;
+    exitWith(EXIT.USAGE, `${option} needs a whole number above zero (got ${got})`);
+  }
+  return Number(value);
+}
+
+/**
+ * Tag an error with the exit code it should produce
+ */
+function withExitCode(error, code) {
+  error.exitCode ??= code;
+  return error;
+}
+
+/**
+ * Print a result: the mode's text layout, or the result serialized in --format
+ */
+function output(result, printText) {
+  if (format === 'text') {
+    printText(result);
+  } else {
+    process.stdout.write(formatOutput(result, format));
+  }
+}
+
+/**
+ * Syllables, separators and pronunciation of a name, for machine-readable output
+ */
+function describeName(versioner, name, options) {
+  const { syllables: parts } = versioner.decodeDetailed(name, options);
+  return {
+    parts,
+    separators: findSeparators(name, parts),
+    pronunciation: getPronunciationGuide(parts)
+  };
+}
+
+/**
+ * Print a separator explanation (see addSmartSeparators)
+ */
+function printExplanation(explanation) {
+  const score = value => (Number.isInteger(value) ? String(value) : value.toFixed(1));
+
+  console.log('\n=== Separator Explanation ===\n');
+  console.log(`Syllables: ${explanation.syllables.join(' ')}${explanation.balancer ? ` (balancer: ${explanation.balancer})` : ''}`);
+  console.log('Rule weights live at scoring.<rule>.weight ("config set"); ruleB.* weights are built in');
+
+  const printBoundary = boundary => {
+    const label = `  ${boundary.left}|${boundary.right}`;
+    if (boundary.skipped) {
+      console.log(`${label}: skipped, ${boundary.skipped}`);
+      return;
+    }
+    console.log(`${label}: ${boundary.candidate ? `candidate ${boundary.candidate}` : 'no candidate'}`);
+
+    for (const [separator, raw] of Object.entries(boundary.scores)) {
+      if (raw === 0) continue;
+      const multiplier = boundary.multipliers?.[separator];
+      const balanced = multiplier !== undefined ? ` x${multiplier.toFixed(2)} = ${score(boundary.adjusted[separator])}` : '';
+      const rules = boundary.rules
+        .filter(rule => rule.separator === separator && rule.weight !== 0)
+        .map(rule => `${rule.rule}${rule.detail ? `(${rule.detail})` : ''} ${rule.weight > 0 ? '+' : ''}${rule.weight}`)
+        .join(', ');
+      console.log(`    ${separator.padEnd(10)} ${score(raw).padStart(5)}${balanced}  [${rules}]`);
+    }
+  };
+
+  for (const round of explanation.rounds) {
+    console.log(`\nRound ${round.round} (threshold ${round.threshold})`);
+    round.boundaries.forEach(printBoundary);
+    console.log(`  => ${round.winner ? `"${round.winner.character}" (${round.winner.separator}): ` : 'stop: '}${round.reason}`);
+  }
+
+  if (explanation.placement === 'optimal') {
+    console.log('\nBoundaries (optimal placement: each separator clears its own round\'s threshold)');
+    (explanation.boundaries ?? []).forEach(printBoundary);
+    console.log('\nBest placement per separator count (margin: balanced scores minus their round thresholds):');
+    for (const alternative of explanation.alternatives ?? []) {
+      const at = alternative.positions
+        .map(position => `${explanation.syllables[position - 1]}|${explanation.syllables[position]}`)
+        .join(', ');
+      console.log(`  ${alternative.count}: margin ${score(alternative.margin)} (total ${score(alternative.totalScore)})${at ? ` at ${at}` : ''}`);
+    }
+    for (const separator of explanation.separators) {
+      console.log(`  => "${separator.separator}" (${separator.name}) at ${explanation.syllables[separator.position - 1]}|${explanation.syllables[separator.position]}: ` +
+        `${score(separator.adjusted)}, round ${separator.round} (threshold ${separator.threshold})`);
+    }
+  }
+
+  console.log(`\n${explanation.summary}${explanation.separators.length > 0 ? `; total balanced score ${score(explanation.totalScore)}` : ''}\n`);
+}
+
+/**
+ * Parse a CLI value: JSON when it parses (numbers, booleans, arrays), else a string
+ */
+function parseValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+/**
+ * Decode a phonetic name, or a semver string carrying one
+ */
+function parseName(versioner, value, options) {
+  return isSemver(value)
+    ? parseSemver(value, options.buildInterval, { ...options, versioner })
+    : versioner.parse(value, options.buildInterval, options);
+}
+
+/**
+ * Wrap a generated name in semver when --semver is given
+ */
+function formatName(version) {
+  return semverBase ? toSemver(semverBase, version, { type: semverType }) : version;
+}
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates), so the generated name is not always first
+ */
+function shuffle(items) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Format a span given in years for humans
+ */
+function formatSpan(years) {
+  const days = years * 365.25;
+  if (days < 1) return `${(days * 24).toFixed(1)} hours`;
+  if (years < 1) return `${days.toFixed(1)} days`;
+  if (years < 10) return `${years.toFixed(1)} years`;
+  return `${Math.round(years).toLocaleString('en-US')} years`;
+}
+
+/**
+ * Read the project config file that "config set" and "train" write to
+ * (never the package defaults; phonetic-version.config.json if there is none)
+ * @returns {Object} { path, overrides }
+ */
+function readProjectOverrides() {
+  const { path } = configPath
+    ? { path: resolve(configPath) }
+    : findProjectConfig() || { path: resolve('phonetic-version.config.json') };
+
+  let overrides = {};
+  if (existsSync(path)) {
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    overrides = basename(path) === 'package.json' ? data.phoneticVersioning || {} : data;
+  }
+
+  return { path, overrides };
+}
+
+/**
+ * Handle "config validate|get|set"
+ */
+function runConfigCommand(action, path, rawValue) {
+  switch (action) {
+    case 'validate': {
+      try {
+        loadConfig({ configPath, cwd: process.cwd() });
+      } catch (error) {
+        console.error(`[ERROR] ${error.message.split(':')[0]}:`);
+        for (const message of error.errors || [error.message]) {
+          console.error(`  - ${message}`);
+        }
+        process.exit(EXIT.CONFIG);
+      }
+      const project = configPath ? { path: resolve(configPath) } : findProjectConfig();
+      console.log(`[OK] Configuration is valid (${project ? project.path : 'built-in defaults'})`);
+      break;
+    }
+
+    case 'get': {
+      const config = loadConfig({ configPath, cwd: process.cwd() });
+      const value = path ? getConfigValue(config, path) : config;
+      if (value === undefined) {
+        exitWith(EXIT.NOT_FOUND, `No config value at "${path}"`);
       }
+      console.log(typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value));
+      break;
+    }
+
+    case 'set': {
+      if (!path || rawValue === undefined) {
+        exitWith(EXIT.USAGE, 'Usage: version-gen config set <path> <value>');
+      }
+
+      const project = readProjectOverrides();
+      const { overrides } = project;
+
+      setConfigValue(overrides, path, parseValue(rawValue));
+      saveConfig(overrides, project.path);
+      console.log(`[OK] Set ${path} = ${JSON.stringify(getConfigValue(overrides, path))} in ${project.path}`);
+      break;
+    }
+
+    default:
+      exitWith(EXIT.USAGE, 'Usage: version-gen config validate|get|set [path] [value]');
   }
 }
 
 // Execute command
 try {
+  const formats = mode === 'batch' ? ['text', ...BATCH_FORMATS] : OUTPUT_FORMATS;
+  if (!formats.includes(format)) {
+    exitWith(EXIT.USAGE, `Unknown format "${format}" (available: ${formats.join(', ')})`);
+  }
+
+  if (mode === 'config') {
+    runConfigCommand(positionals[1], positionals[2], positionals[3]);
+    process.exit(EXIT.OK);
+  }
+
+  let config;
+  try {
+    config = loadConfig({ configPath, cwd: gitOptions.cwd });
+  } catch (error) {
+    throw withExitCode(error, EXIT.CONFIG);
+  }
+  const versioner = createVersioner({ config });
+  const precision = options.precision ?? config.encoding.precision ?? 's';
+
+  if (timeZone !== null) {
+    try {
+      checkTimeZone(timeZone);
+    } catch (error) {
+      throw withExitCode(error, EXIT.USAGE);
+    }
+  }
+  if (mode === 'generate' && positionals.length > 0) {
+    // Unquoted "yesterday 14:00" arrives as two arguments
+    timestamp = parseDate(positionals.join(' '), precision);
+  }
+
+  // Self-describing names carry their own interval; otherwise keep the 3-minute CLI default
+  if (options.buildInterval === null && !(options.embedInterval ?? config.encoding.embedInterval)) {
+    options.buildInterval = 180 * PRECISION_UNITS[precision];
+  }
+
+  /**
+   * Decode a name; failures exit with EXIT.INVALID
+   */
+  const decode = name => {
+    try {
+      return parseName(versioner, name, options);
+    } catch (error) {
+      throw withExitCode(error, EXIT.INVALID);
+    }
+  };
+
+  if (['parse', 'validate', 'suggest'].includes(mode) && !targetVersion) {
+    exitWith(EXIT.USAGE, 'No version string provided');
+  }
+
   switch (mode) {
     case 'stats': {
-      const stats = getStats();
-      console.log('\n=== Syllable Statistics ===\n');
-      console.log(`Total syllables: ${stats.totalSyllables}`);
-      console.log(`Bits per syllable: ${stats.bitsPerSyllable.toFixed(2)}`);
-      console.log('\nDistribution:');
-      for (const [type, count] of Object.entries(stats.distribution)) {
-        console.log(`  ${type}: ${count}`);
-      }
-      console.log('\nPhonotactics:');
-      console.log(`  Valid onsets: ${stats.phonotactics.valid_onsets.length}`);
-      console.log(`  Valid codas: ${stats.phonotactics.valid_codas.length}`);
-      console.log(`  Vowels: ${stats.phonotactics.vowels.length}`);
-      console.log('');
+      // Coverage is reported in seconds, like the config intervals
+      const unit = PRECISION_UNITS[precision];
+      const stats = versioner.stats({
+        epoch: options.epoch,
+        buildInterval: options.buildInterval ? options.buildInterval / unit : undefined
+      });
+
+      output(stats, () => {
+        console.log('\n=== Syllable Statistics ===\n');
+        console.log(`Total syllables: ${stats.totalSyllables}`);
+        console.log(`Bits per syllable: ${stats.bitsPerSyllable.toFixed(2)}`);
+        if (stats.distribution) {
+          console.log('\nDistribution:');
+          for (const [type, count] of Object.entries(stats.distribution)) {
+            console.log(`  ${type}: ${count}`);
+          }
+        }
+        if (stats.phonotactics) {
+          console.log('\nPhonotactics:');
+          console.log(`  Valid onsets: ${stats.phonotactics.valid_onsets.length}`);
+          console.log(`  Valid codas: ${stats.phonotactics.valid_codas.length}`);
+          console.log(`  Vowels: ${stats.phonotactics.vowels.length}`);
+        }
+        console.log(`\nCoverage from ${stats.epoch} at ${stats.buildInterval}s intervals:`);
+        for (const { syllables, years, until } of stats.coverage) {
+          console.log(`  ${syllables} syllable(s): ${formatSpan(years).padEnd(24)} ${until ? `until ${until.split('T')[0]}` : ''}`);
+        }
+        console.log('');
+      });
       break;
     }
 
     case 'parse': {
-      if (!targetVersion) {
-        console.error('[ERROR] No version string provided');
-        process.exit(1);
+      const parsed = decode(targetVersion);
+      const result = {
+        version: targetVersion,
+        ...parsed,
+        local: timeZone !== 'UTC' ? formatLocal(parsed.date) : null,
+        ...describeName(versioner, parsed.phonetic ?? targetVersion, options)
+      };
+      if (explain) {
+        // Separators depend only on the value, so re-rendering it reproduces the name's punctuation
+        const canonical = versioner.generate(parsed.timestamp, { ...options, buildInterval: parsed.interval, explain: true });
+        result.canonical = canonical.version;
+        result.explanation = canonical.explanation;
       }
 
-      const parsed = parseVersion(targetVersion, options.buildInterval);
-      console.log('\n=== Parse Result ===\n');
-      console.log(`Version: ${targetVersion}`);
-      console.log(`Timestamp: ${parsed.timestamp}`);
-      console.log(`Date: ${parsed.date}`);
-      console.log(`Normalized: ${parsed.normalized}`);
-      console.log('');
+      output(result, () => {
+        console.log('\n=== Parse Result ===\n');
+        console.log(`Version: ${targetVersion}`);
+        console.log(`Timestamp: ${parsed.timestamp}`);
+        console.log(`Date: ${parsed.date}`);
+        if (result.local) {
+          console.log(`Local: ${result.local}`);
+        }
+        console.log(`Normalized: ${parsed.normalized}`);
+        console.log(`Interval: ${parsed.interval}${parsed.precision} (${parsed.intervalSource}${parsed.tier !== null ? `, tier ${parsed.tier}` : ''})`);
+        if (explain) {
+          console.log(`Canonical: ${result.canonical}`);
+          printExplanation(result.explanation);
+        } else {
+          console.log('');
+        }
+      });
       break;
     }
 
     case 'validate': {
-      if (!targetVersion) {
-        console.error('[ERROR] No version string provided');
-        process.exit(1);
+      let parsed = null;
+      let reason = null;
+      try {
+        parsed = parseName(versioner, targetVersion, options);
+      } catch (error) {
+        reason = error.message;
       }
 
-      const valid = isValidVersion(targetVersion);
-      if (valid) {
-        console.log(`[OK] "${targetVersion}" is a valid version`);
-        const parsed = parseVersion(targetVersion, options.buildInterval);
-        console.log(`     Decodes to: ${parsed.timestamp} (${parsed.date})`);
-      } else {
-        console.log(`[ERROR] "${targetVersion}" is NOT a valid version`);
-        process.exit(1);
+      const result = parsed
+        ? { version: targetVersion, valid: true, timestamp: parsed.timestamp, date: parsed.date, error: null }
+        : { version: targetVersion, valid: false, timestamp: null, date: null, error: reason };
+
+      output(result, () => {
+        if (parsed) {
+          console.log(`[OK] "${targetVersion}" is a valid version`);
+          console.log(`     Decodes to: ${parsed.timestamp} (${parsed.date})`);
+        } else {
+          console.log(`[ERROR] "${targetVersion}" is NOT a valid version`);
+        }
+      });
+      process.exit(parsed ? EXIT.OK : EXIT.INVALID);
+    }
+
+    case 'suggest': {
+      const suggestions = suggestVersions(targetVersion, { ...options, versioner });
+
+      output({ input: targetVersion, suggestions }, () => {
+        if (suggestions.length === 0) {
+          console.log(`[ERROR] No close matches for "${targetVersion}"`);
+          return;
+        }
+        console.log(`\n=== Suggestions for "${targetVersion}" ===\n`);
+        suggestions.forEach((s, i) => {
+          const confidence = `${(s.confidence * 100).toFixed(0)}%`.padStart(4);
+          console.log(`${i + 1}. ${s.version.padEnd(24)} ${confidence}  ${s.timestamp} (${s.date})`);
+        });
+        console.log('');
+      });
+      if (suggestions.length === 0) {
+        process.exit(EXIT.NOT_FOUND);
+      }
+      break;
+    }
+
+    case 'git': {
+      const result = fromGit({ ...options, ...gitOptions, ref: positionals[1] || 'HEAD', versioner });
+      if (semverBase) {
+        result.semver = formatName(result.version);
+      }
+
+      output(result, () => {
+        console.log(formatName(result.version));
+
+        if (process.stdout.isTTY) {
+          console.log(`\n[INFO] Commit: ${result.commit}`);
+          console.log(`[INFO] Date: ${result.date}`);
+        }
+        if (result.tag) {
+          console.error(`[OK] Created annotated tag "${result.tag}"`);
+        }
+      });
+      break;
+    }
+
+    case 'git-resolve': {
+      const name = positionals[2];
+      if (!name) {
+        exitWith(EXIT.USAGE, 'Usage: version-gen git resolve <name>');
+      }
+
+      let resolved;
+      try {
+        resolved = resolveGitVersion(name, {
+          ...options,
+          cwd: gitOptions.cwd,
+          tagPrefix: gitOptions.tagPrefix,
+          versioner
+        });
+      } catch (error) {
+        // git failures keep the generic code; everything else is the name
+        throw withExitCode(error, error.message.startsWith('git') ? EXIT.ERROR : EXIT.INVALID);
+      }
+      const { from, until, commits } = resolved;
+      const window = `${new Date(from * 1000).toISOString()} .. ${new Date(until * 1000).toISOString()}`;
+
+      output({ version: name, ...resolved }, () => {
+        if (commits.length === 0) {
+          console.error(`[ERROR] No commits in ${window}`);
+          return;
+        }
+        console.error(`[INFO] ${commits.length} commit(s) in ${window}`);
+        for (const c of commits) {
+          console.log(`${c.commit} ${c.date} ${c.subject}`);
+        }
+      });
+      if (commits.length === 0) {
+        process.exit(EXIT.NOT_FOUND);
       }
       break;
     }
 
+    case 'range': {
+      const [, from, to] = positionals;
+      if (!from || !to) {
+        exitWith(EXIT.USAGE, 'Usage: version-gen range <from> <to>');
+      }
+
+      let names;
+      let distance;
+      try {
+        // Step by the interval the names decode with (embedded tier or --interval)
+        names = versionsInRange(from, to, null, { ...options, versioner });
+        distance = versionDistance(from, to, { ...options, versioner });
+      } catch (error) {
+        throw withExitCode(error, EXIT.INVALID);
+      }
+      const versions = names.map(entry => ({ ...entry, version: formatName(entry.version) }));
+
+      output({ from, to, ...distance, count: versions.length, versions }, () => {
+        for (const { version, date } of versions) {
+          console.log(process.stdout.isTTY ? `${version.padEnd(28)} ${date}` : version);
+        }
+        if (process.stdout.isTTY) {
+          console.log(`\n[INFO] ${versions.length} version(s) spanning ${distance.human}`);
+        }
+      });
+      break;
+    }
+
+    case 'batch': {
+      const file = positionals[1];
+      if (file && file !== '-' && !existsSync(file)) {
+        exitWith(EXIT.USAGE, `No such file "${file}"`);
+      }
+
+      const batchFormat = format === 'text' ? 'csv' : format;
+      const batch = createBatchProcessor({ ...options, versioner, timeZone: timeZone ?? localTimeZone() });
+      const lines = createInterface({
+        input: file && file !== '-' ? createReadStream(file) : process.stdin,
+        crlfDelay: Infinity
+      });
+
+      /**
+       * Write without buffering the whole result when stdout is slow
+       */
+      const write = async text => {
+        if (!process.stdout.write(text)) {
+          await once(process.stdout, 'drain');
+        }
+      };
+
+      // A reader that stops early (| head) is not an error
+      process.stdout.on('error', error => {
+        if (error.code === 'EPIPE') process.exit(EXIT.OK);
+        throw error;
+      });
+
+      let failed = 0;
+      if (batchFormat === 'csv') {
+        await write(csvHeader());
+      }
+      for await (const line of lines) {
+        const record = batch.process(line);
+        if (record) {
+          failed += record.error ? 1 : 0;
+          await write(formatRecord(record, batchFormat));
+        }
+      }
+
+      if (failed > 0) {
+        console.error(`[ERROR] ${failed} line(s) failed`);
+        process.exitCode = EXIT.INVALID;
+      }
+      break;
+    }
+
+    case 'train': {
+      const file = positionals[1];
+      if (!file) {
+        exitWith(EXIT.USAGE, 'Usage: version-gen train <examples.jsonl>');
+      }
+      if (!existsSync(file)) {
+        exitWith(EXIT.USAGE, `No such file "${file}"`);
+      }
+      if (!(trainOptions.holdout >= 0 && trainOptions.holdout < 1)) {
+        exitWith(EXIT.USAGE, `--holdout must be a fraction from 0 to below 1 (got ${trainOptions.holdout})`);
+      }
+
+      const examples = [];
+      readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+        if (line.trim() === '') return;
+        try {
+          examples.push(parseExample(JSON.parse(line)));
+        } catch (error) {
+          throw withExitCode(new Error(`${file}:${index + 1}: ${error.message}`), EXIT.INVALID);
+        }
+      });
+      if (examples.length === 0) {
+        exitWith(EXIT.INVALID, `No examples in "${file}"`);
+      }
+
+      let trained;
+      try {
+        trained = trainWeights(examples, { config, holdout: trainOptions.holdout });
+      } catch (error) {
+        throw withExitCode(error, EXIT.INVALID);
+      }
+
+      // Save only weights that place more held-out names right; the training
+      // examples are what the weights were fitted to, so they count only on request
+      const untested = trained.test.count === 0;
+      const check = untested ? trained.train : trained.test;
+      const improved = check.after.names > check.before.names;
+      const save = trained.changes.length > 0 && improved && (!untested || trainOptions.saveUntested);
+
+      let saved = null;
+      if (!trainOptions.dryRun && save) {
+        const project = readProjectOverrides();
+        for (const { key, to } of trained.changes) {
+          setConfigValue(project.overrides, `scoring.${key}.weight`, to);
+        }
+        saveConfig(project.overrides, project.path);
+        saved = project.path;
+      }
+
+      const { changes, iterations, converged, stalled, mistakes, train, test } = trained;
+      output({ examples: examples.length, iterations, converged, stalled, mistakes, train, test, changes, saved }, () => {
+        const percent = value => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+        const accuracy = ({ before, after }) =>
+          `names ${percent(before.names)} -> ${percent(after.names)}, ` +
+          `boundaries ${percent(before.boundaries)} -> ${percent(after.boundaries)}`;
+
+        console.log(`Examples: ${examples.length} (${train.count} training, ${test.count} held out)`);
+        const stop = converged ? 'converged' : stalled ? 'stalled' : 'iteration limit reached';
+        console.log(`Training: ${iterations} pass(es), ${stop}; ` +
+          `misplaced ${mistakes.first} -> ${mistakes.last} per pass`);
+        console.log(`Training accuracy: ${accuracy(train)}`);
+        console.log(`Held-out accuracy: ${test.count > 0 ? accuracy(test) : 'n/a (--holdout 0)'}`);
+
+        if (changes.length > 0) {
+          console.log(`\nChanged weights (${changes.length}):`);
+          for (const { key, from, to } of changes) {
+            console.log(`  scoring.${key}.weight`.padEnd(48) + ` ${from} -> ${to}`);
+          }
+        }
+        console.log('');
+
+        if (changes.length === 0) {
+          console.log('[INFO] No weight changed');
+        } else if (untested && !trainOptions.saveUntested) {
+          console.log('[WARN] No held-out examples to check the tuned weights on; nothing saved ' +
+            '(raise --holdout, or pass --save-untested to judge by the training examples)');
+        } else if (!improved) {
+          console.log(`[WARN] The tuned weights place no more ${untested ? 'training' : 'held-out'} names right; nothing saved`);
+        } else if (trainOptions.dryRun) {
+          console.log('[INFO] --dry-run: nothing saved');
+        } else {
+          console.log(`[OK] Saved ${changes.length} weight(s) to ${saved}`);
+        }
+      });
+      break;
+    }
+
+    case 'rate': {
+      // Profiles rewrite the separators being rated (and their characters are not training labels)
+      if (options.profile) {
+        exitWith(EXIT.USAGE, '--profile cannot be used with rate: names are rated with their smart separators');
+      }
+
+      const file = positionals[1] ?? 'ratings.jsonl';
+      const total = options.limit ?? 10;
+      const input = createInterface({ input: process.stdin, crlfDelay: Infinity });
+      const lines = input[Symbol.asyncIterator]();
+
+      /**
+       * Prompt for one line; null at end of input
+       */
+      const ask = async prompt => {
+        process.stdout.write(prompt);
+        const { value, done } = await lines.next();
+        return done ? null : value.trim();
+      };
+
+      console.log(`Rate ${total} random name(s). For each, pick the punctuation that reads best`);
+      console.log(`(or type your own), then rate how memorable it is. Ratings go to ${file}.`);
+
+      let saved = 0;
+      rating: for (let n = 1; n <= total; n++) {
+        // Any time in the last three years
+        const seconds = Math.floor(Date.now() / 1000 - Math.random() * RATE_SPAN);
+        const timestamp = parseDate(`@${seconds}`, precision);
+        const metadata = versioner.generate(timestamp, { ...options, returnMetadata: true });
+        const alternatives = shuffle(placementAlternatives(metadata.parts, { version: metadata.version, versioner }));
+
+        console.log(`\nName ${n} of ${total}:`);
+        alternatives.forEach((alternative, i) => console.log(`  ${i + 1}) ${alternative.version}`));
+
+        let version = null;
+        while (version === null) {
+          const answer = await ask(`Best punctuation [1-${alternatives.length} or type it; s = skip, q = quit]: `);
+          if (answer === null || answer === 'q') break rating;
+          if (answer === 's') continue rating;
+
+          const choice = Number(answer);
+          if (Number.isInteger(choice) && choice >= 1 && choice <= alternatives.length) {
+            version = alternatives[choice - 1].version;
+            continue;
+          }
+          try {
+            parseExample({ syllables: metadata.parts, version: answer });
+            version = answer;
+          } catch (error) {
+            console.log(`  ${error.message}; type the syllables ${metadata.parts.join(' + ')} with your separators`);
+          }
+        }
+
+        let memorability = null;
+        while (memorability === null) {
+          const answer = await ask('How memorable is it? [1 = forgettable ... 5 = sticks]: ');
+          if (answer === null || answer === 'q') break rating;
+          if (/^[1-5]$/.test(answer)) memorability = Number(answer);
+        }
+
+        const record = createRatingRecord({ syllables: metadata.parts, version, rating: memorability, alternatives, timestamp });
+        appendFileSync(file, JSON.stringify(record) + '\n', 'utf8');
+        saved++;
+      }
+
+      input.close();
+      console.log(`\n[OK] Saved ${saved} rating(s) to ${file}` + (saved > 0 ? `; train with: version-gen train ${file}` : ''));
+      break;
+    }
+
     case 'generate':
     default: {
-      const version = generateVersion(timestamp, options);
-      console.log(version);
+      const metadata = versioner.generate(timestamp, { ...options, explain, returnMetadata: true });
+      const ms = Math.floor(Number(metadata.timestamp) * 1000 / PRECISION_UNITS[metadata.precision]);
+      const date = new Date(ms).toISOString();
+      const result = {
+        ...metadata,
+        semver: semverBase ? formatName(metadata.version) : null,
+        date,
+        local: timeZone !== 'UTC' ? formatLocal(date) : null,
+        pronunciation: getPronunciationGuide(metadata.parts)
+      };
 
-      // If not piped, show extra info
-      if (process.stdout.isTTY) {
-        const parsed = parseVersion(version, options.buildInterval);
-        console.log(`\n[INFO] Timestamp: ${parsed.timestamp}`);
-        console.log(`[INFO] Date: ${parsed.date}`);
-        console.log(`[INFO] Length: ${version.length} chars`);
-      }
+      output(result, () => {
+        const version = formatName(metadata.version);
+        console.log(version);
+
+        // If not piped, show extra info
+        // The name is already printed: a failed read-back is a warning, not an error
+        if (process.stdout.isTTY) {
+          try {
+            const parsed = parseName(versioner, version, options);
+            console.log(`\n[INFO] Timestamp: ${parsed.timestamp}`);
+            console.log(`[INFO] Date: ${parsed.date}`);
+            if (timeZone !== 'UTC') {
+              console.log(`[INFO] Local: ${formatLocal(parsed.date)}`);
+            }
+          } catch (error) {
+            console.log(`\n[WARN] Generated name does not decode: ${error.message}`);
+          }
+          console.log(`[INFO] Length: ${version.length} chars`);
+        }
+        if (explain) {
+          printExplanation(metadata.explanation);
+        }
+      });
       break;
     }
   }
 } catch (error) {
-  console.error(`[ERROR] ${error.message}`);
-  process.exit(1);
+  exitWith(error.exitCode ?? EXIT.ERROR, error.message);
 }